@@ -11,8 +11,15 @@
  * An 'init' function which can accept a filename/path.  
  * It should invoke the callback with the created loki db instance.
  * 
+ * Initializers may optionally export 'schemas' to have documents validated, 
+ * 'transformParameters' to declare the parameters of named transforms, and 
+ * 'fullTextIndexes' to declare fields which may be searched.
+ * 
  * If persistence is required, it is assumed you will implement 
  * an autosave interval, as this example does.
+ * 
+ * The service may also offer a persistence adapter it has selected for the 
+ * database (see the 'adapter' service option), which this example uses if given.
  */
 
 const loki = require("lokijs");
@@ -24,9 +31,10 @@ var db;
  * 
  * @param {string} filename - filename/pathname to where your database should be created.
  * @param {function} callback - accepting loki db instance
+ * @param {object=} options - { adapter } persistence adapter selected by the service, if any
  */
-function init(filename, callback) {
-    db = new loki(filename, { 
+function init(filename, callback, options) {
+    var lokiOptions = { 
         autoload: true,
         autoloadCallback: function() {
             seedDatabase();
@@ -35,7 +43,13 @@ function init(filename, callback) {
         },
         autosave: 'true',
         autosaveInterval: 4000
-    });
+    };
+
+    if (options && options.adapter) {
+        lokiOptions.adapter = options.adapter;
+    }
+
+    db = new loki(filename, lokiOptions);
 }
 
 function seedDatabase() {
@@ -72,7 +86,7 @@ function seedDatabase() {
         locations.insert({ name: 'Helheim', dwellers: 'Deceased' });
     }
 
-    // add/update a (currently non-parameterized) transform for example
+    // add/update a parameterized transform for example (its parameter is declared in transformParameters below)
     users.setTransform("goddesses", [
         {
             type: 'find',
@@ -113,6 +127,50 @@ function seedDatabase() {
     }
 }
 
+/**
+ * (Optional) JSON schemas, keyed by collection name, which the service layer will use to 
+ * validate documents before they are inserted or updated.
+ */
+var schemas = {
+    users: {
+        type: "object",
+        required: ["name", "age", "gender"],
+        properties: {
+            name: { type: "string", minLength: 1 },
+            age: { type: "integer", minimum: 0 },
+            // gender is an enumeration (0=male, 1=female)
+            gender: { enum: [0, 1] },
+            tags: { type: "array", items: { type: "string" } }
+        }
+    }
+};
+
+/**
+ * (Optional) Declared parameters of named transforms, keyed by collection and transform name.
+ * Requests omitting a required parameter (or passing one of the wrong type) are rejected.
+ */
+var transformParameters = {
+    users: {
+        goddesses: {
+            AgeFilter: { type: "number", required: true }
+        }
+    }
+};
+
+/**
+ * (Optional) Full-text indexes, keyed by collection name, used by the search export.
+ * Searching users for "knowlege" finds those tagged with it, without a 'where' transform.
+ */
+var fullTextIndexes = {
+    users: {
+        fields: ["name", "tags"],
+        stemming: true
+    }
+};
+
 module.exports = { 
-    init: init
+    init: init,
+    schemas: schemas,
+    transformParameters: transformParameters,
+    fullTextIndexes: fullTextIndexes
 }
\ No newline at end of file
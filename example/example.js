@@ -20,9 +20,10 @@ console.log("");
 // Since autosave timer keeps program from exiting, we exit this program by ctrl-c.
 // (optionally) For best practice, lets use the standard exit events to force a db flush to disk 
 //    if autosave timer has not had a fired yet (if exiting before 4 seconds).
-process.on('SIGINT', function() {
-  lokisvc.shutdown(function() {
-      console.log("shutdown complete");
-  });
+// handleSignals hooks SIGINT/SIGTERM, saves every instance, then exits.
+lokisvc.native.handleSignals({
+  onShutdown: function(report) {
+      console.log("shutdown complete : " + JSON.stringify(report));
+  }
 });
 
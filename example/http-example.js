@@ -0,0 +1,27 @@
+const lokihttp = require('../lokiservice-http.js');
+const lokisvc = require('../lokiservice.js');
+
+// Hosts the demo1 initializer over http, with database files kept in this (examples) directory.
+// Try : curl http://localhost:8080/demo1/demo1.db/users/1
+//       curl -X POST -d '{"age":{"$lt":100}}' http://localhost:8080/demo1/demo1.db/users/find
+const path = require('path');
+var appDir = path.dirname(require.main.filename);
+
+var server = lokihttp.createServer({
+  services: {
+    demo1: { initializer: appDir + "/demo1-service.init.js", dataDir: appDir }
+  }
+});
+
+server.listen(8080, function() {
+  console.log("Listening on http://localhost:8080, press CTRL-C to quit");
+});
+
+// stop accepting connections, then save every instance and exit
+['SIGINT', 'SIGTERM'].forEach(function(signal) {
+  process.on(signal, function() {
+    server.close();
+  });
+});
+
+lokisvc.native.handleSignals();
@@ -0,0 +1,332 @@
+/**
+ * lokiservice-access.js
+ *
+ * Access control for lokiservice.js.  Once an access policy is installed (see setAccessPolicy on the
+ * native interface, or the LOKISERVICE_ACCESS_POLICY environment variable), every request must be
+ * made with credentials (an api key or token) which map to roles, and roles are granted read, write
+ * and/or admin permission over initializers, database files, collections, named transforms and
+ * dynamic views.
+ *
+ * A policy looks like :
+ * {
+ *     "keys": {
+ *         "3f6c...": ["tenantA"],                     // api key -> roles
+ *         "sha256:9b74c9897bac770f...": ["admin"]     // keys may be given as sha256 (hex) digests
+ *     },
+ *     "anonymous": ["public"],                        // roles for requests without credentials (optional)
+ *     "roles": {
+ *         "admin": { "grants": [ { "permissions": ["read", "write", "admin"] } ] },
+ *         "tenantA": {
+ *             "grants": [
+ *                 {
+ *                     "initializer": "demo1-service.init.js",   // full path or file name, "*" wildcards allowed
+ *                     "database": "tenantA*.db",                // full path or file name
+ *                     "collection": ["users", "orders"],        // name or array of names
+ *                     "transforms": ["goddesses"],              // named transforms allowed (default all)
+ *                     "views": ["Youngsters"],                  // dynamic views allowed (default all)
+ *                     "permissions": ["read", "write"],
+ *                     "filter": { "tenant": "A" }               // row level filter applied to reads and writes
+ *                 }
+ *             ]
+ *         }
+ *     }
+ * }
+ *
+ * Keys given as "sha256:" digests are matched by hashing the credentials presented, so the digest
+ * itself is not a credential (nor is any other key starting with "sha256:").
+ *
+ * Omitted grant properties match everything.  Row level filters are loki queries merged into every
+ * get, find, transform and dynamic view request (and execute 'find' step); if more than one matching
+ * grant has a filter, documents matching any of them are visible.  Write grants' filters limit the
+ * documents a role may update or remove (others are reported as not found) and the content it may
+ * insert or update documents with.  Requests which both read and write a collection are limited to
+ * documents both filters allow.  Grants which restrict transforms do not permit raw (client supplied)
+ * transforms.
+ *
+ * Node hosts may instead supply an 'authenticate' function in the policy, which is passed the
+ * credentials and returns an array of role names (or null to reject them), e.g. to verify tokens.
+ */
+const crypto = require("crypto");
+const path = require("path");
+
+var permissions = ["read", "write", "admin"];
+
+/**
+ * Compiles a grant name pattern (name, array of names, may contain '*' wildcards) into a RegExp.
+ * Returns null for patterns which match everything.
+ * @param {string|array=} pattern
+ */
+function compilePattern(pattern) {
+    if (pattern === undefined || pattern === null || pattern === "*") {
+        return null;
+    }
+
+    var alternatives = (Array.isArray(pattern) ? pattern : [pattern]).map(function(name) {
+        if (typeof name !== "string") {
+            throw new Error("Grant name patterns must be strings : " + JSON.stringify(name));
+        }
+
+        return name.split("*").map(function(part) {
+            return part.replace(/[\\^$.|?+()[\]{}]/g, "\\$&");
+        }).join(".*");
+    });
+
+    return new RegExp("^(?:" + alternatives.join("|") + ")$");
+}
+
+/**
+ * Determines whether a compiled pattern matches a name.  Paths match on either the full path or the file name.
+ * @param {RegExp} pattern - compiled pattern (null matches everything)
+ * @param {string=} name - name to match (null/undefined for requests spanning all names)
+ * @param {boolean=} isPath
+ */
+function matchPattern(pattern, name, isPath) {
+    if (pattern === null) {
+        return true;
+    }
+
+    if (name === null || name === undefined) {
+        return false;
+    }
+
+    return pattern.test(name) || (!!isPath && pattern.test(path.basename(name)));
+}
+
+/**
+ * Compiles a single grant
+ * @param {string} roleName - role the grant belongs to (for error reporting)
+ * @param {object} grant
+ */
+function compileGrant(roleName, grant) {
+    var granted = grant.permissions || [];
+
+    if (!Array.isArray(granted) || !granted.every(function(p) { return permissions.indexOf(p) !== -1; })) {
+        throw new Error("Role '" + roleName + "' grant permissions must be an array of : " + permissions.join(", "));
+    }
+
+    if (grant.hasOwnProperty("filter") && (grant.filter === null || typeof grant.filter !== "object")) {
+        throw new Error("Role '" + roleName + "' grant filter must be a query object");
+    }
+
+    return {
+        initializer: compilePattern(grant.initializer),
+        database: compilePattern(grant.database),
+        collection: compilePattern(grant.collection),
+        transforms: compilePattern(grant.transforms),
+        views: compilePattern(grant.views),
+        permissions: granted,
+        filter: grant.filter || null
+    };
+}
+
+/**
+ * Returns the sha256 digest of an api key
+ * @param {string} key
+ * @returns {Buffer}
+ */
+function keyDigest(key) {
+    return crypto.createHash("sha256").update(key).digest();
+}
+
+/**
+ * Compiles a policy's keys into the digests credentials are compared with, so keys given as digests
+ * only match the keys they are digests of (never their own "sha256:..." names)
+ * @param {object} keys - roles keyed by api key or "sha256:" (hex) digest
+ * @returns {array} { digest, roles } entries
+ */
+function compileKeys(keys) {
+    return Object.keys(keys).map(function(name) {
+        var digest;
+
+        if (name.indexOf("sha256:") === 0) {
+            if (!/^[0-9a-f]{64}$/i.test(name.substr(7))) {
+                throw new Error("Key digests must be 64 hex digits : " + name);
+            }
+
+            digest = Buffer.from(name.substr(7), "hex");
+        }
+        else {
+            digest = keyDigest(name);
+        }
+
+        return { digest: digest, roles: keys[name] };
+    });
+}
+
+/**
+ * @param {object} policy - access policy (see above)
+ */
+function AccessPolicy(policy) {
+    var self = this;
+
+    if (policy === null || typeof policy !== "object") {
+        throw new Error("Access policy must be an object");
+    }
+
+    this.keys = compileKeys(policy.keys || {});
+    this.anonymous = policy.anonymous || null;
+    this.authenticateFn = policy.authenticate || null;
+    this.roles = {};
+
+    Object.keys(policy.roles || {}).forEach(function(roleName) {
+        var grants = policy.roles[roleName].grants || [];
+
+        if (!Array.isArray(grants)) {
+            throw new Error("Role '" + roleName + "' grants must be an array");
+        }
+
+        self.roles[roleName] = grants.map(function(grant) {
+            return compileGrant(roleName, grant);
+        });
+    });
+}
+
+/**
+ * Resolves credentials to a principal, or null if they are not recognized
+ *
+ * @param {string|object=} credentials - api key/token (or { key }), undefined for anonymous requests
+ * @returns {object} { name, roles } or null
+ */
+AccessPolicy.prototype.authenticate = function(credentials) {
+    var roles = null;
+
+    if (credentials === undefined || credentials === null) {
+        return this.anonymous ? { name: "anonymous", roles: this.anonymous } : null;
+    }
+
+    if (this.authenticateFn) {
+        roles = this.authenticateFn(credentials);
+    }
+    else {
+        var key = (typeof credentials === "object") ? credentials.key : credentials;
+
+        // digests are what the policy stores, not credentials
+        if (typeof key !== "string" || key === "" || key.indexOf("sha256:") === 0) {
+            return null;
+        }
+
+        var digest = keyDigest(key);
+
+        // every entry is compared (in constant time) so matching takes as long whichever key it is
+        this.keys.forEach(function(entry) {
+            if (crypto.timingSafeEqual(entry.digest, digest)) {
+                roles = entry.roles;
+            }
+        });
+
+        // allow { roles: [...] } entries so keys can carry a description
+        if (roles && !Array.isArray(roles)) {
+            roles = roles.roles;
+        }
+    }
+
+    if (!Array.isArray(roles)) {
+        return null;
+    }
+
+    return { name: roles.join(","), roles: roles };
+};
+
+/**
+ * Returns the grants of a principal's roles which permit a single check
+ * @param {object} principal
+ * @param {object} check - { permission, serviceName, filename, collection, transform, view, raw }
+ */
+AccessPolicy.prototype.matchingGrants = function(principal, check) {
+    var self = this;
+    var matches = [];
+
+    principal.roles.forEach(function(roleName) {
+        (self.roles[roleName] || []).forEach(function(grant) {
+            if (grant.permissions.indexOf(check.permission) === -1) return;
+            if (!matchPattern(grant.initializer, check.serviceName, true)) return;
+            if (!matchPattern(grant.database, check.filename, true)) return;
+            if (!matchPattern(grant.collection, check.collection)) return;
+            if (check.transform && !matchPattern(grant.transforms, check.transform)) return;
+            if (check.view && !matchPattern(grant.views, check.view)) return;
+            if (check.raw && grant.transforms !== null) return;
+
+            matches.push(grant);
+        });
+    });
+
+    return matches;
+};
+
+/**
+ * Describes the target of a check for denial messages
+ * @param {object} check
+ */
+function describeCheck(check) {
+    if (!check.serviceName) {
+        return check.permission + " the service";
+    }
+
+    var target = check.permission + " " + (check.collection ? "collection '" + check.collection + "'" : "all collections");
+
+    if (check.view) target += ", view '" + check.view + "'";
+    if (check.transform) target += ", transform '" + check.transform + "'";
+    if (check.raw) target += ", raw transforms";
+
+    return target + " of " + check.filename;
+}
+
+/**
+ * Combines the row level filters of two checks on the same collection, so documents must match both
+ * @param {object=} filter - filter already imposed, if any
+ * @param {object} other
+ */
+function combineFilters(filter, other) {
+    if (!filter || JSON.stringify(filter) === JSON.stringify(other)) {
+        return other;
+    }
+
+    return { $and: [filter, other] };
+}
+
+/**
+ * Authorizes a request (as a list of checks) on behalf of a principal.
+ *
+ * Checks are objects of { permission, serviceName, filename, collection, transform, view, raw, unfiltered }
+ * where a null serviceName/filename/collection means the request spans all of them, and 'unfiltered'
+ * means the request cannot honor row level filters (so roles which have them are denied).
+ *
+ * @param {object} principal - as returned by authenticate
+ * @param {array} checks
+ * @returns {object} { denied: message } or { rowFilters: { collectionName: query } }
+ */
+AccessPolicy.prototype.authorize = function(principal, checks) {
+    var rowFilters = {};
+
+    for (var idx = 0; idx < checks.length; idx++) {
+        var check = checks[idx];
+        var grants = this.matchingGrants(principal, check);
+
+        if (!grants.length) {
+            return { denied: "Role(s) " + principal.name + " may not " + describeCheck(check) };
+        }
+
+        // a grant without a filter makes every document visible
+        if (grants.some(function(grant) { return grant.filter === null; })) {
+            continue;
+        }
+
+        if (check.unfiltered) {
+            return { denied: "Role(s) " + principal.name + " have row level filters and may not " + describeCheck(check) };
+        }
+
+        if ((check.permission === "read" || check.permission === "write") && check.collection) {
+            var filters = grants.map(function(grant) { return grant.filter; });
+
+            rowFilters[check.collection] = combineFilters(rowFilters[check.collection], 
+                filters.length === 1 ? filters[0] : { $or: filters });
+        }
+    }
+
+    return { rowFilters: rowFilters };
+};
+
+module.exports = {
+    AccessPolicy: AccessPolicy,
+    permissions: permissions
+};
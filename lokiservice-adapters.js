@@ -0,0 +1,939 @@
+/**
+ * lokiservice-adapters.js
+ *
+ * Persistence adapters which lokiservice.js can create for an instance, along with tracking of
+ * the loads and saves made through an instance's adapter.  Adapters are selected by settings, either
+ * a type name or an object giving the type and its options :
+ *
+ * { type: "journal", compactionInterval: 60000, fsync: false, encryption: { keyEnv: "LOKI_KEY" } }
+ *
+ * Types :
+ *   fs            loki's file adapter (what loki uses in node by default)
+ *   memory        loki's memory adapter, nothing outlives the instance
+ *   encrypted     the database file is encrypted at rest (AES-256-GCM), options are a key source
+ *   journal       every insert, update and remove is appended to a journal file ("<filename>.journal")
+ *                 as it happens, so changes made since the last save survive a crash.  Saving the
+ *                 database compacts the journal, which happens every compactionInterval ms (default
+ *                 60000, 0 to only compact on autosave, close and shutdown).  fsync: true syncs the
+ *                 journal to disk after each write.  encryption (a key source) encrypts the database
+ *                 file and each journal entry.
+ *   partitioning  loki's partitioning adapter, saving each collection to its own file, and in pages
+ *                 of pageSize bytes if paging is true.  Only collections with changes are saved.
+ *                 encryption (a key source) encrypts each file.
+ *
+ * A key source gives a 32 byte key (64 hex characters or base64) in exactly one of :
+ *   key           the key itself
+ *   keyEnv        name of an environment variable holding the key
+ *   keyFile       path of a file holding the key (as text, or the raw 32 bytes)
+ *   keyProvider   function returning the key (only from initializer modules or configure)
+ *
+ * Journaled databases must use loki's default ("normal") serialization method.
+ */
+const fs = require("fs");
+const crypto = require("crypto");
+const loki = require("lokijs");
+
+// prefix of encrypted files and journal entries, identifying the format they were written in
+var encryptionMagic = Buffer.from("LOKIENC1");
+var ivLength = 12;
+var tagLength = 16;
+
+// writes in progress, keyed by filename, which reads of the same file wait for
+var writesInFlight = {};
+
+/**
+ * Decodes a 32 byte key given as hex, base64 or raw bytes
+ * @param {string|Buffer} value
+ * @param {string} source - description of where the key came from, for errors
+ */
+function decodeKey(value, source) {
+    var key = null;
+
+    if (Buffer.isBuffer(value) && value.length === 32) {
+        key = value;
+    }
+    else if (Buffer.isBuffer(value) || typeof value === "string") {
+        var text = value.toString("utf8").trim();
+
+        key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, "hex") : Buffer.from(text, "base64");
+    }
+
+    if (!key || key.length !== 32) {
+        throw new Error("Encryption key from " + source + " must be 32 bytes (64 hex characters or base64)");
+    }
+
+    return key;
+}
+
+/**
+ * Obtains the key from a key source (see top of file)
+ * @param {object} encryption - key source
+ * @returns {Buffer}
+ */
+function resolveKey(encryption) {
+    var sources = ["key", "keyEnv", "keyFile", "keyProvider"].filter(function(source) {
+        return encryption && encryption.hasOwnProperty(source);
+    });
+
+    if (sources.length !== 1) {
+        throw new Error("Encryption requires exactly one of key, keyEnv, keyFile or keyProvider");
+    }
+
+    switch (sources[0]) {
+        case "key":
+            return decodeKey(encryption.key, "key");
+        case "keyEnv":
+            if (!process.env.hasOwnProperty(encryption.keyEnv)) {
+                throw new Error("Environment variable " + encryption.keyEnv + " (encryption key) is not set");
+            }
+            return decodeKey(process.env[encryption.keyEnv], "environment variable " + encryption.keyEnv);
+        case "keyFile":
+            return decodeKey(fs.readFileSync(encryption.keyFile), "file " + encryption.keyFile);
+        default:
+            if (typeof encryption.keyProvider !== "function") {
+                throw new Error("keyProvider must be a function");
+            }
+            return decodeKey(encryption.keyProvider(), "keyProvider");
+    }
+}
+
+/**
+ * Encrypts text, returning magic + iv + auth tag + ciphertext
+ * @param {Buffer} key
+ * @param {string} text
+ */
+function encrypt(key, text) {
+    var iv = crypto.randomBytes(ivLength);
+    var cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    var data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+
+    return Buffer.concat([encryptionMagic, iv, cipher.getAuthTag(), data]);
+}
+
+/**
+ * Decrypts what encrypt produced
+ * @param {Buffer} key
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function decrypt(key, buffer) {
+    var headerLength = encryptionMagic.length + ivLength + tagLength;
+
+    if (buffer.length < headerLength || !buffer.slice(0, encryptionMagic.length).equals(encryptionMagic)) {
+        throw new Error("Data is not encrypted (or was written in an unknown format)");
+    }
+
+    var iv = buffer.slice(encryptionMagic.length, encryptionMagic.length + ivLength);
+    var decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+
+    decipher.setAuthTag(buffer.slice(encryptionMagic.length + ivLength, headerLength));
+
+    try {
+        return Buffer.concat([decipher.update(buffer.slice(headerLength)), decipher.final()]).toString("utf8");
+    }
+    catch (err) {
+        throw new Error("Unable to decrypt data (wrong key, or the data is corrupt)");
+    }
+}
+
+/**
+ * Invokes fn once no writes of a file are in progress (e.g. an instance reloaded while it was being saved)
+ * @param {string} filename
+ * @param {function} fn
+ */
+function afterWrites(filename, fn) {
+    if (writesInFlight.hasOwnProperty(filename)) {
+        writesInFlight[filename].waiting.push(fn);
+        return;
+    }
+
+    fn();
+}
+
+/**
+ * Reads a (possibly encrypted) file
+ * @param {string} filename
+ * @param {Buffer=} key - decrypt with this key
+ * @param {function} callback - node-style (err, text) callback, text being null if the file does not exist
+ */
+function readFile(filename, key, callback) {
+    afterWrites(filename, function() {
+        readFileNow(filename, key, callback);
+    });
+}
+
+/**
+ * Reads a (possibly encrypted) file without waiting for writes of it, see readFile
+ */
+function readFileNow(filename, key, callback) {
+    fs.readFile(filename, function(err, data) {
+        if (err) {
+            callback(err.code === "ENOENT" ? null : err, null);
+            return;
+        }
+
+        try {
+            callback(null, key ? decrypt(key, data) : data.toString("utf8"));
+        }
+        catch (decryptErr) {
+            callback(new Error(filename + " : " + decryptErr.message), null);
+        }
+    });
+}
+
+/**
+ * Writes a (possibly encrypted) file, through a temporary file so a failed write leaves the old one intact
+ * @param {string} filename
+ * @param {string} text
+ * @param {Buffer=} key - encrypt with this key
+ * @param {function} callback - node-style (err) callback
+ */
+function writeFile(filename, text, key, callback) {
+    var tmpname = filename + "~";
+    var inFlight = writesInFlight[filename] = writesInFlight[filename] || { count: 0, waiting: [] };
+
+    inFlight.count++;
+
+    function done(err) {
+        if (--inFlight.count === 0) {
+            delete writesInFlight[filename];
+
+            inFlight.waiting.forEach(function(fn) {
+                fn();
+            });
+        }
+
+        callback(err || null);
+    }
+
+    fs.writeFile(tmpname, key ? encrypt(key, text) : text, function(err) {
+        if (err) {
+            done(err);
+            return;
+        }
+
+        fs.rename(tmpname, filename, done);
+    });
+}
+
+/**
+ * Creates the error saves fail with after a database could not be loaded.  Initializers often carry
+ * on with an empty database when loading fails, which must not replace the one which is still on disk
+ * (e.g. encrypted with a different key, or with a corrupt journal) until that has been looked into.
+ *
+ * @param {string} dbname
+ * @param {Error} loadError
+ */
+function refusedSave(dbname, loadError) {
+    return new Error("Not saving " + dbname + " over the database which could not be loaded (" + loadError.message + ")");
+}
+
+/**
+ * Adapter keeping the database file encrypted at rest
+ * @param {object} options - key source, see top of file
+ */
+function EncryptedAdapter(options) {
+    this.key = resolveKey(options);
+    this.loadError = null;
+}
+
+EncryptedAdapter.prototype.loadDatabase = function(dbname, callback) {
+    var self = this;
+
+    readFile(dbname, this.key, function(err, text) {
+        self.loadError = err;
+        callback(err || text);
+    });
+};
+
+EncryptedAdapter.prototype.saveDatabase = function(dbname, dbstring, callback) {
+    if (this.loadError) {
+        callback(refusedSave(dbname, this.loadError));
+        return;
+    }
+
+    writeFile(dbname, dbstring, this.key, callback);
+};
+
+EncryptedAdapter.prototype.deleteDatabase = function(dbname, callback) {
+    fs.unlink(dbname, function(err) {
+        callback(err || null);
+    });
+};
+
+/**
+ * Finds the position of a document (or where it belongs) in a collection's data, which loki keeps in $loki order
+ * @param {array} data
+ * @param {int} id
+ * @returns {object} { index, found }
+ */
+function findPosition(data, id) {
+    var low = 0, high = data.length;
+
+    while (low < high) {
+        var mid = (low + high) >> 1;
+
+        if (data[mid].$loki < id) {
+            low = mid + 1;
+        }
+        else {
+            high = mid;
+        }
+    }
+
+    return { index: low, found: low < data.length && data[low].$loki === id };
+}
+
+/**
+ * Adapter journaling each change as it happens, see top of file.  lokiservice.js attaches the
+ * journal to an instance once it has been initialized, which is when journaling begins.
+ *
+ * The journal is moved aside ("<filename>.journal.compacting") whenever the database is saved, and
+ * only removed once the save has succeeded.  Entries hold whole documents, so replaying an entry
+ * which a saved database already reflects changes nothing.
+ *
+ * @param {object=} options - { compactionInterval, fsync, encryption }
+ */
+function JournalAdapter(options) {
+    options = options || {};
+
+    this.key = options.encryption ? resolveKey(options.encryption) : null;
+    this.compactionInterval = options.hasOwnProperty("compactionInterval") ? options.compactionInterval : 60000;
+    this.fsync = options.fsync === true;
+
+    this.db = null;
+    this.dbname = null;
+    this.fd = null;
+    this.timer = null;
+    this.loadError = null;
+
+    // collections we have attached listeners to, and names of those the last save (or load) contained
+    this.attached = [];
+    this.savedCollections = null;
+
+    // names of collections whose documents were changed by replaying the journal
+    this.replayed = [];
+
+    // while suspended (e.g. during a transaction), entries are held until resumed
+    this.suspended = 0;
+    this.held = [];
+
+    this.stats = {
+        entries: 0,
+        bytes: 0,
+        replayed: 0,
+        skipped: 0,
+        compactions: 0,
+        lastCompaction: null,
+        writeFailures: 0,
+        lastWriteError: null
+    };
+}
+
+/**
+ * Returns the filenames of a database's journal and of the journal being compacted
+ * @param {string} dbname
+ */
+function journalNames(dbname) {
+    return { current: dbname + ".journal", compacting: dbname + ".journal.compacting" };
+}
+
+/**
+ * Reads journal entries.  A final entry which was only partially written (the process stopped while
+ * writing it, so its change was never acknowledged) is discarded, and cut from the file so entries
+ * journaled from now on follow the last complete one.
+ *
+ * @param {string} filename
+ * @param {Buffer=} key
+ * @param {function} callback - node-style (err, entries, bytes) callback
+ */
+function readJournal(filename, key, callback) {
+    fs.readFile(filename, "utf8", function(err, text) {
+        if (err) {
+            callback(err.code === "ENOENT" ? null : err, [], 0);
+            return;
+        }
+
+        var lines = text.split("\n");
+        var entries = [];
+        var complete = 0;
+
+        while (lines.length && !lines[lines.length - 1]) {
+            lines.pop();
+        }
+
+        for (var idx = 0; idx < lines.length; idx++) {
+            if (lines[idx]) {
+                try {
+                    entries.push(JSON.parse(key ? decrypt(key, Buffer.from(lines[idx], "base64")) : lines[idx]));
+                }
+                catch (parseErr) {
+                    if (idx < lines.length - 1) {
+                        callback(new Error(filename + " : entry " + (idx + 1) + " is corrupt (" + parseErr.message + ")"), [], 0);
+                        return;
+                    }
+
+                    try {
+                        fs.truncateSync(filename, complete);
+                    }
+                    catch (truncateErr) {
+                        callback(truncateErr, [], 0);
+                        return;
+                    }
+
+                    break;
+                }
+            }
+
+            complete += Buffer.byteLength(lines[idx]) + 1;
+        }
+
+        callback(null, entries, Math.min(complete, Buffer.byteLength(text)));
+    });
+}
+
+/**
+ * Applies journal entries to a parsed database
+ * @param {object} dbObject
+ * @param {array} entries
+ */
+JournalAdapter.prototype.replay = function(dbObject, entries) {
+    var self = this;
+    var collections = {};
+
+    dbObject.collections.forEach(function(coll) {
+        collections[coll.name] = coll;
+    });
+
+    entries.forEach(function(entry) {
+        var coll = collections.hasOwnProperty(entry.c) ? collections[entry.c] : null;
+
+        // the collection was removed since (or created after) the journal was written
+        if (!coll) {
+            self.stats.skipped++;
+            return;
+        }
+
+        var id = entry.op === "put" ? entry.doc.$loki : entry.id;
+        var position = findPosition(coll.data, id);
+
+        if (entry.op === "put") {
+            coll.data.splice(position.index, position.found ? 1 : 0, entry.doc);
+            coll.maxId = Math.max(coll.maxId || 0, id);
+        }
+        else if (position.found) {
+            coll.data.splice(position.index, 1);
+        }
+
+        if (self.replayed.indexOf(coll.name) === -1) {
+            self.replayed.push(coll.name);
+        }
+
+        self.stats.replayed++;
+    });
+};
+
+JournalAdapter.prototype.loadDatabase = function(dbname, callback) {
+    var self = this;
+    var names = journalNames(dbname);
+
+    this.dbname = dbname;
+    this.loadError = null;
+
+    function failed(err) {
+        self.loadError = err;
+        callback(err);
+    }
+
+    readFile(dbname, this.key, function(err, text) {
+        if (err) {
+            failed(err);
+            return;
+        }
+
+        // entries being compacted when the process stopped come before those written since
+        readJournal(names.compacting, self.key, function(err, compacting, compactingBytes) {
+            if (err) {
+                failed(err);
+                return;
+            }
+
+            readJournal(names.current, self.key, function(err, current, currentBytes) {
+                if (err) {
+                    failed(err);
+                    return;
+                }
+
+                var entries = compacting.concat(current);
+
+                // replayed entries remain in the journal until it is next compacted
+                self.stats.entries = entries.length;
+                self.stats.bytes = compactingBytes + currentBytes;
+
+                if (text === null) {
+                    if (entries.length) {
+                        failed(new Error(dbname + " does not exist, but its journal does"));
+                        return;
+                    }
+
+                    callback(null);
+                    return;
+                }
+
+                var dbObject;
+
+                try {
+                    dbObject = JSON.parse(text);
+                    self.replay(dbObject, entries);
+                }
+                catch (parseErr) {
+                    failed(new Error(dbname + " : " + parseErr.message));
+                    return;
+                }
+
+                self.savedCollections = dbObject.collections.map(function(coll) {
+                    return coll.name;
+                });
+
+                callback(entries.length ? dbObject : text);
+            });
+        });
+    });
+};
+
+/**
+ * Moves the journal aside, so entries written from now on go to a new one.  If an earlier
+ * compaction failed, the journal is added to the one already being compacted.
+ */
+JournalAdapter.prototype.rotate = function() {
+    var names = journalNames(this.dbname);
+
+    if (this.fd !== null) {
+        fs.closeSync(this.fd);
+        this.fd = null;
+    }
+
+    if (fs.existsSync(names.current)) {
+        if (fs.existsSync(names.compacting)) {
+            fs.appendFileSync(names.compacting, fs.readFileSync(names.current));
+            fs.unlinkSync(names.current);
+        }
+        else {
+            fs.renameSync(names.current, names.compacting);
+        }
+    }
+
+    this.stats.entries = 0;
+    this.stats.bytes = 0;
+};
+
+JournalAdapter.prototype.saveDatabase = function(dbname, dbstring, callback) {
+    var self = this;
+
+    if (this.loadError) {
+        callback(refusedSave(dbname, this.loadError));
+        return;
+    }
+
+    this.dbname = dbname;
+
+    // loki serialized the database in this same tick, so it reflects every entry journaled so far
+    try {
+        this.rotate();
+    }
+    catch (err) {
+        callback(err);
+        return;
+    }
+
+    var savedCollections = this.db ? this.db.collections.map(function(coll) { return coll.name; }) : null;
+
+    writeFile(dbname, dbstring, this.key, function(err) {
+        if (err) {
+            // the moved journal is replayed on load and compacted by the next save
+            callback(err);
+            return;
+        }
+
+        self.savedCollections = savedCollections;
+
+        fs.unlink(journalNames(dbname).compacting, function(unlinkErr) {
+            if (unlinkErr && unlinkErr.code !== "ENOENT") {
+                callback(unlinkErr);
+                return;
+            }
+
+            self.stats.compactions++;
+            self.stats.lastCompaction = (new Date()).getTime();
+
+            callback(null);
+        });
+    });
+};
+
+JournalAdapter.prototype.deleteDatabase = function(dbname, callback) {
+    var names = journalNames(dbname);
+
+    [names.current, names.compacting].forEach(function(filename) {
+        try {
+            fs.unlinkSync(filename);
+        }
+        catch (err) {
+            // nothing journaled
+        }
+    });
+
+    fs.unlink(dbname, function(err) {
+        callback(err || null);
+    });
+};
+
+/**
+ * Begins journaling changes to a database's collections (and those it has gained since last attached).
+ * Indices and dynamic views of collections changed by replaying the journal are rebuilt.  If the last
+ * save did not contain every collection (or removed ones), the database is saved so that the journal
+ * is never replayed against a different set of collections.
+ *
+ * @param {Loki} db
+ */
+JournalAdapter.prototype.attach = function(db) {
+    var self = this;
+
+    this.db = db;
+    this.dbname = db.filename;
+
+    db.collections.forEach(function(coll) {
+        if (self.replayed.indexOf(coll.name) !== -1) {
+            coll.ensureAllIndexes(true);
+            coll.DynamicViews.forEach(function(dv) {
+                dv.rematerialize();
+            });
+        }
+
+        if (self.attached.indexOf(coll) !== -1) {
+            return;
+        }
+
+        self.attached.push(coll);
+
+        ["insert", "update"].forEach(function(operation) {
+            coll.on(operation, function(docs) {
+                // batch inserts emit an array of documents
+                (Array.isArray(docs) ? docs : [docs]).forEach(function(doc) {
+                    self.write({ op: "put", c: coll.name, doc: doc });
+                });
+            });
+        });
+
+        coll.on("delete", function(doc) {
+            self.write({ op: "remove", c: coll.name, id: doc.$loki });
+        });
+    });
+
+    this.replayed = [];
+
+    if (this.collectionsChanged()) {
+        this.compact();
+    }
+
+    if (!this.timer && this.compactionInterval > 0) {
+        this.timer = setInterval(function() {
+            self.compact();
+        }, this.compactionInterval);
+
+        this.timer.unref();
+    }
+};
+
+/**
+ * Determines whether the attached database has different collections than it had when last saved (or loaded)
+ */
+JournalAdapter.prototype.collectionsChanged = function() {
+    var names = this.db.collections.map(function(coll) { return coll.name; }).sort();
+
+    return !this.savedCollections || this.savedCollections.slice().sort().join("\u0000") !== names.join("\u0000");
+};
+
+/**
+ * Determines whether the attached database has journaled changes (or collections) which have not been saved
+ */
+JournalAdapter.prototype.pending = function() {
+    if (!this.db) {
+        return false;
+    }
+
+    return this.stats.entries > 0 || this.collectionsChanged() || fs.existsSync(journalNames(this.dbname).compacting);
+};
+
+/**
+ * Saves the attached database (compacting the journal) if anything was journaled since the last save
+ * @param {function=} callback - node-style (err) callback
+ */
+JournalAdapter.prototype.compact = function(callback) {
+    if (!this.pending()) {
+        if (callback) callback(null);
+        return;
+    }
+
+    // failures are reported through the instance's persistence stats
+    this.db.saveDatabase(callback || function() {});
+};
+
+/**
+ * Journals a change (or holds it while suspended)
+ * @param {object} entry
+ */
+JournalAdapter.prototype.write = function(entry) {
+    if (this.suspended) {
+        this.held.push(entry);
+        return;
+    }
+
+    this.append([entry]);
+};
+
+/**
+ * Appends entries to the journal.  A failed write does not fail the change, which is saved along
+ * with the database when the journal is next compacted.
+ * @param {array} entries
+ */
+JournalAdapter.prototype.append = function(entries) {
+    var self = this;
+
+    if (!entries.length) {
+        return;
+    }
+
+    var text = entries.map(function(entry) {
+        var line = JSON.stringify(entry);
+
+        return (self.key ? encrypt(self.key, line).toString("base64") : line) + "\n";
+    }).join("");
+
+    try {
+        if (this.loadError) {
+            throw refusedSave(this.dbname, this.loadError);
+        }
+
+        if (this.fd === null) {
+            this.fd = fs.openSync(journalNames(this.dbname).current, "a");
+        }
+
+        fs.writeSync(this.fd, text);
+
+        if (this.fsync) {
+            fs.fsyncSync(this.fd);
+        }
+
+        this.stats.entries += entries.length;
+        this.stats.bytes += Buffer.byteLength(text);
+    }
+    catch (err) {
+        this.stats.writeFailures++;
+        this.stats.lastWriteError = { message: err.message, timestamp: (new Date()).getTime() };
+    }
+};
+
+/**
+ * Holds new entries until resume is called (calls may be nested)
+ */
+JournalAdapter.prototype.suspend = function() {
+    this.suspended++;
+};
+
+/**
+ * Ends a suspend, either writing or discarding the entries held while suspended
+ * @param {boolean} publish - true to write held entries, false to discard them (e.g. on rollback)
+ */
+JournalAdapter.prototype.resume = function(publish) {
+    this.suspended--;
+
+    if (this.suspended > 0) {
+        return;
+    }
+
+    var held = this.held;
+    this.held = [];
+
+    if (publish) {
+        this.append(held);
+    }
+};
+
+/**
+ * Stops journaling (the instance is being closed), leaving the journal for the next load
+ */
+JournalAdapter.prototype.close = function() {
+    if (this.timer) {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    if (this.fd !== null) {
+        fs.closeSync(this.fd);
+        this.fd = null;
+    }
+
+    this.db = null;
+};
+
+/**
+ * Describes the journal, as reported by instanceStats
+ */
+JournalAdapter.prototype.info = function() {
+    return Object.assign({
+        filename: this.dbname ? journalNames(this.dbname).current : null,
+        compactionInterval: this.compactionInterval,
+        fsync: this.fsync,
+        encrypted: this.key !== null
+    }, this.stats);
+};
+
+// adapter types which may be named in settings, each creating the adapter from the settings' options
+var adapterFactories = {
+    fs: function() {
+        return new loki.LokiFsAdapter();
+    },
+    memory: function() {
+        return new loki.LokiMemoryAdapter();
+    },
+    encrypted: function(options) {
+        return new EncryptedAdapter(options);
+    },
+    journal: function(options) {
+        return new JournalAdapter(options);
+    },
+    partitioning: function(options) {
+        var base = options.encryption ? new EncryptedAdapter(options.encryption) : new loki.LokiFsAdapter();
+        var adapter = new loki.LokiPartitioningAdapter(base, {
+            paging: options.paging === true,
+            pageSize: options.pageSize || 25 * 1024 * 1024
+        });
+        var loadDatabase = adapter.loadDatabase;
+
+        // loki's partitioning adapter carries on (and throws) when the container can not be loaded, 
+        // or does not exist yet, so those are reported from here instead
+        adapter.loadDatabase = function(dbname, callback) {
+            var baseLoad = base.loadDatabase;
+
+            base.loadDatabase = function(name, containerCallback) {
+                base.loadDatabase = baseLoad;
+
+                baseLoad.call(base, name, function(result) {
+                    if (typeof result !== "string") {
+                        callback(result instanceof Error ? result : null);
+                        return;
+                    }
+
+                    containerCallback(result);
+                });
+            };
+
+            loadDatabase.call(adapter, dbname, callback);
+        };
+
+        return adapter;
+    }
+};
+
+/**
+ * Creates an adapter from settings
+ * @param {string|object} settings - type name, or { type, ...options }
+ */
+function createAdapter(settings) {
+    var options = typeof settings === "string" ? { type: settings } : settings;
+
+    if (!options || typeof options !== "object" || !adapterFactories.hasOwnProperty(options.type)) {
+        throw new Error("Unknown adapter : " + (options && typeof options === "object" ? options.type : options) +
+            " (expected one of " + Object.keys(adapterFactories).join(", ") + ")");
+    }
+
+    return adapterFactories[options.type](options);
+}
+
+/**
+ * Names the type of an adapter, for stats
+ * @param {object} adapter
+ */
+function adapterType(adapter) {
+    if (adapter instanceof JournalAdapter) return "journal";
+    if (adapter instanceof EncryptedAdapter) return "encrypted";
+    if (adapter instanceof loki.LokiPartitioningAdapter) return "partitioning";
+    if (adapter instanceof loki.LokiFsAdapter) return "fs";
+    if (adapter instanceof loki.LokiMemoryAdapter) return "memory";
+
+    return (adapter.constructor && adapter.constructor.name) || "custom";
+}
+
+/**
+ * Tracks the loads and saves made through an adapter (once per adapter), returning the stats it keeps :
+ * { adapter, loads, loadFailures, lastLoad, saves, saveFailures, lastSave, lastError }
+ * where lastLoad and lastSave are the times of the last successful ones, and lastError is
+ * { operation, message, timestamp }.
+ *
+ * @param {object} adapter - loki persistence adapter
+ */
+function trackAdapter(adapter) {
+    if (adapter.persistenceStats) {
+        return adapter.persistenceStats;
+    }
+
+    var stats = adapter.persistenceStats = {
+        adapter: adapterType(adapter),
+        loads: 0,
+        loadFailures: 0,
+        lastLoad: null,
+        saves: 0,
+        saveFailures: 0,
+        lastSave: null,
+        lastError: null
+    };
+
+    // load callbacks receive the data (or an Error), save callbacks an error (if any)
+    function track(method, operation) {
+        var original = adapter[method];
+
+        if (typeof original !== "function") {
+            return;
+        }
+
+        adapter[method] = function() {
+            var args = Array.prototype.slice.call(arguments);
+            var callback = args.pop();
+
+            args.push(function(result) {
+                var err = operation === "load" ? (result instanceof Error ? result : null) : result;
+                var now = (new Date()).getTime();
+
+                stats[operation + "s"]++;
+
+                if (err) {
+                    stats[operation + "Failures"]++;
+                    stats.lastError = { operation: operation, message: err.message || String(err), timestamp: now };
+                }
+                else {
+                    stats[operation === "load" ? "lastLoad" : "lastSave"] = now;
+                }
+
+                callback.apply(this, arguments);
+            });
+
+            return original.apply(adapter, args);
+        };
+    }
+
+    track("loadDatabase", "load");
+    track("saveDatabase", "save");
+    track("exportDatabase", "save");
+
+    return stats;
+}
+
+module.exports = {
+    adapterTypes: Object.keys(adapterFactories),
+    createAdapter: createAdapter,
+    trackAdapter: trackAdapter,
+    resolveKey: resolveKey,
+    EncryptedAdapter: EncryptedAdapter,
+    JournalAdapter: JournalAdapter
+};
@@ -0,0 +1,394 @@
+/**
+ * lokiservice-aggregate.js
+ *
+ * Grouping and accumulation for lokiservice.js's aggregate export.  A pipeline is an object whose
+ * stages are applied in this order :
+ * {
+ *     unwind: "tags",                          // field(s) holding arrays, each element becoming its own row
+ *     groupBy: ["category", "tags"],           // field(s) to group on, or { alias: field }, omit for one group
+ *     accumulators: {                          // computed values per group, { name: { op: field } }
+ *         orders: { count: true },
+ *         revenue: { sum: "amount" },
+ *         avgAmount: { avg: "amount" },
+ *         customers: { distinct: "customer.name" }
+ *     },
+ *     sort: [["revenue", true]],               // sort of the resulting rows, see lokiservice.js normalizeSort
+ *     skip: 0,
+ *     limit: 10
+ * }
+ *
+ * Accumulators are count (true for every row, or a field to count rows where it is set), sum, avg,
+ * min, max, distinct (array of distinct values, in order of appearance), first and last (by order of
+ * the source rows).  Fields may be dotted paths into nested objects.  Unwinding a field drops rows
+ * where it is missing, null or an empty array (values which are not arrays are kept as is).
+ *
+ * Each resulting row holds the group key fields (named by field, or by alias) and the accumulators.
+ * Without groupBy there is exactly one row, even if there are no source documents.
+ */
+const loki = require("lokijs");
+
+// accumulator operations, each creating state (init), adding a value to it (add) and producing the result
+var accumulatorOps = {
+    count: {
+        init: function() { return 0; },
+        add: function(state, value, counted) { return counted ? state + 1 : state; },
+        result: function(state) { return state; }
+    },
+    sum: {
+        init: function() { return 0; },
+        add: function(state, value) { return isNumber(value) ? state + value : state; },
+        result: function(state) { return state; }
+    },
+    avg: {
+        init: function() { return { sum: 0, count: 0 }; },
+        add: function(state, value) {
+            if (isNumber(value)) {
+                state.sum += value;
+                state.count++;
+            }
+
+            return state;
+        },
+        result: function(state) { return state.count ? state.sum / state.count : null; }
+    },
+    min: {
+        init: function() { return null; },
+        add: function(state, value) { return isSet(value) && (state === null || loki.lt(value, state, false)) ? value : state; },
+        result: function(state) { return state; }
+    },
+    max: {
+        init: function() { return null; },
+        add: function(state, value) { return isSet(value) && (state === null || loki.gt(value, state, false)) ? value : state; },
+        result: function(state) { return state; }
+    },
+    distinct: {
+        init: function() { return { seen: {}, values: [] }; },
+        add: function(state, value) {
+            var key = valueKey(value);
+
+            if (isSet(value) && !state.seen.hasOwnProperty(key)) {
+                state.seen[key] = true;
+                state.values.push(value);
+            }
+
+            return state;
+        },
+        result: function(state) { return state.values; }
+    },
+    first: {
+        init: function() { return { found: false, value: null }; },
+        add: function(state, value) {
+            if (!state.found) {
+                state.found = true;
+                state.value = value === undefined ? null : value;
+            }
+
+            return state;
+        },
+        result: function(state) { return state.value; }
+    },
+    last: {
+        init: function() { return null; },
+        add: function(state, value) { return value === undefined ? null : value; },
+        result: function(state) { return state; }
+    }
+};
+
+/**
+ * Determines whether a value is a finite number
+ * @param {*} value
+ */
+function isNumber(value) {
+    return typeof value === "number" && isFinite(value);
+}
+
+/**
+ * Determines whether a value is neither undefined nor null
+ * @param {*} value
+ */
+function isSet(value) {
+    return value !== undefined && value !== null;
+}
+
+/**
+ * Returns a string identifying a value, used to compare group keys and distinct values
+ * @param {*} value
+ */
+function valueKey(value) {
+    if (value instanceof Date) {
+        return "date:" + value.getTime();
+    }
+
+    return value === undefined ? "undefined" : JSON.stringify(value);
+}
+
+/**
+ * Normalizes a field (or array of fields) stage setting into an array of field paths
+ * @param {string|array} fields
+ */
+function fieldList(fields) {
+    return Array.isArray(fields) ? fields : [fields];
+}
+
+/**
+ * Normalizes the groupBy stage into [name, field] pairs
+ * @param {string|array|object=} groupBy
+ */
+function groupFields(groupBy) {
+    if (groupBy === undefined || groupBy === null) {
+        return [];
+    }
+
+    if (typeof groupBy === "object" && !Array.isArray(groupBy)) {
+        return Object.keys(groupBy).map(function(name) {
+            return [name, groupBy[name]];
+        });
+    }
+
+    return fieldList(groupBy).map(function(field) {
+        return [field, field];
+    });
+}
+
+/**
+ * Determines whether a value is a usable field path
+ * @param {*} field
+ */
+function isField(field) {
+    return typeof field === "string" && field.length > 0;
+}
+
+/**
+ * Checks a pipeline, returning a list of problems (empty if it may be run)
+ * @param {object} pipeline
+ */
+function checkPipeline(pipeline) {
+    var errors = [];
+
+    if (pipeline === null || typeof pipeline !== "object" || Array.isArray(pipeline)) {
+        return ["pipeline must be an object"];
+    }
+
+    Object.keys(pipeline).forEach(function(stage) {
+        if (["unwind", "groupBy", "accumulators", "sort", "skip", "limit"].indexOf(stage) === -1) {
+            errors.push("unknown stage '" + stage + "'");
+        }
+    });
+
+    if (isSet(pipeline.unwind) && !fieldList(pipeline.unwind).every(isField)) {
+        errors.push("unwind must be a field or array of fields");
+    }
+
+    if (isSet(pipeline.groupBy)) {
+        var fields = groupFields(pipeline.groupBy);
+
+        if (!fields.length || !fields.every(function(pair) { return isField(pair[1]); })) {
+            errors.push("groupBy must be a field, an array of fields or an object of aliased fields");
+        }
+    }
+
+    var accumulators = pipeline.accumulators || {};
+
+    if (typeof accumulators !== "object" || Array.isArray(accumulators)) {
+        errors.push("accumulators must be an object");
+        accumulators = {};
+    }
+
+    Object.keys(accumulators).forEach(function(name) {
+        var spec = accumulators[name];
+        var ops = (spec !== null && typeof spec === "object") ? Object.keys(spec) : [];
+
+        if (ops.length !== 1 || !accumulatorOps.hasOwnProperty(ops[0])) {
+            errors.push("accumulator '" + name + "' must be { op: field } where op is one of " + Object.keys(accumulatorOps).join(", "));
+        }
+        else if (!isField(spec[ops[0]]) && !(ops[0] === "count" && spec.count === true)) {
+            errors.push("accumulator '" + name + "' must name a field");
+        }
+        else if (groupFields(pipeline.groupBy).some(function(pair) { return pair[0] === name; })) {
+            errors.push("accumulator '" + name + "' has the same name as a group key");
+        }
+    });
+
+    ["skip", "limit"].forEach(function(name) {
+        if (isSet(pipeline[name]) && (!isNumber(pipeline[name]) || pipeline[name] < 0 || Math.floor(pipeline[name]) !== pipeline[name])) {
+            errors.push(name + " must be a non-negative integer");
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Returns the value at a (dotted) field path of a row, consulting values unwound from arrays first
+ * @param {object} row - { doc, unwound } where unwound maps unwound field paths to their element
+ * @param {string} field
+ */
+function fieldValue(row, field) {
+    var paths = Object.keys(row.unwound);
+
+    for (var idx = 0; idx < paths.length; idx++) {
+        if (field === paths[idx]) {
+            return row.unwound[paths[idx]];
+        }
+
+        if (field.indexOf(paths[idx] + ".") === 0) {
+            return pathValue(row.unwound[paths[idx]], field.substr(paths[idx].length + 1));
+        }
+    }
+
+    return pathValue(row.doc, field);
+}
+
+/**
+ * Returns the value at a (dotted) field path of an object
+ * @param {*} value
+ * @param {string} field
+ */
+function pathValue(value, field) {
+    var segments = field.split(".");
+
+    for (var idx = 0; idx < segments.length; idx++) {
+        if (value === null || typeof value !== "object") {
+            return undefined;
+        }
+
+        value = value[segments[idx]];
+    }
+
+    return value;
+}
+
+/**
+ * Expands rows by the elements of an array field
+ * @param {array} rows
+ * @param {string} field
+ */
+function unwindRows(rows, field) {
+    var result = [];
+
+    rows.forEach(function(row) {
+        var value = fieldValue(row, field);
+
+        if (!isSet(value)) {
+            return;
+        }
+
+        (Array.isArray(value) ? value : [value]).forEach(function(element) {
+            var unwound = Object.assign({}, row.unwound);
+            unwound[field] = element;
+
+            result.push({ doc: row.doc, unwound: unwound });
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Sorts rows by [field, desc] criteria, as loki's compoundsort would
+ * @param {array} rows
+ * @param {array} criteria
+ */
+function sortRows(rows, criteria) {
+    return rows.sort(function(a, b) {
+        for (var idx = 0; idx < criteria.length; idx++) {
+            var field = criteria[idx][0], desc = criteria[idx][1];
+            var left = a[field], right = b[field];
+
+            if (loki.lt(left, right, false)) {
+                return desc ? 1 : -1;
+            }
+
+            if (loki.gt(left, right, false)) {
+                return desc ? -1 : 1;
+            }
+        }
+
+        return 0;
+    });
+}
+
+/**
+ * Runs a (checked) pipeline over documents, returning the resulting rows
+ * @param {array} docs - source documents, in the order first/last accumulate them
+ * @param {object} pipeline - see checkPipeline; sort must already be [field, desc] pairs
+ */
+function aggregate(docs, pipeline) {
+    var keys = groupFields(pipeline.groupBy);
+    var accumulators = pipeline.accumulators || {};
+    var names = Object.keys(accumulators);
+    var groups = {}, order = [];
+
+    function addGroup(groupKey, values) {
+        var group = groups[groupKey] = { values: values, states: {} };
+        order.push(groupKey);
+
+        names.forEach(function(name) {
+            group.states[name] = accumulatorOps[Object.keys(accumulators[name])[0]].init();
+        });
+
+        return group;
+    }
+
+    // without group keys everything accumulates into one group (which exists even if nothing does)
+    if (!keys.length) {
+        addGroup("", []);
+    }
+
+    var rows = docs.map(function(doc) {
+        return { doc: doc, unwound: {} };
+    });
+
+    if (isSet(pipeline.unwind)) {
+        fieldList(pipeline.unwind).forEach(function(field) {
+            rows = unwindRows(rows, field);
+        });
+    }
+
+    rows.forEach(function(row) {
+        var values = keys.map(function(pair) {
+            var value = fieldValue(row, pair[1]);
+
+            return value === undefined ? null : value;
+        });
+        var groupKey = values.map(valueKey).join("\u0000");
+        var group = groups.hasOwnProperty(groupKey) ? groups[groupKey] : addGroup(groupKey, values);
+
+        names.forEach(function(name) {
+            var op = Object.keys(accumulators[name])[0];
+            var field = accumulators[name][op];
+            var value = field === true ? undefined : fieldValue(row, field);
+
+            group.states[name] = accumulatorOps[op].add(group.states[name], value, field === true || isSet(value));
+        });
+    });
+
+    var result = order.map(function(groupKey) {
+        var group = groups[groupKey];
+        var row = {};
+
+        keys.forEach(function(pair, idx) {
+            row[pair[0]] = group.values[idx];
+        });
+
+        names.forEach(function(name) {
+            row[name] = accumulatorOps[Object.keys(accumulators[name])[0]].result(group.states[name]);
+        });
+
+        return row;
+    });
+
+    if (pipeline.sort && pipeline.sort.length) {
+        result = sortRows(result, pipeline.sort);
+    }
+
+    var skip = pipeline.skip || 0;
+
+    return result.slice(skip, isSet(pipeline.limit) ? skip + pipeline.limit : undefined);
+}
+
+module.exports = {
+    accumulators: Object.keys(accumulatorOps),
+    checkPipeline: checkPipeline,
+    aggregate: aggregate
+};
@@ -0,0 +1,268 @@
+/**
+ * lokiservice-changes.js
+ *
+ * In-memory change feed for a hosted database instance.  lokiservice.js creates one ChangeFeed per
+ * registered instance and attaches it to each collection's insert, update and delete events.
+ *
+ * Change records are kept in a fixed size ring buffer, so clients polling with the last sequence
+ * number they saw will receive every change since then, unless they fall more than 'capacity'
+ * changes behind (reported as 'truncated', meaning the client should resynchronize).
+ *
+ * A change record looks like :
+ * {
+ *     seq: 42,                   // monotonically increasing (per instance) sequence number
+ *     timestamp: 1508766123456,
+ *     collection: "users",
+ *     operation: "update",       // insert, update or delete
+ *     $loki: 7,
+ *     document: { ... }          // copy of the document as inserted/updated, or as it was when deleted
+ * }
+ */
+
+/**
+ * Copies a document so later modifications to the stored document are not reflected in the record
+ * @param {object} doc
+ */
+function copyDocument(doc) {
+    return JSON.parse(JSON.stringify(doc));
+}
+
+/**
+ * @param {int} capacity - maximum number of change records to retain
+ */
+function ChangeFeed(capacity) {
+    this.capacity = capacity;
+    this.ring = new Array(capacity);
+    this.count = 0;
+    this.seq = 0;
+
+    // while suspended (e.g. during a transaction), records are held until resumed
+    this.suspended = 0;
+    this.held = [];
+
+    // long poll requests waiting for changes
+    this.waiters = [];
+
+    // collections we have attached listeners to
+    this.attached = [];
+}
+
+/**
+ * Begins recording changes made to a collection (once per collection instance)
+ * @param {Collection} coll
+ */
+ChangeFeed.prototype.attach = function(coll) {
+    var self = this;
+
+    if (this.attached.indexOf(coll) !== -1) {
+        return;
+    }
+
+    this.attached.push(coll);
+
+    ["insert", "update", "delete"].forEach(function(operation) {
+        coll.on(operation, function(docs) {
+            // batch inserts emit an array of documents
+            (Array.isArray(docs) ? docs : [docs]).forEach(function(doc) {
+                self.record(coll.name, operation, doc);
+            });
+        });
+    });
+};
+
+/**
+ * Records a single change
+ * @param {string} collection - collection name
+ * @param {string} operation - insert, update or delete
+ * @param {object} doc - affected document
+ */
+ChangeFeed.prototype.record = function(collection, operation, doc) {
+    var change = {
+        seq: 0,
+        timestamp: (new Date()).getTime(),
+        collection: collection,
+        operation: operation,
+        $loki: doc.$loki,
+        document: copyDocument(doc)
+    };
+
+    if (this.suspended) {
+        this.held.push(change);
+        return;
+    }
+
+    this.append([change]);
+};
+
+/**
+ * Assigns sequence numbers to, and stores, new change records then notifies waiting requests
+ * @param {array} changes
+ */
+ChangeFeed.prototype.append = function(changes) {
+    var self = this;
+
+    if (!changes.length) {
+        return;
+    }
+
+    changes.forEach(function(change) {
+        change.seq = ++self.seq;
+
+        self.ring[(change.seq - 1) % self.capacity] = change;
+        self.count = Math.min(self.count + 1, self.capacity);
+    });
+
+    this.notify();
+};
+
+/**
+ * Holds new change records until resume is called (calls may be nested)
+ */
+ChangeFeed.prototype.suspend = function() {
+    this.suspended++;
+};
+
+/**
+ * Ends a suspend, either publishing or discarding the changes recorded while suspended
+ * @param {boolean} publish - true to publish held changes, false to discard them (e.g. on rollback)
+ */
+ChangeFeed.prototype.resume = function(publish) {
+    this.suspended--;
+
+    if (this.suspended > 0) {
+        return;
+    }
+
+    var held = this.held;
+    this.held = [];
+
+    if (publish) {
+        this.append(held);
+    }
+};
+
+/**
+ * Returns changes recorded after a sequence number
+ *
+ * @param {int} seq - last sequence number the caller has seen (0 for all retained changes)
+ * @param {string=} collection - only return changes to this collection
+ * @param {int=} limit - maximum number of changes to return
+ * @returns {object} { changes, lastSeq, oldestSeq, truncated }
+ */
+ChangeFeed.prototype.since = function(seq, collection, limit) {
+    var oldestSeq = this.seq - this.count + 1;
+    var changes = [];
+    var current;
+
+    seq = seq || 0;
+
+    // the caller has seen sequence numbers we never issued (e.g. before a service restart)
+    if (seq > this.seq) {
+        return {
+            changes: changes,
+            lastSeq: this.seq,
+            oldestSeq: this.count ? oldestSeq : null,
+            truncated: true
+        };
+    }
+
+    for (current = Math.max(seq + 1, oldestSeq); current <= this.seq; current++) {
+        if (limit && changes.length >= limit) {
+            break;
+        }
+
+        var change = this.ring[(current - 1) % this.capacity];
+
+        if (!collection || change.collection === collection) {
+            changes.push(change);
+        }
+    }
+
+    return {
+        changes: changes,
+        // the caller should pass this back next time, so it is the last sequence number we examined
+        lastSeq: Math.max(seq, current - 1),
+        oldestSeq: this.count ? oldestSeq : null,
+        // if changes the caller has not seen have already been overwritten, it needs to resynchronize
+        truncated: seq + 1 < oldestSeq && this.count > 0
+    };
+};
+
+/**
+ * Waits (up to timeout ms) until changes after seq are available, then invokes callback with
+ * the same result as since().  Invokes callback immediately if changes are already available.
+ *
+ * @param {int} seq
+ * @param {string=} collection
+ * @param {int=} limit
+ * @param {int} timeout - milliseconds to wait before responding with no changes
+ * @param {function} callback - accepting since() result
+ */
+ChangeFeed.prototype.wait = function(seq, collection, limit, timeout, callback) {
+    var self = this;
+    var result = this.since(seq, collection, limit);
+
+    if (result.changes.length || result.truncated) {
+        callback(result);
+        return;
+    }
+
+    var waiter = {
+        seq: seq,
+        collection: collection,
+        limit: limit,
+        callback: callback,
+        timer: setTimeout(function() {
+            self.release(waiter);
+        }, timeout)
+    };
+
+    this.waiters.push(waiter);
+};
+
+/**
+ * Removes a waiter and responds to it with whatever changes are available
+ * @param {object} waiter
+ */
+ChangeFeed.prototype.release = function(waiter) {
+    var index = this.waiters.indexOf(waiter);
+
+    if (index === -1) {
+        return;
+    }
+
+    this.waiters.splice(index, 1);
+    clearTimeout(waiter.timer);
+
+    waiter.callback(this.since(waiter.seq, waiter.collection, waiter.limit));
+};
+
+/**
+ * Responds to any waiters which now have changes available
+ */
+ChangeFeed.prototype.notify = function() {
+    var self = this;
+
+    this.waiters.slice().forEach(function(waiter) {
+        var result = self.since(waiter.seq, waiter.collection, waiter.limit);
+
+        if (result.changes.length) {
+            self.release(waiter);
+        }
+    });
+};
+
+/**
+ * Responds to all waiters (e.g. when the instance is shutting down)
+ */
+ChangeFeed.prototype.close = function() {
+    var self = this;
+
+    this.waiters.slice().forEach(function(waiter) {
+        self.release(waiter);
+    });
+};
+
+module.exports = {
+    ChangeFeed: ChangeFeed
+};
@@ -0,0 +1,410 @@
+/**
+ * lokiservice-descriptor.js
+ *
+ * Builds 'service initializers' from declarative JSON or YAML descriptor files, so databases can
+ * be added without writing an initializer module.  lokiservice.js uses this whenever the
+ * initializer name it is given ends in .json, .yaml or .yml.
+ *
+ * A descriptor looks like :
+ * {
+ *     "options": { "adapter": "fs", "autosave": true, "autosaveInterval": 4000 },
+ *     "collections": {
+ *         "users": {
+ *             "options": { "indices": ["age"], "unique": ["name"], "clone": false },
+ *             "schema": { "type": "object", "required": ["name"], "properties": { "name": { "type": "string" } } },
+ *             "seed": "users.seed.json",
+ *             "optimisticLocking": true,
+ *             "fullText": { "fields": ["name", "tags"], "stemming": true },
+ *             "ttl": { "field": "meta.updated", "age": 86400000 },
+ *             "transforms": {
+ *                 "byAge": [ { "type": "simplesort", "property": "age" } ],
+ *                 "olderThan": {
+ *                     "steps": [ { "type": "find", "value": { "age": { "$gt": "[%lktxp]Age" } } } ],
+ *                     "params": { "Age": { "type": "number", "default": 100 } }
+ *                 }
+ *             },
+ *             "dynamicViews": {
+ *                 "Youngsters": {
+ *                     "options": { "persistent": false },
+ *                     "steps": [
+ *                         { "type": "find", "value": { "age": { "$lt": 100 } } },
+ *                         { "type": "simplesort", "property": "age", "desc": true }
+ *                     ]
+ *                 }
+ *             }
+ *         }
+ *     }
+ * }
+ *
+ * Like hand written initializers, existing collections and dynamic views are reconciled rather than
+ * re-created : missing indices are added and collection settings reapplied, transforms are always
+ * (re)set, dynamic views are only created if missing, and seed data is only inserted when the
+ * collection is first created.
+ *
+ * Collections with "optimisticLocking": true only accept updates, patches and removes which give
+ * the revision of the document they change (see the initializer's 'optimisticLocking' setting).
+ *
+ * A collection's "fullText" declares its full-text index (see lokiservice-search.js), and its "ttl"
+ * when its documents expire (see lokiservice-maintenance.js).  The latter is enforced by the service,
+ * unlike loki's own "ttl" collection option.
+ *
+ * Transforms are either an array of steps or { steps, params } where params declares the transform's
+ * parameters (see lokiservice-transforms.js).
+ *
+ * The "adapter" option names any of the adapters of lokiservice-adapters.js, with the adapter's own
+ * options given as "adapterOptions", e.g. "adapter": "journal", "adapterOptions": { "fsync": true }.
+ * An adapter selected for the instance by the service (see lokiservice.js adapterSettings) is used
+ * instead, if there is one.
+ *
+ * The top level 'initTimeout', 'allowSchemaChanges', 'transformPolicy', 'snapshotPolicy' and 'jobs'
+ * properties are passed through as the corresponding initializer settings.
+ *
+ * 'where' steps (in transforms and dynamic views) accept a string containing the body of a filter
+ * function taking 'obj', e.g. "return obj.age > 100;".  Descriptors are trusted configuration, just
+ * like initializer modules.
+ */
+const fs = require("fs");
+const path = require("path");
+const loki = require("lokijs");
+const adapters = require("./lokiservice-adapters.js");
+
+// persistence adapters which may be named in descriptor options, created from its adapterOptions
+var adapterFactories = {};
+
+adapters.adapterTypes.forEach(function(type) {
+    adapterFactories[type] = function(adapterOptions) {
+        return adapters.createAdapter(Object.assign({}, adapterOptions, { type: type }));
+    };
+});
+
+// top level descriptor properties which are passed through as initializer settings (see lokiservice.js)
+var initializerSettings = ["initTimeout", "allowSchemaChanges", "transformPolicy", "snapshotPolicy", "jobs"];
+
+// loki collection options which may be reapplied to an already existing collection
+var reconciledOptions = {
+    clone: "cloneObjects",
+    cloneMethod: "cloneMethod",
+    adaptiveBinaryIndices: "adaptiveBinaryIndices",
+    autoupdate: "autoupdate",
+    asyncListeners: "asyncListeners",
+    disableChangesApi: "disableChangesApi",
+    transactional: "transactional"
+};
+
+/**
+ * Determines whether an initializer name refers to a descriptor file
+ * @param {string} serviceName - initializer module name/path
+ */
+function isDescriptor(serviceName) {
+    return /\.(json|ya?ml)$/i.test(serviceName);
+}
+
+/**
+ * Reads and parses a JSON or YAML file
+ * @param {string} filename
+ */
+function readDocument(filename) {
+    var text = fs.readFileSync(filename, "utf8");
+
+    if (/\.ya?ml$/i.test(filename)) {
+        return require("js-yaml").load(text);
+    }
+
+    return JSON.parse(text);
+}
+
+/**
+ * Compiles a serialized 'where' filter (function body string) into a function
+ * @param {string|function} value
+ */
+function compileWhere(value) {
+    if (typeof value === "function") {
+        return value;
+    }
+
+    if (typeof value !== "string") {
+        throw new Error("'where' steps require a function body string");
+    }
+
+    return new Function("obj", value);
+}
+
+/**
+ * Returns a copy of transform steps with any serialized 'where' filters compiled
+ * @param {array} steps
+ */
+function compileSteps(steps) {
+    if (!Array.isArray(steps)) {
+        throw new Error("Transform and dynamic view steps must be arrays");
+    }
+
+    return steps.map(function(step) {
+        if (step.type === "where") {
+            return Object.assign({}, step, { value: compileWhere(step.value) });
+        }
+
+        return step;
+    });
+}
+
+/**
+ * Returns the steps of a declared transform, which may be given as an array of steps or as { steps, params }
+ * @param {array|object} decl - transform declaration
+ */
+function transformSteps(decl) {
+    return Array.isArray(decl) ? decl : (decl || {}).steps;
+}
+
+/**
+ * Applies (compiled) steps (find, where, simplesort, compoundsort) to a new dynamic view
+ * @param {DynamicView} dv
+ * @param {array} steps
+ */
+function applyViewSteps(dv, steps) {
+    if (!Array.isArray(steps)) {
+        throw new Error("Dynamic view steps must be an array");
+    }
+
+    steps.forEach(function(step) {
+        switch (step.type) {
+            case "find":
+                dv.applyFind(step.value);
+                break;
+            case "where":
+                if (typeof step.value !== "function") {
+                    throw new Error("'where' steps require a filter function");
+                }
+                dv.applyWhere(step.value);
+                break;
+            case "simplesort":
+                dv.applySimpleSort(step.property, step.desc);
+                break;
+            case "compoundsort":
+                dv.applySortCriteria(step.value);
+                break;
+            default:
+                throw new Error("Unsupported dynamic view step type : " + step.type);
+        }
+    });
+}
+
+/**
+ * Loads seed documents, either declared inline (array) or as a JSON/YAML file relative to the descriptor
+ * @param {array|string} seed
+ * @param {string} baseDir - directory of the descriptor file
+ */
+function loadSeed(seed, baseDir) {
+    if (typeof seed === "string") {
+        seed = readDocument(path.resolve(baseDir, seed));
+    }
+
+    if (!Array.isArray(seed)) {
+        throw new Error("Seed data must be an array of documents");
+    }
+
+    return seed;
+}
+
+/**
+ * Creates or reconciles a single declared collection
+ * @param {Loki} db
+ * @param {string} name - collection name
+ * @param {object} decl - collection declaration
+ * @param {string} baseDir - directory of the descriptor file
+ */
+function reconcileCollection(db, name, decl, baseDir) {
+    var options = decl.options || {};
+    var coll = db.getCollection(name);
+
+    if (coll === null) {
+        coll = db.addCollection(name, options);
+
+        if (decl.seed) {
+            coll.insert(loadSeed(decl.seed, baseDir));
+        }
+    }
+    else {
+        (options.indices || []).forEach(function(field) {
+            if (!coll.binaryIndices.hasOwnProperty(field)) {
+                coll.ensureIndex(field);
+            }
+        });
+
+        (options.unique || []).forEach(function(field) {
+            if (coll.uniqueNames.indexOf(field) === -1) {
+                coll.ensureUniqueIndex(field);
+            }
+        });
+
+        Object.keys(reconciledOptions).forEach(function(option) {
+            if (options.hasOwnProperty(option)) {
+                coll[reconciledOptions[option]] = options[option];
+            }
+        });
+
+        if (options.hasOwnProperty("ttl")) {
+            // stop any existing ttl daemon before (re)applying
+            coll.setTTL(-1);
+
+            if (options.ttl > 0) {
+                coll.setTTL(options.ttl, options.ttlInterval);
+            }
+        }
+    }
+
+    var transforms = decl.transforms || {};
+
+    Object.keys(transforms).forEach(function(transformName) {
+        coll.setTransform(transformName, compileSteps(transformSteps(transforms[transformName])));
+    });
+
+    var views = decl.dynamicViews || {};
+
+    Object.keys(views).forEach(function(viewName) {
+        if (!coll.getDynamicView(viewName)) {
+            applyViewSteps(coll.addDynamicView(viewName, views[viewName].options), compileSteps(views[viewName].steps || []));
+        }
+    });
+}
+
+/**
+ * Creates a service initializer (object exposing init) from a parsed descriptor
+ *
+ * @param {object} descriptor - parsed descriptor
+ * @param {string} baseDir - directory which seed files are resolved relative to
+ */
+function createInitializer(descriptor, baseDir) {
+    var initializer = {
+        init: function(filename, callback, settings) {
+            var options = Object.assign({}, descriptor.options);
+            var db;
+
+            // an adapter selected by the service replaces the declared one
+            if (settings && settings.adapter) {
+                options.adapter = settings.adapter;
+                delete options.adapterOptions;
+            }
+
+            // there is never anything to load into a fresh memory adapter, so only autoload persistent adapters
+            var autoload = options.hasOwnProperty("autoload") ? options.autoload : options.adapter !== "memory";
+
+            delete options.autoload;
+            delete options.autoloadCallback;
+
+            if (typeof options.adapter === "string") {
+                if (!adapterFactories.hasOwnProperty(options.adapter)) {
+                    callback(new Error("Unknown adapter : " + options.adapter));
+                    return;
+                }
+
+                try {
+                    options.adapter = adapterFactories[options.adapter](options.adapterOptions || {});
+                }
+                catch (err) {
+                    callback(err);
+                    return;
+                }
+            }
+            delete options.adapterOptions;
+
+            function reconcile(err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                try {
+                    var collections = descriptor.collections || {};
+
+                    Object.keys(collections).forEach(function(name) {
+                        reconcileCollection(db, name, collections[name], baseDir);
+                    });
+                }
+                catch (reconcileErr) {
+                    callback(reconcileErr);
+                    return;
+                }
+
+                callback(db);
+            }
+
+            db = new loki(filename, options);
+
+            if (autoload) {
+                db.loadDatabase({}, reconcile);
+            }
+            else {
+                reconcile();
+            }
+        }
+    };
+
+    initializerSettings.forEach(function(setting) {
+        if (descriptor.hasOwnProperty(setting)) {
+            initializer[setting] = descriptor[setting];
+        }
+    });
+
+    // schemas, optimistic locking, full-text indexes, ttl settings and transform parameters are declared
+    // alongside each collection, so gather them into the settings the initializer exports
+    var collections = descriptor.collections || {};
+
+    initializer.schemas = {};
+    initializer.transformParameters = {};
+    initializer.optimisticLocking = [];
+    initializer.fullTextIndexes = {};
+    initializer.ttl = {};
+
+    Object.keys(collections).forEach(function(name) {
+        var transforms = collections[name].transforms || {};
+
+        if (collections[name].schema) {
+            initializer.schemas[name] = collections[name].schema;
+        }
+
+        if (collections[name].optimisticLocking === true) {
+            initializer.optimisticLocking.push(name);
+        }
+
+        if (collections[name].fullText) {
+            initializer.fullTextIndexes[name] = collections[name].fullText;
+        }
+
+        if (collections[name].ttl) {
+            initializer.ttl[name] = collections[name].ttl;
+        }
+
+        // only transforms declared as objects can carry params
+        Object.keys(transforms).forEach(function(transformName) {
+            if (!Array.isArray(transforms[transformName]) && transforms[transformName].params) {
+                initializer.transformParameters[name] = initializer.transformParameters[name] || {};
+                initializer.transformParameters[name][transformName] = transforms[transformName].params;
+            }
+        });
+    });
+
+    return initializer;
+}
+
+/**
+ * Loads a descriptor file and creates a service initializer from it
+ * @param {string} descriptorPath - path to .json, .yaml or .yml descriptor
+ */
+function loadDescriptor(descriptorPath) {
+    var descriptor = readDocument(descriptorPath);
+
+    if (descriptor === null || typeof descriptor !== "object") {
+        throw new Error("Descriptor must contain an object");
+    }
+
+    return createInitializer(descriptor, path.dirname(path.resolve(descriptorPath)));
+}
+
+module.exports = {
+    isDescriptor: isDescriptor,
+    loadDescriptor: loadDescriptor,
+    createInitializer: createInitializer,
+    applyViewSteps: applyViewSteps,
+    readDocument: readDocument,
+    adapterFactories: adapterFactories
+};
@@ -0,0 +1,676 @@
+/**
+ * lokiservice-http.js
+ *
+ * Standalone HTTP/REST front end for the service layer, built on node's http module.  It exposes
+ * the native interface of lokiservice.js as JSON routes so that non .NET services (and test harnesses)
+ * can use the same hosted databases.
+ *
+ * Initializers are never named directly in urls.  Instead the server is configured with a map of
+ * service aliases, each naming an initializer (module or descriptor) and the directory its database
+ * files live in :
+ *
+ * const server = require("loki-nodeservice/lokiservice-http.js").createServer({
+ *     services: {
+ *         demo1: { initializer: __dirname + "/demo1-service.init.js", dataDir: __dirname }
+ *     }
+ * });
+ * server.listen(8080);
+ *
+ * Routes (":db" is a database file name within the service's dataDir) :
+ *   GET    /stats                                       service stats
+ *   GET    /metrics                                     service metrics (prometheus text format)
+ *   GET    /instances                                   list instances
+ *   GET    /:service/:db/stats                          instance stats (DATABASE_NOT_LOADED, 404, if not loaded)
+ *   POST   /:service/:db/open                           open instance
+ *   POST   /:service/:db/close                          flush and close instance
+ *   POST   /:service/:db/reload                         discard and reinitialize instance
+ *   GET    /:service/:db/snapshots                      list snapshots
+ *   POST   /:service/:db/snapshots                      take snapshot (body : { collections, gzip, label })
+ *   POST   /:service/:db/snapshots/:name/restore        restore snapshot
+ *   GET    /:service/:db/changes?seq=&limit=&wait=      change feed (all collections, wait = long poll ms)
+ *   POST   /:service/:db/execute                        transactional batch (body : operations array)
+ *   GET    /:service/:db/:collection/changes?seq=&limit=&wait=
+ *   POST   /:service/:db/:collection/find               find (body : query)
+ *   POST   /:service/:db/:collection/query              findPaged (body : { query, options })
+ *   POST   /:service/:db/:collection/search             full-text search (body : { text, ...options })
+ *   POST   /:service/:db/:collection/aggregate          aggregate (body : { source, pipeline })
+ *   POST   /:service/:db/:collection/join               join (body : { source, joins })
+ *   POST   /:service/:db/:collection/transform          raw transform (body : { transform, params }, ?dataInvoke=false for the resultset)
+ *   POST   /:service/:db/:collection/transforms/:name   named transform (body : params, ?dataInvoke=false for the resultset)
+ *   PUT    /:service/:db/:collection/transforms/:name   set transform (body : transform steps)
+ *   DELETE /:service/:db/:collection/transforms/:name   remove transform
+ *   GET    /:service/:db/:collection/views/:name        dynamic view (?transform=&params=)
+ *   PUT    /:service/:db/:collection/views/:name        add dynamic view (body : { options, steps })
+ *   DELETE /:service/:db/:collection/views/:name        remove dynamic view
+ *   POST   /:service/:db/:collection/indices            add index (body : { field, unique, force })
+ *   GET    /:service/:db/:collection/export             export (?format=ndjson|csv&query=&transform=&params=&options=)
+ *   POST   /:service/:db/:collection/import             import (body : file content, ?format=&mode=&key=&options=)
+ *   GET    /:service/:db/:collection/:id                get document
+ *   POST   /:service/:db/:collection                    insert document (or array of documents)
+ *   PUT    /:service/:db/:collection/:id                update document (body : properties to overwrite)
+ *   PATCH  /:service/:db/:collection/:id                patch document (body : merge patch object or JSON Patch array)
+ *   POST   /:service/:db/:collection/upsert             upsert document (?key=field, default $loki)
+ *   DELETE /:service/:db/:collection/:id                remove document
+ *   PUT    /:service/:db/:collection                    add collection (body : collection options)
+ *   DELETE /:service/:db/:collection                    remove collection
+ *
+ * The instance routes' names (stats, open, close, reload, snapshots, changes and execute) are reserved :
+ * collections with those names can not be reached over http.
+ *
+ * Failures respond with the matching status code and a body of { code, message, context }.
+ *
+ * Documents are returned with an ETag of their revision (meta.revision).  PUT, PATCH and DELETE of a
+ * document accept an If-Match header of the revision it is expected to be at, failing with a 409
+ * (REVISION_CONFLICT, context including the current document) if it has since changed.  Collections
+ * with optimistic locking respond 428 (REVISION_REQUIRED) when no revision is given.
+ *
+ * Exports stream the file as the response body.  Import bodies are streamed into the collection (so
+ * maxBodySize does not apply to them), with csv assumed when the Content-Type is text/csv.
+ *
+ * When an access policy is installed (see lokiservice-access.js), requests are made on behalf of the
+ * api key or token given in an 'Authorization: Bearer <key>' or 'X-API-Key: <key>' header.
+ */
+const http = require("http");
+const path = require("path");
+const url = require("url");
+const lokiservice = require("./lokiservice.js");
+
+const svc = lokiservice.native;
+const errorCodes = lokiservice.errorCodes;
+
+// http status codes for service error codes (anything unlisted is a 500)
+var statusCodes = {};
+statusCodes[errorCodes.COLLECTION_NOT_FOUND] = 404;
+statusCodes[errorCodes.DOCUMENT_NOT_FOUND] = 404;
+statusCodes[errorCodes.VIEW_NOT_FOUND] = 404;
+statusCodes[errorCodes.TRANSFORM_NOT_FOUND] = 404;
+statusCodes[errorCodes.SNAPSHOT_NOT_FOUND] = 404;
+statusCodes[errorCodes.INVALID_QUERY] = 400;
+statusCodes[errorCodes.INVALID_DOCUMENT] = 400;
+statusCodes[errorCodes.VALIDATION_FAILED] = 400;
+statusCodes[errorCodes.CONSTRAINT_VIOLATION] = 409;
+statusCodes[errorCodes.REVISION_CONFLICT] = 409;
+statusCodes[errorCodes.REVISION_REQUIRED] = 428;
+statusCodes[errorCodes.ALREADY_EXISTS] = 409;
+statusCodes[errorCodes.OPERATION_NOT_PERMITTED] = 403;
+statusCodes[errorCodes.INITIALIZER_FAILED] = 503;
+statusCodes[errorCodes.SERVICE_UNAVAILABLE] = 503;
+statusCodes[errorCodes.UNAUTHENTICATED] = 401;
+statusCodes[errorCodes.ACCESS_DENIED] = 403;
+
+// errors raised by the http layer itself
+var httpErrors = {
+    ROUTE_NOT_FOUND: 404,
+    SERVICE_NOT_FOUND: 404,
+    DATABASE_NOT_LOADED: 404,
+    INVALID_DATABASE: 400,
+    INVALID_BODY: 400,
+    BODY_TOO_LARGE: 413
+};
+
+/**
+ * Creates an error raised by the http layer
+ * @param {string} code - one of httpErrors
+ * @param {string} message
+ */
+function httpError(code, message) {
+    return new lokiservice.LokiServiceError(code, message);
+}
+
+/**
+ * Parses a route pattern such as "/:service/:db/stats" into segment matchers
+ * @param {string} pattern
+ */
+function compileRoute(pattern) {
+    return pattern.split("/").slice(1).map(function(segment) {
+        return segment.charAt(0) === ":" ? { param: segment.substr(1) } : { literal: segment };
+    });
+}
+
+/**
+ * Matches url path segments against a compiled route, returning the route params or null
+ * @param {array} route - compiled route segments
+ * @param {array} segments - decoded url path segments
+ */
+function matchRoute(route, segments) {
+    if (route.length !== segments.length) {
+        return null;
+    }
+
+    var params = {};
+
+    for (var idx = 0; idx < route.length; idx++) {
+        if (route[idx].hasOwnProperty("literal")) {
+            if (route[idx].literal !== segments[idx]) return null;
+        }
+        else {
+            params[route[idx].param] = segments[idx];
+        }
+    }
+
+    return params;
+}
+
+/**
+ * Parses a document id route parameter
+ * @param {string} id
+ */
+function parseId(id) {
+    if (!/^\d+$/.test(id)) {
+        throw httpError(errorCodes.INVALID_QUERY, "Document id must be an integer : " + id);
+    }
+
+    return parseInt(id, 10);
+}
+
+/**
+ * Parses the revision given in an If-Match header, if any (e.g. If-Match: "3")
+ * @param {object} r - resolved request
+ * @returns {number|undefined}
+ */
+function ifMatch(r) {
+    var header = r.req.headers["if-match"];
+
+    if (header === undefined || header.trim() === "*") {
+        return undefined;
+    }
+
+    var m = /^\s*(?:W\/)?"?(\d+)"?\s*$/.exec(header);
+
+    if (!m) {
+        throw httpError(errorCodes.INVALID_QUERY, "If-Match must be a document revision : " + header);
+    }
+
+    return parseInt(m[1], 10);
+}
+
+/**
+ * Sets the ETag header of a document response to the document's revision
+ * @param {object} r - resolved request
+ * @param {object} doc
+ */
+function documentResponse(r, doc) {
+    if (doc && doc.meta && typeof doc.meta.revision === "number") {
+        r.res.setHeader("ETag", "\"" + doc.meta.revision + "\"");
+    }
+
+    return doc;
+}
+
+/**
+ * Parses an optional JSON encoded query string parameter
+ * @param {string} value
+ */
+function parseQueryParam(value) {
+    if (value === undefined || value === "") {
+        return undefined;
+    }
+
+    try {
+        return JSON.parse(value);
+    }
+    catch (err) {
+        throw httpError(errorCodes.INVALID_QUERY, "Unable to parse query string parameter : " + err.message);
+    }
+}
+
+/**
+ * Builds export/import options from the 'options' (JSON) and 'format' query string parameters
+ * along with route specific ones (those which are undefined are left out)
+ * @param {object} r - resolved request
+ * @param {object} params - route specific options
+ */
+function transferOptions(r, params) {
+    var options = Object.assign({}, parseQueryParam(r.query.options));
+
+    if (r.query.format) {
+        options.format = r.query.format;
+    }
+
+    Object.keys(params).forEach(function(name) {
+        if (params[name] !== undefined) {
+            options[name] = params[name];
+        }
+    });
+
+    return options;
+}
+
+/**
+ * Responds to change feed routes, long polling if a 'wait' (ms) query parameter is given
+ * @param {object} r - resolved request (service, db, collection, query)
+ */
+function changes(r) {
+    if (r.query.wait) {
+        return r.svc.waitForChanges(r.service, r.db, r.collection, r.query.seq, r.query.limit, r.query.wait);
+    }
+
+    return r.svc.changesSince(r.service, r.db, r.collection, r.query.seq, r.query.limit);
+}
+
+// route table, matched in order.  handlers accept the resolved request and return a promise (or value).
+var routes = [
+    ["GET", "/stats", function(r) {
+        return r.svc.stats();
+    }],
+    ["GET", "/metrics", function(r) {
+        return r.svc.metrics().then(function(text) {
+            r.res.writeHead(200, {
+                "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+                "Content-Length": Buffer.byteLength(text)
+            });
+            r.res.end(text);
+        });
+    }, { streamed: true }],
+    ["GET", "/instances", function(r) {
+        return r.svc.list();
+    }],
+    ["POST", "/:service/:db/open", function(r) {
+        return r.svc.open(r.service, r.db);
+    }],
+    ["POST", "/:service/:db/close", function(r) {
+        return r.svc.close(r.service, r.db);
+    }],
+    ["POST", "/:service/:db/reload", function(r) {
+        return r.svc.reload(r.service, r.db);
+    }],
+    ["GET", "/:service/:db/snapshots", function(r) {
+        return r.svc.listSnapshots(r.service, r.db);
+    }],
+    ["POST", "/:service/:db/snapshots", function(r) {
+        return r.svc.snapshot(r.service, r.db, r.body || {});
+    }],
+    ["POST", "/:service/:db/snapshots/:name/restore", function(r) {
+        return r.svc.restore(r.service, r.db, r.params.name);
+    }],
+    ["GET", "/:service/:db/stats", function(r) {
+        return r.svc.instanceStats(r.service, r.db).then(function(result) {
+            if (result === null) {
+                throw httpError("DATABASE_NOT_LOADED", "Database is not loaded : " + r.params.db);
+            }
+
+            return result;
+        });
+    }],
+    ["GET", "/:service/:db/changes", changes],
+    ["POST", "/:service/:db/execute", function(r) {
+        return r.svc.execute(r.service, r.db, r.body);
+    }],
+    ["GET", "/:service/:db/:collection/changes", changes],
+    ["POST", "/:service/:db/:collection/find", function(r) {
+        return r.svc.find(r.service, r.db, r.collection, r.body || {});
+    }],
+    ["POST", "/:service/:db/:collection/query", function(r) {
+        var body = r.body || {};
+
+        return r.svc.findPaged(r.service, r.db, r.collection, body.query || {}, body.options || {});
+    }],
+    ["POST", "/:service/:db/:collection/search", function(r) {
+        var options = Object.assign({}, r.body);
+        var text = options.text;
+
+        delete options.text;
+
+        return r.svc.search(r.service, r.db, r.collection, text, options);
+    }],
+    ["POST", "/:service/:db/:collection/aggregate", function(r) {
+        var body = r.body || {};
+
+        return r.svc.aggregate(r.service, r.db, r.collection, body.source || {}, body.pipeline);
+    }],
+    ["POST", "/:service/:db/:collection/join", function(r) {
+        var body = r.body || {};
+
+        return r.svc.join(r.service, r.db, r.collection, body.source || {}, body.joins);
+    }],
+    ["POST", "/:service/:db/:collection/transform", function(r) {
+        var body = r.body || {};
+
+        return r.svc.transformRaw(r.service, r.db, r.collection, body.transform, body.params, r.query.dataInvoke !== "false");
+    }],
+    ["POST", "/:service/:db/:collection/transforms/:name", function(r) {
+        return r.svc.transform(r.service, r.db, r.collection, r.params.name, r.body || undefined,
+            r.query.dataInvoke !== "false");
+    }],
+    ["PUT", "/:service/:db/:collection/transforms/:name", function(r) {
+        return r.svc.setTransform(r.service, r.db, r.collection, r.params.name, r.body);
+    }],
+    ["DELETE", "/:service/:db/:collection/transforms/:name", function(r) {
+        return r.svc.removeTransform(r.service, r.db, r.collection, r.params.name);
+    }],
+    ["GET", "/:service/:db/:collection/views/:name", function(r) {
+        return r.svc.dynamicView(r.service, r.db, r.collection, r.params.name,
+            r.query.transform, parseQueryParam(r.query.params));
+    }],
+    ["PUT", "/:service/:db/:collection/views/:name", function(r) {
+        var body = r.body || {};
+
+        return r.svc.addDynamicView(r.service, r.db, r.collection, r.params.name, body.options, body.steps);
+    }],
+    ["DELETE", "/:service/:db/:collection/views/:name", function(r) {
+        return r.svc.removeDynamicView(r.service, r.db, r.collection, r.params.name);
+    }],
+    ["GET", "/:service/:db/:collection/export", function(r) {
+        var options = transferOptions(r, {
+            query: parseQueryParam(r.query.query),
+            transform: r.query.transform || undefined,
+            transformParams: parseQueryParam(r.query.params)
+        });
+
+        options.format = options.format || "ndjson";
+
+        r.res.setHeader("Content-Type", options.format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8");
+
+        return r.svc.exportCollection(r.service, r.db, r.collection, r.res, options);
+    }, { streamed: true }],
+    ["POST", "/:service/:db/:collection/import", function(r) {
+        var options = transferOptions(r, {
+            mode: r.query.mode || undefined,
+            key: r.query.key || undefined
+        });
+
+        if (!options.format) {
+            options.format = /^text\/csv/i.test(r.req.headers["content-type"] || "") ? "csv" : "ndjson";
+        }
+
+        return r.svc.importCollection(r.service, r.db, r.collection, r.req, options);
+    }, { streamed: true }],
+    ["POST", "/:service/:db/:collection/indices", function(r) {
+        var body = r.body || {};
+
+        if (body.unique) {
+            return r.svc.ensureUniqueIndex(r.service, r.db, r.collection, body.field);
+        }
+
+        return r.svc.ensureIndex(r.service, r.db, r.collection, body.field, body.force);
+    }],
+    ["POST", "/:service/:db/:collection/upsert", function(r) {
+        return r.svc.upsert(r.service, r.db, r.collection, r.body, r.query.key || undefined);
+    }],
+    ["GET", "/:service/:db/:collection/:id", function(r) {
+        var id = parseId(r.params.id);
+
+        return r.svc.get(r.service, r.db, r.collection, id).then(function(doc) {
+            if (doc === null || doc === undefined) {
+                throw httpError(errorCodes.DOCUMENT_NOT_FOUND, "Document not found : " + id);
+            }
+
+            return documentResponse(r, doc);
+        });
+    }],
+    ["POST", "/:service/:db/:collection", function(r) {
+        r.status = 201;
+
+        if (Array.isArray(r.body)) {
+            return r.svc.insertMany(r.service, r.db, r.collection, r.body);
+        }
+
+        return r.svc.insert(r.service, r.db, r.collection, r.body).then(function(doc) {
+            return documentResponse(r, doc);
+        });
+    }],
+    ["PUT", "/:service/:db/:collection/:id", function(r) {
+        var patch = Object.assign({}, r.body, { $loki: parseId(r.params.id) });
+        var revision = ifMatch(r);
+
+        if (revision !== undefined) {
+            patch.meta = { revision: revision };
+        }
+
+        return r.svc.update(r.service, r.db, r.collection, patch).then(function(doc) {
+            return documentResponse(r, doc);
+        });
+    }],
+    ["PATCH", "/:service/:db/:collection/:id", function(r) {
+        return r.svc.patch(r.service, r.db, r.collection, parseId(r.params.id), r.body, ifMatch(r)).then(function(doc) {
+            return documentResponse(r, doc);
+        });
+    }],
+    ["DELETE", "/:service/:db/:collection/:id", function(r) {
+        var id = parseId(r.params.id);
+        var revision = ifMatch(r);
+
+        return r.svc.remove(r.service, r.db, r.collection, revision === undefined ? id : { $loki: id, meta: { revision: revision } });
+    }],
+    ["PUT", "/:service/:db/:collection", function(r) {
+        r.status = 201;
+
+        return r.svc.addCollection(r.service, r.db, r.collection, r.body || {});
+    }],
+    ["DELETE", "/:service/:db/:collection", function(r) {
+        return r.svc.removeCollection(r.service, r.db, r.collection);
+    }]
+].map(function(route) {
+    // streamed routes read the request and/or write the response themselves
+    return { method: route[0], segments: compileRoute(route[1]), handler: route[2], streamed: !!(route[3] && route[3].streamed) };
+});
+
+/**
+ * Reads and parses a (JSON) request body.  Bodies larger than maxBodySize are not read any further, 
+ * and the connection is closed once the error response has been written.
+ * 
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {int} maxBodySize - maximum body size in bytes
+ * @param {function} callback - node-style (err, body) callback
+ */
+function readBody(req, res, maxBodySize, callback) {
+    var chunks = [];
+    var size = 0;
+    var failed = false;
+
+    req.on("data", function(chunk) {
+        if (failed) return;
+
+        size += chunk.length;
+
+        if (size > maxBodySize) {
+            failed = true;
+            chunks = null;
+
+            req.pause();
+            res.setHeader("Connection", "close");
+            res.on("finish", function() {
+                req.destroy();
+            });
+
+            callback(httpError("BODY_TOO_LARGE", "Request body exceeds " + maxBodySize + " bytes"));
+            return;
+        }
+
+        chunks.push(chunk);
+    });
+
+    req.on("end", function() {
+        if (failed) return;
+
+        var text = Buffer.concat(chunks).toString("utf8");
+
+        if (!text.trim()) {
+            callback(null, undefined);
+            return;
+        }
+
+        try {
+            callback(null, JSON.parse(text));
+        }
+        catch (err) {
+            callback(httpError("INVALID_BODY", "Unable to parse request body : " + err.message));
+        }
+    });
+
+    req.on("error", function(err) {
+        if (failed) return;
+
+        failed = true;
+        callback(err);
+    });
+}
+
+/**
+ * Writes a JSON response
+ * @param {http.ServerResponse} res
+ * @param {int} status
+ * @param {*} body
+ */
+function respond(res, status, body) {
+    var text = JSON.stringify(body === undefined ? null : body);
+
+    res.writeHead(status, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Content-Length": Buffer.byteLength(text)
+    });
+    res.end(text);
+}
+
+/**
+ * Writes an error response, choosing the status code from the error code
+ * @param {http.ServerResponse} res
+ * @param {Error} err
+ */
+function respondError(res, err) {
+    var status = statusCodes[err.code] || httpErrors[err.code] || 500;
+
+    respond(res, status, {
+        code: err.code || errorCodes.INTERNAL_ERROR,
+        message: err.message,
+        context: err.context || {}
+    });
+}
+
+/**
+ * Extracts credentials (api key or token) from request headers, if given
+ * @param {http.IncomingMessage} req
+ */
+function requestCredentials(req) {
+    var authorization = req.headers["authorization"];
+
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^Bearer\s+/i, "");
+    }
+
+    return req.headers["x-api-key"];
+}
+
+/**
+ * Resolves the service alias and database name of a request into initializer and database filename
+ * @param {object} options - server options
+ * @param {object} params - route params
+ * @param {object} r - request being resolved (service and db are set on it)
+ */
+function resolveDatabase(options, params, r) {
+    if (!params.hasOwnProperty("service")) {
+        return;
+    }
+
+    var service = options.services.hasOwnProperty(params.service) ? options.services[params.service] : null;
+
+    if (!service) {
+        throw httpError("SERVICE_NOT_FOUND", "Service not found : " + params.service);
+    }
+
+    // database names must be plain file names within the service's data directory
+    if (!/^[\w][\w.-]*$/.test(params.db)) {
+        throw httpError("INVALID_DATABASE", "Invalid database name : " + params.db);
+    }
+
+    if (Array.isArray(service.databases) && service.databases.indexOf(params.db) === -1) {
+        throw httpError("INVALID_DATABASE", "Database not available : " + params.db);
+    }
+
+    r.service = typeof service === "string" ? service : service.initializer;
+    r.db = path.join(service.dataDir || ".", params.db);
+}
+
+/**
+ * Creates (but does not start) the http server.
+ *
+ * @param {object} options
+ * @param {object} options.services - map of service alias to initializer path, or to
+ *   { initializer, dataDir (default: cwd), databases (optional array restricting database names) }
+ * @param {int=} options.maxBodySize - maximum request body size in bytes (default 10MB)
+ * @returns {http.Server}
+ */
+function createServer(options) {
+    options = Object.assign({ services: {}, maxBodySize: 10 * 1024 * 1024 }, options);
+
+    return http.createServer(function(req, res) {
+        var parsed = url.parse(req.url, true);
+        var segments;
+
+        try {
+            segments = parsed.pathname.split("/").slice(1).filter(function(segment, idx, all) {
+                // allow a trailing slash
+                return segment !== "" || idx < all.length - 1;
+            }).map(decodeURIComponent);
+        }
+        catch (err) {
+            respondError(res, httpError("ROUTE_NOT_FOUND", "Invalid url : " + req.url));
+            return;
+        }
+
+        var route = null, params = null;
+
+        for (var idx = 0; idx < routes.length && !params; idx++) {
+            if (routes[idx].method === req.method) {
+                params = matchRoute(routes[idx].segments, segments);
+                route = routes[idx];
+            }
+        }
+
+        if (!params) {
+            respondError(res, httpError("ROUTE_NOT_FOUND", "No route for " + req.method + " " + parsed.pathname));
+            return;
+        }
+
+        function handle(err, body) {
+            if (err) {
+                respondError(res, err);
+                return;
+            }
+
+            var credentials = requestCredentials(req);
+
+            var r = {
+                svc: credentials === undefined ? svc : svc.as(credentials),
+                params: params,
+                query: parsed.query,
+                body: body,
+                collection: params.collection,
+                status: 200,
+                req: req,
+                res: res
+            };
+
+            Promise.resolve().then(function() {
+                resolveDatabase(options, params, r);
+
+                return route.handler(r);
+            }).then(function(result) {
+                // streamed responses have already been written
+                if (!res.headersSent) {
+                    respond(res, r.status, result);
+                }
+            }, function(err) {
+                if (res.headersSent) {
+                    res.destroy(err);
+                    return;
+                }
+
+                respondError(res, err);
+            });
+        }
+
+        if (route.streamed) {
+            handle(null, undefined);
+            return;
+        }
+
+        readBody(req, res, options.maxBodySize, handle);
+    });
+}
+
+module.exports = {
+    createServer: createServer,
+    statusCodes: statusCodes
+};
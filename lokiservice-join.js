@@ -0,0 +1,259 @@
+/**
+ * lokiservice-join.js
+ *
+ * Joins between collections of the same instance, for lokiservice.js's join export.  Joins are
+ * applied in order to the documents of the left side, each adding the matching documents of another
+ * collection under a (dotted) field :
+ * [
+ *     {
+ *         collection: "locations",     // collection joined to
+ *         localField: "locationId",    // field of the left side documents (dotted path)
+ *         foreignField: "$loki",       // field of the joined documents (default "$loki")
+ *         as: "location",              // field to put matches in (dotted paths nest, default the collection name)
+ *         type: "left",                // "left" (default) keeps unmatched documents, "inner" drops them
+ *         many: false,                 // false (default) : first match or null, true : array of matches
+ *         query: { active: true },     // optional loki find query limiting the joined documents
+ *         fields: ["city", "country"]  // optional fields of joined documents to include
+ *     }
+ * ]
+ *
+ * Later joins see the fields added by earlier ones, so a localField of "location.regionId" joins
+ * on through the location.  A localField holding (or passing through) an array matches each of its
+ * values, so "locations.regionId" also joins on through the matches of a 'many' join.  Values only
+ * match values of the same type (dates by time), and missing or null values never match.
+ *
+ * Left side documents are copied rather than modified.
+ */
+
+/**
+ * Determines whether a value is neither undefined nor null
+ * @param {*} value
+ */
+function isSet(value) {
+    return value !== undefined && value !== null;
+}
+
+/**
+ * Returns a string identifying a value, used to match local and foreign values
+ * @param {*} value
+ */
+function valueKey(value) {
+    if (value instanceof Date) {
+        return "date:" + value.getTime();
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Returns the value at a (dotted) field path of an object
+ * @param {*} value
+ * @param {string} field
+ */
+function pathValue(value, field) {
+    var segments = field.split(".");
+
+    for (var idx = 0; idx < segments.length; idx++) {
+        if (value === null || typeof value !== "object") {
+            return undefined;
+        }
+
+        value = value[segments[idx]];
+    }
+
+    return value;
+}
+
+/**
+ * Returns the values at a (dotted) field path of an object, following each element of the arrays
+ * along the path (and of an array at the end of it)
+ * @param {*} value
+ * @param {string} field
+ * @returns {array}
+ */
+function pathValues(value, field) {
+    var values = [value];
+
+    field.split(".").forEach(function(segment) {
+        values = values.reduce(function(result, item) {
+            var next = (item !== null && typeof item === "object") ? item[segment] : undefined;
+
+            return result.concat(Array.isArray(next) ? next : [next]);
+        }, []);
+    });
+
+    return values;
+}
+
+/**
+ * Returns a copy of an object with a value set at a (dotted) field path, copying (or creating) the
+ * objects along the path rather than modifying them
+ * @param {object} obj
+ * @param {string} field
+ * @param {*} value
+ */
+function withPathValue(obj, field, value) {
+    var segments = field.split(".");
+    var result = Object.assign({}, obj);
+    var target = result;
+
+    segments.slice(0, -1).forEach(function(segment) {
+        var next = target[segment];
+
+        target[segment] = (next !== null && typeof next === "object" && !Array.isArray(next)) ? Object.assign({}, next) : {};
+        target = target[segment];
+    });
+
+    target[segments[segments.length - 1]] = value;
+
+    return result;
+}
+
+/**
+ * Returns a copy of a document limited to the given fields
+ * @param {object} doc
+ * @param {array=} fields
+ */
+function projectFields(doc, fields) {
+    if (!fields) {
+        return doc;
+    }
+
+    var result = {};
+
+    fields.forEach(function(field) {
+        var value = pathValue(doc, field);
+
+        if (value !== undefined) {
+            result = withPathValue(result, field, value);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Determines whether a value is a usable field path
+ * @param {*} field
+ */
+function isField(field) {
+    return typeof field === "string" && field.length > 0;
+}
+
+/**
+ * Normalizes joins (a join or array of joins), filling in defaults
+ * @param {object|array} joins - checked joins, see checkJoins
+ */
+function normalizeJoins(joins) {
+    return (Array.isArray(joins) ? joins : [joins]).map(function(join) {
+        return Object.assign({ foreignField: "$loki", as: join.collection, type: "left", many: false }, join);
+    });
+}
+
+/**
+ * Checks joins, returning a list of problems (empty if they may be run)
+ * @param {object|array} joins
+ */
+function checkJoins(joins) {
+    var errors = [];
+
+    if (joins === null || typeof joins !== "object" || (Array.isArray(joins) && !joins.length)) {
+        return ["joins must be a join or a non-empty array of joins"];
+    }
+
+    (Array.isArray(joins) ? joins : [joins]).forEach(function(join, index) {
+        var prefix = "join " + index + " : ";
+
+        if (join === null || typeof join !== "object" || Array.isArray(join)) {
+            errors.push(prefix + "must be an object");
+            return;
+        }
+
+        Object.keys(join).forEach(function(setting) {
+            if (["collection", "localField", "foreignField", "as", "type", "many", "query", "fields"].indexOf(setting) === -1) {
+                errors.push(prefix + "unknown setting '" + setting + "'");
+            }
+        });
+
+        ["collection", "localField"].forEach(function(setting) {
+            if (!isField(join[setting])) {
+                errors.push(prefix + setting + " is required");
+            }
+        });
+
+        ["foreignField", "as"].forEach(function(setting) {
+            if (join.hasOwnProperty(setting) && !isField(join[setting])) {
+                errors.push(prefix + setting + " must be a field");
+            }
+        });
+
+        if (join.hasOwnProperty("type") && join.type !== "left" && join.type !== "inner") {
+            errors.push(prefix + "type must be 'left' or 'inner'");
+        }
+
+        if (join.hasOwnProperty("many") && typeof join.many !== "boolean") {
+            errors.push(prefix + "many must be true or false");
+        }
+
+        if (isSet(join.query) && (typeof join.query !== "object" || Array.isArray(join.query))) {
+            errors.push(prefix + "query must be an object");
+        }
+
+        if (isSet(join.fields) && (!Array.isArray(join.fields) || !join.fields.every(isField))) {
+            errors.push(prefix + "fields must be an array of fields");
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Joins documents to the documents of other collections
+ *
+ * @param {array} docs - left side documents
+ * @param {object|array} joins - checked joins, see checkJoins
+ * @param {function} lookup - function(join) returning the (query limited) documents of a join's collection
+ * @returns {array} joined copies of the left side documents
+ */
+function join(docs, joins, lookup) {
+    normalizeJoins(joins).forEach(function(join) {
+        var index = {};
+
+        lookup(join).forEach(function(doc) {
+            var value = pathValue(doc, join.foreignField);
+
+            if (isSet(value)) {
+                var key = valueKey(value);
+
+                index[key] = index[key] || [];
+                index[key].push(projectFields(doc, join.fields));
+            }
+        });
+
+        docs = docs.reduce(function(result, doc) {
+            var matches = [];
+
+            pathValues(doc, join.localField).forEach(function(value) {
+                if (isSet(value) && index.hasOwnProperty(valueKey(value))) {
+                    matches = matches.concat(index[valueKey(value)]);
+                }
+            });
+
+            if (!matches.length && join.type === "inner") {
+                return result;
+            }
+
+            result.push(withPathValue(doc, join.as, join.many ? matches : (matches.length ? matches[0] : null)));
+
+            return result;
+        }, []);
+    });
+
+    return docs;
+}
+
+module.exports = {
+    checkJoins: checkJoins,
+    normalizeJoins: normalizeJoins,
+    join: join
+};
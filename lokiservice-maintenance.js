@@ -0,0 +1,337 @@
+/**
+ * lokiservice-maintenance.js
+ *
+ * Document expiry (TTL) and scheduled maintenance jobs for lokiservice.js, declared by initializers.
+ *
+ * An initializer's 'ttl' setting expires documents of the collections it names, which the service
+ * removes in a periodic sweep (see its ttlSweepInterval option) :
+ * {
+ *     sessions: { field: "meta.updated", age: 1800000 },   // 30 minutes after they were last changed
+ *     cache: { field: "expiresAt" }                        // at the time their expiresAt field holds
+ * }
+ * 'field' is a (dotted) field holding a Date, an ISO 8601 string or milliseconds since the epoch
+ * (default "meta.updated", which falls back to meta.created for documents never updated).  With an
+ * 'age' (milliseconds) documents expire that long after the time in the field, without one the
+ * field holds the time they expire at.  Documents without a usable time in the field never expire.
+ *
+ * An initializer's 'jobs' setting declares maintenance jobs, keyed by name, each run every
+ * 'interval' milliseconds :
+ * {
+ *     purgeDrafts: { type: "remove", interval: 3600000, collection: "posts", query: { draft: true } },
+ *     archive: { type: "update", interval: 600000, collection: "posts", transform: "stale",
+ *                params: { Days: 30 }, patch: { archived: true } },
+ *     views: { type: "rematerialize", interval: 300000, collection: "posts", views: ["Recent"] },
+ *     compact: { type: "compact", interval: 900000 }
+ * }
+ *   remove         removes the documents of 'collection' matching 'query' (or returned by 'transform',
+ *                  a transform name or steps, run with 'params'), one of which is required
+ *   update         overwrites properties of the matching documents (default all) with 'patch', an object
+ *                  or (in initializer modules) a function given a copy of each document and returning one
+ *   rematerialize  rebuilds the dynamic views of 'collection' named by 'views' (default all of them)
+ *   compact        saves the instance if it has unsaved changes, compacting its journal if it keeps one
+ *
+ * Documents are removed and updated just as requests would, so schemas, change feeds, journals and
+ * full-text indexes all see the changes.
+ */
+
+// types of maintenance job, see above
+var jobTypes = ["remove", "update", "rematerialize", "compact"];
+
+// settings each type of job accepts (besides type and interval)
+var jobSettings = {
+    remove: ["collection", "query", "transform", "params"],
+    update: ["collection", "query", "transform", "params", "patch"],
+    rematerialize: ["collection", "views"],
+    compact: []
+};
+
+// loki's meta fields, which hold the time a document was created and last updated
+var metaFields = ["meta.created", "meta.updated"];
+
+/**
+ * Determines whether a value is neither undefined nor null
+ * @param {*} value
+ */
+function isSet(value) {
+    return value !== undefined && value !== null;
+}
+
+/**
+ * Determines whether a value is a plain object
+ * @param {*} value
+ */
+function isObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Returns the value at a (dotted) field path of an object
+ * @param {*} value
+ * @param {string} field
+ */
+function pathValue(value, field) {
+    var segments = field.split(".");
+
+    for (var idx = 0; idx < segments.length; idx++) {
+        if (value === null || typeof value !== "object") {
+            return undefined;
+        }
+
+        value = value[segments[idx]];
+    }
+
+    return value;
+}
+
+/**
+ * Converts a Date, ISO 8601 string or number of milliseconds since the epoch to milliseconds
+ * @param {*} value
+ * @returns {number|null} null if the value is not a (valid) time
+ */
+function timeValue(value) {
+    var time = null;
+
+    if (value instanceof Date) {
+        time = value.getTime();
+    }
+    else if (typeof value === "number") {
+        time = value;
+    }
+    else if (typeof value === "string" && value.length) {
+        time = Date.parse(value);
+    }
+
+    return time !== null && isFinite(time) ? time : null;
+}
+
+/**
+ * Validates an initializer's 'ttl' setting
+ * @param {object=} ttl - ttl settings keyed by collection name
+ * @returns {array} error messages, empty if valid
+ */
+function checkTtl(ttl) {
+    var errors = [];
+
+    if (!isSet(ttl)) {
+        return errors;
+    }
+
+    if (!isObject(ttl)) {
+        return ["ttl must be an object keyed by collection name"];
+    }
+
+    Object.keys(ttl).forEach(function(collection) {
+        var settings = ttl[collection];
+        var prefix = "ttl of " + collection + " : ";
+
+        if (!isObject(settings)) {
+            errors.push(prefix + "must be an object");
+            return;
+        }
+
+        Object.keys(settings).forEach(function(setting) {
+            if (setting !== "field" && setting !== "age") {
+                errors.push(prefix + "unknown setting '" + setting + "'");
+            }
+        });
+
+        if (settings.hasOwnProperty("field") && (typeof settings.field !== "string" || !settings.field.length)) {
+            errors.push(prefix + "field must be a (dotted) field name");
+        }
+
+        if (settings.hasOwnProperty("age") && !(typeof settings.age === "number" && settings.age > 0)) {
+            errors.push(prefix + "age must be a positive number of milliseconds");
+        }
+        else if (!settings.hasOwnProperty("age") && metaFields.indexOf(ttlField(settings)) !== -1) {
+            errors.push(prefix + "age is required to expire documents by " + ttlField(settings));
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validates an initializer's 'jobs' setting
+ * @param {object=} jobs - job declarations keyed by job name
+ * @returns {array} error messages, empty if valid
+ */
+function checkJobs(jobs) {
+    var errors = [];
+
+    if (!isSet(jobs)) {
+        return errors;
+    }
+
+    if (!isObject(jobs)) {
+        return ["jobs must be an object keyed by job name"];
+    }
+
+    Object.keys(jobs).forEach(function(name) {
+        var job = jobs[name];
+        var prefix = "job " + name + " : ";
+
+        if (!isObject(job)) {
+            errors.push(prefix + "must be an object");
+            return;
+        }
+
+        if (jobTypes.indexOf(job.type) === -1) {
+            errors.push(prefix + "type must be one of " + jobTypes.join(", "));
+            return;
+        }
+
+        Object.keys(job).forEach(function(setting) {
+            if (setting !== "type" && setting !== "interval" && jobSettings[job.type].indexOf(setting) === -1) {
+                errors.push(prefix + "unknown setting '" + setting + "' for " + job.type + " jobs");
+            }
+        });
+
+        if (!(typeof job.interval === "number" && job.interval > 0)) {
+            errors.push(prefix + "interval must be a positive number of milliseconds");
+        }
+
+        if (job.type !== "compact" && (typeof job.collection !== "string" || !job.collection.length)) {
+            errors.push(prefix + "collection is required");
+        }
+
+        if (isSet(job.query) && !isObject(job.query)) {
+            errors.push(prefix + "query must be an object");
+        }
+
+        if (isSet(job.query) && isSet(job.transform)) {
+            errors.push(prefix + "give either a query or a transform, not both");
+        }
+
+        // a remove job emptying its collection would rather be a mistake than a policy
+        if (job.type === "remove" && !isSet(job.query) && !isSet(job.transform)) {
+            errors.push(prefix + "query or transform is required");
+        }
+
+        if (isSet(job.transform) && typeof job.transform !== "string" && !Array.isArray(job.transform)) {
+            errors.push(prefix + "transform must be a transform name or an array of transform steps");
+        }
+
+        if (isSet(job.params) && !isObject(job.params)) {
+            errors.push(prefix + "params must be an object");
+        }
+
+        if (job.type === "update" && !isObject(job.patch) && typeof job.patch !== "function") {
+            errors.push(prefix + "patch must be an object or a function");
+        }
+
+        if (isSet(job.views) && (!Array.isArray(job.views) || !job.views.every(function(view) { return typeof view === "string"; }))) {
+            errors.push(prefix + "views must be an array of dynamic view names");
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Returns the field a collection's documents expire by
+ * @param {object} settings - ttl settings of the collection
+ */
+function ttlField(settings) {
+    return settings.field || "meta.updated";
+}
+
+/**
+ * Returns the time (milliseconds since the epoch) a document expires at
+ * @param {object} doc
+ * @param {object} settings - ttl settings of its collection
+ * @returns {number|null} null if the document never expires
+ */
+function expiresAt(doc, settings) {
+    var field = ttlField(settings);
+    var time = timeValue(pathValue(doc, field));
+
+    // loki only sets meta.updated once a document has been updated
+    if (time === null && field === "meta.updated") {
+        time = timeValue(pathValue(doc, "meta.created"));
+    }
+
+    if (time === null) {
+        return null;
+    }
+
+    return settings.age > 0 ? time + settings.age : time;
+}
+
+/**
+ * Determines whether a document has expired
+ * @param {object} doc
+ * @param {object} settings - ttl settings of its collection
+ * @param {number} now - current time in milliseconds
+ */
+function isExpired(doc, settings, now) {
+    var time = expiresAt(doc, settings);
+
+    return time !== null && time <= now;
+}
+
+/**
+ * Creates the run statistics of a job
+ * @param {object} job - job declaration
+ */
+function createJobStats(job) {
+    return {
+        type: job.type,
+        collection: job.collection || null,
+        interval: job.interval,
+        runs: 0,
+        failures: 0,
+        running: false,
+        lastRun: null,
+        lastDurationMS: null,
+        lastResult: null,
+        lastError: null,
+        history: []
+    };
+}
+
+/**
+ * Records a completed run of a job
+ *
+ * @param {object} stats - run statistics, see createJobStats
+ * @param {number} startedAt - time the run started (milliseconds since the epoch)
+ * @param {Error=} err - error the run failed with, if it failed
+ * @param {object=} result - outcome of the run
+ * @param {int} retain - number of runs to keep in the history
+ */
+function recordRun(stats, startedAt, err, result, retain) {
+    var run = {
+        timestamp: startedAt,
+        durationMS: Date.now() - startedAt,
+        ok: !err,
+        result: result || null,
+        error: err ? { code: err.code, message: err.message } : null
+    };
+
+    stats.runs++;
+    stats.running = false;
+    stats.lastRun = run.timestamp;
+    stats.lastDurationMS = run.durationMS;
+    stats.lastResult = run.result;
+
+    if (err) {
+        stats.failures++;
+        stats.lastError = { timestamp: run.timestamp, code: err.code, message: err.message };
+    }
+
+    stats.history.push(run);
+
+    if (stats.history.length > retain) {
+        stats.history.splice(0, stats.history.length - retain);
+    }
+}
+
+module.exports = {
+    jobTypes: jobTypes,
+    checkTtl: checkTtl,
+    checkJobs: checkJobs,
+    ttlField: ttlField,
+    expiresAt: expiresAt,
+    isExpired: isExpired,
+    createJobStats: createJobStats,
+    recordRun: recordRun
+};
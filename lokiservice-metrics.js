@@ -0,0 +1,319 @@
+/**
+ * lokiservice-metrics.js
+ *
+ * Request metrics for lokiservice.js : latency histograms and error counts per operation, collection
+ * and instance, a log of recent slow requests, and rendering in the Prometheus text format.
+ *
+ * Latencies are counted in fixed buckets (milliseconds), from which percentiles are estimated by
+ * interpolating within the bucket they fall in.  Estimates are never off by more than the width of
+ * that bucket, and the largest latency seen is tracked exactly.
+ */
+
+// upper bounds (milliseconds) of histogram buckets, anything slower is counted in a final overflow bucket
+var defaultBuckets = [1, 2.5, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+/**
+ * Latency histogram
+ * @param {array=} buckets - ascending bucket upper bounds in milliseconds (default defaultBuckets)
+ */
+function Histogram(buckets) {
+    this.buckets = buckets || defaultBuckets;
+    this.counts = this.buckets.map(function() { return 0; }).concat(0);
+    this.count = 0;
+    this.sum = 0;
+    this.max = 0;
+}
+
+/**
+ * Records a latency
+ * @param {number} ms
+ */
+Histogram.prototype.observe = function(ms) {
+    var idx = 0;
+
+    while (idx < this.buckets.length && ms > this.buckets[idx]) {
+        idx++;
+    }
+
+    this.counts[idx]++;
+    this.count++;
+    this.sum += ms;
+    this.max = Math.max(this.max, ms);
+};
+
+/**
+ * Adds the latencies recorded by another histogram (with the same buckets) to this one
+ * @param {Histogram} other
+ */
+Histogram.prototype.merge = function(other) {
+    for (var idx = 0; idx < this.counts.length; idx++) {
+        this.counts[idx] += other.counts[idx];
+    }
+
+    this.count += other.count;
+    this.sum += other.sum;
+    this.max = Math.max(this.max, other.max);
+
+    return this;
+};
+
+/**
+ * Estimates a percentile of the recorded latencies
+ * @param {number} p - percentile, 0 to 100
+ * @returns {number|null} milliseconds, or null if nothing has been recorded
+ */
+Histogram.prototype.percentile = function(p) {
+    if (!this.count) {
+        return null;
+    }
+
+    var rank = p / 100 * this.count;
+    var seen = 0;
+
+    for (var idx = 0; idx < this.counts.length; idx++) {
+        if (this.counts[idx] && seen + this.counts[idx] >= rank) {
+            var lower = idx === 0 ? 0 : this.buckets[idx - 1];
+            var upper = Math.min(idx < this.buckets.length ? this.buckets[idx] : this.max, this.max);
+
+            return lower + (upper - lower) * Math.max(0, rank - seen) / this.counts[idx];
+        }
+
+        seen += this.counts[idx];
+    }
+
+    return this.max;
+};
+
+/**
+ * Summarizes the recorded latencies
+ * @returns {object} { count, totalMS, meanMS, p50, p95, p99, maxMS }
+ */
+Histogram.prototype.summary = function() {
+    function round(value) {
+        return value === null ? null : Math.round(value * 1000) / 1000;
+    }
+
+    return {
+        count: this.count,
+        totalMS: round(this.sum),
+        meanMS: this.count ? round(this.sum / this.count) : null,
+        p50: round(this.percentile(50)),
+        p95: round(this.percentile(95)),
+        p99: round(this.percentile(99)),
+        maxMS: round(this.max)
+    };
+};
+
+/**
+ * Request metrics, kept as series per (serviceName, filename, collection, operation)
+ * @param {array=} buckets - histogram bucket upper bounds in milliseconds
+ */
+function RequestMetrics(buckets) {
+    this.buckets = buckets || defaultBuckets;
+    this.series = {};
+
+    // recent slow requests, oldest first
+    this.slowRequests = [];
+    this.slowRequestCount = 0;
+}
+
+/**
+ * Records a completed request
+ *
+ * @param {object} labels - { serviceName, filename, collection, operation } (null where not applicable)
+ * @param {number} ms - duration in milliseconds
+ * @param {string=} errorCode - code of the error the request failed with, if it failed
+ */
+RequestMetrics.prototype.record = function(labels, ms, errorCode) {
+    var key = JSON.stringify([labels.serviceName, labels.filename, labels.collection, labels.operation]);
+    var series = this.series[key];
+
+    if (!series) {
+        series = this.series[key] = {
+            labels: {
+                serviceName: labels.serviceName || null,
+                filename: labels.filename || null,
+                collection: labels.collection || null,
+                operation: labels.operation
+            },
+            histogram: new Histogram(this.buckets),
+            errors: {}
+        };
+    }
+
+    series.histogram.observe(ms);
+
+    if (errorCode) {
+        series.errors[errorCode] = (series.errors[errorCode] || 0) + 1;
+    }
+};
+
+/**
+ * Records a slow request, keeping only the most recent ones
+ * @param {object} entry - description of the request
+ * @param {int} retain - number of slow requests to keep
+ */
+RequestMetrics.prototype.recordSlow = function(entry, retain) {
+    this.slowRequestCount++;
+    this.slowRequests.push(entry);
+
+    if (this.slowRequests.length > retain) {
+        this.slowRequests.splice(0, this.slowRequests.length - retain);
+    }
+};
+
+/**
+ * Summarizes series grouped by one of their labels
+ *
+ * @param {string} groupBy - label to group on (operation, collection, etc)
+ * @param {function=} filter - function(labels) selecting the series to include
+ * @returns {object} keyed by label value, each { count, totalMS, meanMS, p50, p95, p99, maxMS, errors }
+ */
+RequestMetrics.prototype.summarize = function(groupBy, filter) {
+    var self = this;
+    var groups = {};
+
+    Object.keys(this.series).forEach(function(key) {
+        var series = self.series[key];
+
+        if (filter && !filter(series.labels)) {
+            return;
+        }
+
+        var name = String(series.labels[groupBy]);
+        var group = groups[name] = groups[name] || { histogram: new Histogram(self.buckets), errors: 0 };
+
+        group.histogram.merge(series.histogram);
+
+        Object.keys(series.errors).forEach(function(code) {
+            group.errors += series.errors[code];
+        });
+    });
+
+    var result = {};
+
+    Object.keys(groups).sort().forEach(function(name) {
+        result[name] = Object.assign(groups[name].histogram.summary(), { errors: groups[name].errors });
+    });
+
+    return result;
+};
+
+/**
+ * Totals errors by code
+ * @param {function=} filter - function(labels) selecting the series to include
+ */
+RequestMetrics.prototype.errorCounts = function(filter) {
+    var self = this;
+    var counts = {};
+
+    Object.keys(this.series).forEach(function(key) {
+        var series = self.series[key];
+
+        if (!filter || filter(series.labels)) {
+            Object.keys(series.errors).forEach(function(code) {
+                counts[code] = (counts[code] || 0) + series.errors[code];
+            });
+        }
+    });
+
+    return counts;
+};
+
+/**
+ * Returns Prometheus metric families for the request series (see renderPrometheus)
+ * @param {string} prefix - metric name prefix
+ */
+RequestMetrics.prototype.families = function(prefix) {
+    var self = this;
+    var keys = Object.keys(this.series).sort();
+
+    function seriesLabels(series) {
+        return {
+            service: series.labels.serviceName || "",
+            database: series.labels.filename || "",
+            collection: series.labels.collection || "",
+            operation: series.labels.operation
+        };
+    }
+
+    var durations = {
+        name: prefix + "request_duration_seconds",
+        help: "Request latency",
+        type: "histogram",
+        samples: []
+    };
+
+    var errors = {
+        name: prefix + "request_errors_total",
+        help: "Failed requests by error code",
+        type: "counter",
+        samples: []
+    };
+
+    keys.forEach(function(key) {
+        var series = self.series[key];
+        var labels = seriesLabels(series);
+        var cumulative = 0;
+
+        series.histogram.counts.forEach(function(count, idx) {
+            cumulative += count;
+
+            durations.samples.push({
+                suffix: "_bucket",
+                labels: Object.assign({}, labels, { le: idx < self.buckets.length ? String(self.buckets[idx] / 1000) : "+Inf" }),
+                value: cumulative
+            });
+        });
+
+        durations.samples.push({ suffix: "_sum", labels: labels, value: series.histogram.sum / 1000 });
+        durations.samples.push({ suffix: "_count", labels: labels, value: series.histogram.count });
+
+        Object.keys(series.errors).sort().forEach(function(code) {
+            errors.samples.push({ labels: Object.assign({}, labels, { code: code }), value: series.errors[code] });
+        });
+    });
+
+    return [durations, errors];
+};
+
+/**
+ * Escapes a label value for the Prometheus text format
+ * @param {string} value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+/**
+ * Renders metric families in the Prometheus text exposition format (version 0.0.4)
+ *
+ * @param {array} families - [{ name, help, type (counter, gauge or histogram), samples: [{ suffix, labels, value }] }]
+ * @returns {string}
+ */
+function renderPrometheus(families) {
+    var lines = [];
+
+    families.forEach(function(family) {
+        lines.push("# HELP " + family.name + " " + family.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n"));
+        lines.push("# TYPE " + family.name + " " + family.type);
+
+        family.samples.forEach(function(sample) {
+            var labels = Object.keys(sample.labels || {}).map(function(name) {
+                return name + "=\"" + escapeLabel(sample.labels[name]) + "\"";
+            });
+
+            lines.push(family.name + (sample.suffix || "") + (labels.length ? "{" + labels.join(",") + "}" : "") + " " +
+                (isFinite(sample.value) ? sample.value : (sample.value > 0 ? "+Inf" : "NaN")));
+        });
+    });
+
+    return lines.join("\n") + "\n";
+}
+
+module.exports = {
+    defaultBuckets: defaultBuckets,
+    Histogram: Histogram,
+    RequestMetrics: RequestMetrics,
+    renderPrometheus: renderPrometheus
+};
@@ -0,0 +1,331 @@
+/**
+ * lokiservice-patch.js
+ *
+ * Document patching for lokiservice.js's patch and upsert exports :
+ *   JSON Merge Patch (RFC 7386) - an object whose properties are merged (recursively) onto the
+ *     document, where null removes a property, e.g. { "address": { "city": "Oslo" }, "nickname": null }
+ *   JSON Patch (RFC 6902) - an array of operations (add, remove, replace, move, copy, test) addressing
+ *     locations by JSON Pointer (RFC 6901), e.g. [{ "op": "replace", "path": "/tags/0", "value": "runes" }]
+ *
+ * Neither function modifies the document it is given, so a patch is applied entirely or not at all.
+ */
+
+/**
+ * Error raised for patches which can not be applied
+ *
+ * @param {string} message
+ * @param {int=} index - position of the failing operation (JSON Patch)
+ * @param {boolean=} testFailed - true if a 'test' operation failed (rather than the patch being invalid)
+ */
+function PatchError(message, index, testFailed) {
+    this.name = "PatchError";
+    this.message = index === undefined ? message : "Operation " + index + " : " + message;
+    this.index = index;
+    this.testFailed = !!testFailed;
+    this.stack = (new Error(this.message)).stack;
+}
+
+PatchError.prototype = Object.create(Error.prototype);
+PatchError.prototype.constructor = PatchError;
+
+/**
+ * Determines whether a value is a (non array) object
+ * @param {*} value
+ */
+function isObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Deep copies a JSON value (dates are copied as dates)
+ * @param {*} value
+ */
+function deepClone(value) {
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(deepClone);
+    }
+
+    if (isObject(value)) {
+        var result = {};
+
+        Object.keys(value).forEach(function(key) {
+            result[key] = deepClone(value[key]);
+        });
+
+        return result;
+    }
+
+    return value;
+}
+
+/**
+ * Compares two JSON values for equality, as the 'test' operation does
+ * @param {*} a
+ * @param {*} b
+ */
+function deepEqual(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+        return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    }
+
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every(function(item, idx) {
+            return deepEqual(item, b[idx]);
+        });
+    }
+
+    if (isObject(a) || isObject(b)) {
+        if (!isObject(a) || !isObject(b)) {
+            return false;
+        }
+
+        var keys = Object.keys(a);
+
+        return keys.length === Object.keys(b).length && keys.every(function(key) {
+            return b.hasOwnProperty(key) && deepEqual(a[key], b[key]);
+        });
+    }
+
+    return a === b;
+}
+
+/**
+ * Applies a JSON Merge Patch (RFC 7386), returning the result
+ *
+ * @param {*} target - value being patched (not modified)
+ * @param {*} patch
+ */
+function mergePatch(target, patch) {
+    if (!isObject(patch)) {
+        return deepClone(patch);
+    }
+
+    var result = isObject(target) ? Object.assign({}, target) : {};
+
+    Object.keys(patch).forEach(function(key) {
+        if (patch[key] === null) {
+            delete result[key];
+        }
+        else {
+            result[key] = mergePatch(result[key], patch[key]);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Parses a JSON Pointer (RFC 6901) into its reference tokens
+ * @param {string} pointer
+ * @param {int} index - position of the operation (for errors)
+ */
+function parsePointer(pointer, index) {
+    if (typeof pointer !== "string" || (pointer !== "" && pointer[0] !== "/")) {
+        throw new PatchError("invalid path " + JSON.stringify(pointer), index);
+    }
+
+    if (pointer === "") {
+        return [];
+    }
+
+    return pointer.substr(1).split("/").map(function(token) {
+        return token.replace(/~1/g, "/").replace(/~0/g, "~");
+    });
+}
+
+/**
+ * Resolves the container (object or array) holding the location a pointer addresses
+ * @param {object} doc
+ * @param {array} tokens - parsed pointer
+ * @param {string} pointer - pointer text (for errors)
+ * @param {int} index - position of the operation (for errors)
+ * @returns {object} { container, key }
+ */
+function resolveParent(doc, tokens, pointer, index) {
+    var container = doc;
+
+    for (var idx = 0; idx < tokens.length - 1; idx++) {
+        var key = tokens[idx];
+
+        if (Array.isArray(container)) {
+            key = arrayIndex(container, key, false, pointer, index);
+        }
+
+        if (container === null || typeof container !== "object" || !Object.prototype.hasOwnProperty.call(container, key)) {
+            throw new PatchError("path " + pointer + " does not exist", index);
+        }
+
+        container = container[key];
+    }
+
+    if (container === null || typeof container !== "object" || container instanceof Date) {
+        throw new PatchError("path " + pointer + " does not exist", index);
+    }
+
+    return { container: container, key: tokens[tokens.length - 1] };
+}
+
+/**
+ * Parses an array index token
+ * @param {array} array
+ * @param {string} token
+ * @param {boolean} adding - true if the index may address the end of the array ("-" or length)
+ * @param {string} pointer - pointer text (for errors)
+ * @param {int} index - position of the operation (for errors)
+ */
+function arrayIndex(array, token, adding, pointer, index) {
+    if (adding && token === "-") {
+        return array.length;
+    }
+
+    if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+        throw new PatchError("path " + pointer + " does not address an array element", index);
+    }
+
+    var position = parseInt(token, 10);
+
+    if (position > array.length || (!adding && position === array.length)) {
+        throw new PatchError("path " + pointer + " is out of bounds", index);
+    }
+
+    return position;
+}
+
+/**
+ * Returns the value at a location (throwing if it does not exist)
+ * @param {object} doc
+ * @param {string} pointer
+ * @param {int} index - position of the operation (for errors)
+ */
+function getValue(doc, pointer, index) {
+    var tokens = parsePointer(pointer, index);
+
+    if (!tokens.length) {
+        return doc;
+    }
+
+    var parent = resolveParent(doc, tokens, pointer, index);
+    var key = Array.isArray(parent.container) ? arrayIndex(parent.container, parent.key, false, pointer, index) : parent.key;
+
+    if (!Object.prototype.hasOwnProperty.call(parent.container, key)) {
+        throw new PatchError("path " + pointer + " does not exist", index);
+    }
+
+    return parent.container[key];
+}
+
+/**
+ * Adds (or, for objects, sets) a value at a location
+ * @param {object} doc
+ * @param {string} pointer
+ * @param {*} value
+ * @param {int} index - position of the operation (for errors)
+ */
+function addValue(doc, pointer, value, index) {
+    var parent = resolveParent(doc, parsePointer(pointer, index), pointer, index);
+
+    if (Array.isArray(parent.container)) {
+        parent.container.splice(arrayIndex(parent.container, parent.key, true, pointer, index), 0, value);
+    }
+    else {
+        parent.container[parent.key] = value;
+    }
+}
+
+/**
+ * Removes the value at a location (throwing if it does not exist), returning it
+ * @param {object} doc
+ * @param {string} pointer
+ * @param {int} index - position of the operation (for errors)
+ */
+function removeValue(doc, pointer, index) {
+    var parent = resolveParent(doc, parsePointer(pointer, index), pointer, index);
+
+    if (Array.isArray(parent.container)) {
+        return parent.container.splice(arrayIndex(parent.container, parent.key, false, pointer, index), 1)[0];
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(parent.container, parent.key)) {
+        throw new PatchError("path " + pointer + " does not exist", index);
+    }
+
+    var value = parent.container[parent.key];
+    delete parent.container[parent.key];
+
+    return value;
+}
+
+/**
+ * Applies a JSON Patch (RFC 6902) to a document, returning the patched copy.  Operations may not
+ * address the document itself (path ""), other than to test it.
+ *
+ * @param {object} doc - document being patched (not modified)
+ * @param {array} operations
+ */
+function jsonPatch(doc, operations) {
+    if (!Array.isArray(operations)) {
+        throw new PatchError("JSON Patch must be an array of operations");
+    }
+
+    var result = deepClone(doc);
+
+    operations.forEach(function(operation, index) {
+        if (!isObject(operation)) {
+            throw new PatchError("operation must be an object", index);
+        }
+
+        var op = operation.op;
+        var pointer = operation.path;
+
+        if (op !== "test" && pointer === "") {
+            throw new PatchError("the document itself may not be replaced", index);
+        }
+
+        if (["add", "replace", "test"].indexOf(op) !== -1 && !operation.hasOwnProperty("value")) {
+            throw new PatchError("'" + op + "' requires a value", index);
+        }
+
+        switch (op) {
+            case "add":
+                addValue(result, pointer, deepClone(operation.value), index);
+                break;
+            case "remove":
+                removeValue(result, pointer, index);
+                break;
+            case "replace":
+                removeValue(result, pointer, index);
+                addValue(result, pointer, deepClone(operation.value), index);
+                break;
+            case "move":
+                if (typeof operation.from === "string" && pointer !== operation.from &&
+                    String(pointer).indexOf(operation.from + "/") === 0) {
+                    throw new PatchError("a location can not be moved into one of its children", index);
+                }
+
+                addValue(result, pointer, removeValue(result, operation.from, index), index);
+                break;
+            case "copy":
+                addValue(result, pointer, deepClone(getValue(result, operation.from, index)), index);
+                break;
+            case "test":
+                if (!deepEqual(getValue(result, pointer, index), operation.value)) {
+                    throw new PatchError("test of " + pointer + " failed", index, true);
+                }
+                break;
+            default:
+                throw new PatchError("unknown operation " + JSON.stringify(op), index);
+        }
+    });
+
+    return result;
+}
+
+module.exports = {
+    PatchError: PatchError,
+    mergePatch: mergePatch,
+    jsonPatch: jsonPatch
+};
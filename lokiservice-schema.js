@@ -0,0 +1,269 @@
+/**
+ * lokiservice-schema.js
+ *
+ * Minimal JSON Schema (draft-07 subset) validator used by lokiservice.js to validate documents
+ * before they are inserted or updated.  Initializers attach schemas per collection by exporting
+ * a 'schemas' object keyed by collection name (or, in descriptors, a 'schema' on each collection).
+ *
+ * Supported keywords :
+ *   type, enum, const,
+ *   properties, required, additionalProperties, minProperties, maxProperties,
+ *   items (schema or tuple array), additionalItems, minItems, maxItems, uniqueItems,
+ *   minLength, maxLength, pattern,
+ *   minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf,
+ *   allOf, anyOf, oneOf, not
+ *
+ * Unsupported keywords ($ref, format, etc) are ignored.
+ */
+
+/**
+ * Determines the JSON Schema type name of a value
+ * @param {*} value
+ */
+function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+
+    return typeof value;
+}
+
+/**
+ * Checks whether a value satisfies a single JSON Schema type name
+ * @param {*} value
+ * @param {string} type
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case "integer":
+            return typeof value === "number" && isFinite(value) && Math.floor(value) === value;
+        case "number":
+            return typeof value === "number" && isFinite(value);
+        default:
+            return typeOf(value) === type;
+    }
+}
+
+/**
+ * Structural equality used for enum, const and uniqueItems
+ * @param {*} a
+ * @param {*} b
+ */
+function deepEqual(a, b) {
+    if (a === b) return true;
+
+    if (typeOf(a) !== typeOf(b) || typeof a !== "object" || a === null) return false;
+
+    var keysA = Object.keys(a), keysB = Object.keys(b);
+
+    if (keysA.length !== keysB.length) return false;
+
+    return keysA.every(function(key) {
+        return b.hasOwnProperty(key) && deepEqual(a[key], b[key]);
+    });
+}
+
+/**
+ * Formats a property path for error reporting, e.g. tags[1] or address.city
+ * @param {string} path - parent path
+ * @param {string|number} key - property name or array index
+ */
+function childPath(path, key) {
+    if (typeof key === "number") {
+        return path + "[" + key + "]";
+    }
+
+    return path ? path + "." + key : key;
+}
+
+/**
+ * Validates a value against a schema, appending any failures to errors
+ *
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} path - path of value within the document being validated
+ * @param {array} errors - array of { path, keyword, message } to append to
+ */
+function validateValue(schema, value, path, errors) {
+    if (schema === true || schema === undefined) return;
+
+    function fail(keyword, message) {
+        errors.push({ path: path, keyword: keyword, message: message });
+    }
+
+    if (schema === false) {
+        fail("false", "no value is allowed");
+        return;
+    }
+
+    if (schema.hasOwnProperty("type")) {
+        var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+        if (!types.some(function(type) { return matchesType(value, type); })) {
+            fail("type", "should be " + types.join(" or "));
+
+            // further keyword checks would only restate the type mismatch
+            return;
+        }
+    }
+
+    if (schema.hasOwnProperty("enum") && !schema.enum.some(function(allowed) { return deepEqual(allowed, value); })) {
+        fail("enum", "should be one of " + JSON.stringify(schema.enum));
+    }
+
+    if (schema.hasOwnProperty("const") && !deepEqual(schema.const, value)) {
+        fail("const", "should be " + JSON.stringify(schema.const));
+    }
+
+    if (typeof value === "string") {
+        if (schema.hasOwnProperty("minLength") && value.length < schema.minLength) {
+            fail("minLength", "should not be shorter than " + schema.minLength + " characters");
+        }
+        if (schema.hasOwnProperty("maxLength") && value.length > schema.maxLength) {
+            fail("maxLength", "should not be longer than " + schema.maxLength + " characters");
+        }
+        if (schema.hasOwnProperty("pattern") && !(new RegExp(schema.pattern)).test(value)) {
+            fail("pattern", "should match pattern " + schema.pattern);
+        }
+    }
+
+    if (typeof value === "number") {
+        if (schema.hasOwnProperty("minimum") && value < schema.minimum) {
+            fail("minimum", "should be >= " + schema.minimum);
+        }
+        if (schema.hasOwnProperty("maximum") && value > schema.maximum) {
+            fail("maximum", "should be <= " + schema.maximum);
+        }
+        if (schema.hasOwnProperty("exclusiveMinimum") && value <= schema.exclusiveMinimum) {
+            fail("exclusiveMinimum", "should be > " + schema.exclusiveMinimum);
+        }
+        if (schema.hasOwnProperty("exclusiveMaximum") && value >= schema.exclusiveMaximum) {
+            fail("exclusiveMaximum", "should be < " + schema.exclusiveMaximum);
+        }
+        if (schema.hasOwnProperty("multipleOf") && (value / schema.multipleOf) % 1 !== 0) {
+            fail("multipleOf", "should be a multiple of " + schema.multipleOf);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.hasOwnProperty("minItems") && value.length < schema.minItems) {
+            fail("minItems", "should not have fewer than " + schema.minItems + " items");
+        }
+        if (schema.hasOwnProperty("maxItems") && value.length > schema.maxItems) {
+            fail("maxItems", "should not have more than " + schema.maxItems + " items");
+        }
+        if (schema.uniqueItems) {
+            value.forEach(function(item, index) {
+                for (var prior = 0; prior < index; prior++) {
+                    if (deepEqual(value[prior], item)) {
+                        fail("uniqueItems", "should not contain duplicate items (" + prior + " and " + index + ")");
+                        return;
+                    }
+                }
+            });
+        }
+
+        if (Array.isArray(schema.items)) {
+            value.forEach(function(item, index) {
+                if (index < schema.items.length) {
+                    validateValue(schema.items[index], item, childPath(path, index), errors);
+                }
+                else if (schema.hasOwnProperty("additionalItems")) {
+                    validateValue(schema.additionalItems, item, childPath(path, index), errors);
+                }
+            });
+        }
+        else if (schema.hasOwnProperty("items")) {
+            value.forEach(function(item, index) {
+                validateValue(schema.items, item, childPath(path, index), errors);
+            });
+        }
+    }
+
+    if (typeOf(value) === "object") {
+        var properties = schema.properties || {};
+        var keys = Object.keys(value);
+
+        (schema.required || []).forEach(function(name) {
+            if (!value.hasOwnProperty(name) || value[name] === undefined) {
+                errors.push({ path: childPath(path, name), keyword: "required", message: "is required" });
+            }
+        });
+
+        if (schema.hasOwnProperty("minProperties") && keys.length < schema.minProperties) {
+            fail("minProperties", "should not have fewer than " + schema.minProperties + " properties");
+        }
+        if (schema.hasOwnProperty("maxProperties") && keys.length > schema.maxProperties) {
+            fail("maxProperties", "should not have more than " + schema.maxProperties + " properties");
+        }
+
+        keys.forEach(function(name) {
+            if (value[name] === undefined) return;
+
+            if (properties.hasOwnProperty(name)) {
+                validateValue(properties[name], value[name], childPath(path, name), errors);
+            }
+            else if (schema.hasOwnProperty("additionalProperties")) {
+                if (schema.additionalProperties === false) {
+                    errors.push({ path: childPath(path, name), keyword: "additionalProperties", message: "is not an allowed property" });
+                }
+                else {
+                    validateValue(schema.additionalProperties, value[name], childPath(path, name), errors);
+                }
+            }
+        });
+    }
+
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach(function(subschema) {
+            validateValue(subschema, value, path, errors);
+        });
+    }
+
+    if (Array.isArray(schema.anyOf) && !schema.anyOf.some(function(subschema) { return isValid(subschema, value); })) {
+        fail("anyOf", "should match at least one of the allowed schemas");
+    }
+
+    if (Array.isArray(schema.oneOf)) {
+        var matches = schema.oneOf.filter(function(subschema) { return isValid(subschema, value); }).length;
+
+        if (matches !== 1) {
+            fail("oneOf", "should match exactly one of the allowed schemas (matched " + matches + ")");
+        }
+    }
+
+    if (schema.hasOwnProperty("not") && isValid(schema.not, value)) {
+        fail("not", "should not match the disallowed schema");
+    }
+}
+
+/**
+ * Determines whether a value satisfies a schema
+ * @param {object} schema
+ * @param {*} value
+ */
+function isValid(schema, value) {
+    var errors = [];
+
+    validateValue(schema, value, "", errors);
+
+    return errors.length === 0;
+}
+
+/**
+ * Validates a document against a schema.
+ *
+ * @param {object} schema - JSON schema (draft-07 subset)
+ * @param {object} doc - document to validate
+ * @returns {array} array of { path, keyword, message } (empty if valid)
+ */
+function validate(schema, doc) {
+    var errors = [];
+
+    validateValue(schema, doc, "", errors);
+
+    return errors;
+}
+
+module.exports = {
+    validate: validate
+};
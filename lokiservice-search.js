@@ -0,0 +1,438 @@
+/**
+ * lokiservice-search.js
+ *
+ * Full-text indexes for lokiservice.js's search export.  Initializers declare them by exporting
+ * 'fullTextIndexes' keyed by collection name (descriptors : "fullText" on each collection) :
+ * {
+ *     users: {
+ *         fields: ["name", "tags"],     // string (or array of strings) fields, or { field: boost }
+ *         stemming: true,               // reduce (english) words to their stems, e.g. runes -> rune
+ *         stopWords: true               // ignore common (english) words, or an array of words to ignore
+ *     }
+ * }
+ *
+ * Text is split into words (runs of letters and digits), lowercased and stripped of diacritics before
+ * stop words are removed and words are stemmed.  Results are ranked by BM25, with each field's term
+ * frequencies multiplied by its boost.
+ */
+
+// default stop words (those of lucene's english analyzer)
+var englishStopWords = [
+    "a", "an", "and", "are", "as", "at", "be", "but", "by", "for", "if", "in", "into", "is", "it", "no",
+    "not", "of", "on", "or", "such", "that", "the", "their", "then", "there", "these", "they", "this",
+    "to", "was", "will", "with"
+];
+
+// BM25 parameters : term frequency saturation and document length normalization
+var K1 = 1.2;
+var B = 0.75;
+
+var WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Porter stemmer (see https://tartarus.org/martin/PorterStemmer/), applied to words of ascii letters
+ */
+var stemmer = (function() {
+    var step2Suffixes = {
+        ational: "ate", tional: "tion", enci: "ence", anci: "ance", izer: "ize", bli: "ble", alli: "al",
+        entli: "ent", eli: "e", ousli: "ous", ization: "ize", ation: "ate", ator: "ate", alism: "al",
+        iveness: "ive", fulness: "ful", ousness: "ous", aliti: "al", iviti: "ive", biliti: "ble", logi: "log"
+    };
+    var step3Suffixes = { icate: "ic", ative: "", alize: "al", iciti: "ic", ical: "ic", ful: "", ness: "" };
+
+    var c = "[^aeiou]", v = "[aeiouy]", C = c + "[^aeiouy]*", V = v + "[aeiou]*";
+
+    var mGreater0 = new RegExp("^(" + C + ")?" + V + C);
+    var mEquals1 = new RegExp("^(" + C + ")?" + V + C + "(" + V + ")?$");
+    var mGreater1 = new RegExp("^(" + C + ")?" + V + C + V + C);
+    var hasVowel = new RegExp("^(" + C + ")?" + v);
+    var endsCVC = new RegExp("^" + C + v + "[^aeiouwxy]$");
+
+    return function(word) {
+        var m;
+
+        if (word.length < 3 || !/^[a-z]+$/.test(word)) {
+            return word;
+        }
+
+        // an initial y is a consonant
+        var initialY = word[0] === "y";
+
+        if (initialY) {
+            word = "Y" + word.substr(1);
+        }
+
+        // step 1a : plurals
+        if ((m = /^(.+?)(ss|i)es$/.exec(word))) {
+            word = m[1] + m[2];
+        }
+        else if ((m = /^(.+?)([^s])s$/.exec(word))) {
+            word = m[1] + m[2];
+        }
+
+        // step 1b : past tenses and progressives
+        if ((m = /^(.+?)eed$/.exec(word))) {
+            if (mGreater0.test(m[1])) {
+                word = word.slice(0, -1);
+            }
+        }
+        else if ((m = /^(.+?)(ed|ing)$/.exec(word)) && hasVowel.test(m[1])) {
+            word = m[1];
+
+            if (/(at|bl|iz)$/.test(word)) {
+                word += "e";
+            }
+            else if (/([^aeiouylsz])\1$/.test(word)) {
+                word = word.slice(0, -1);
+            }
+            else if (endsCVC.test(word)) {
+                word += "e";
+            }
+        }
+
+        // step 1c : y to i
+        if ((m = /^(.+?)y$/.exec(word)) && hasVowel.test(m[1])) {
+            word = m[1] + "i";
+        }
+
+        // step 2 : double suffixes
+        if ((m = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(word)) &&
+            mGreater0.test(m[1])) {
+            word = m[1] + step2Suffixes[m[2]];
+        }
+
+        // step 3 : -ic-, -full, -ness etc.
+        if ((m = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(word)) && mGreater0.test(m[1])) {
+            word = m[1] + step3Suffixes[m[2]];
+        }
+
+        // step 4 : -ant, -ence etc.
+        if ((m = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(word))) {
+            if (mGreater1.test(m[1])) {
+                word = m[1];
+            }
+        }
+        else if ((m = /^(.+?)(s|t)(ion)$/.exec(word)) && mGreater1.test(m[1] + m[2])) {
+            word = m[1] + m[2];
+        }
+
+        // step 5 : final e and ll
+        if ((m = /^(.+?)e$/.exec(word)) && (mGreater1.test(m[1]) || (mEquals1.test(m[1]) && !endsCVC.test(m[1])))) {
+            word = m[1];
+        }
+
+        if (/ll$/.test(word) && mGreater1.test(word)) {
+            word = word.slice(0, -1);
+        }
+
+        return initialY ? "y" + word.substr(1) : word;
+    };
+})();
+
+/**
+ * Returns the value at a (dotted) field path of a document
+ * @param {object} doc
+ * @param {string} field
+ */
+function fieldValue(doc, field) {
+    return field.split(".").reduce(function(value, segment) {
+        return (value !== null && typeof value === "object") ? value[segment] : undefined;
+    }, doc);
+}
+
+/**
+ * Returns the strings held by a value (a string, or strings within arrays)
+ * @param {*} value
+ */
+function strings(value) {
+    if (typeof value === "string") {
+        return [value];
+    }
+
+    return Array.isArray(value) ? value.reduce(function(result, item) { return result.concat(strings(item)); }, []) : [];
+}
+
+/**
+ * Checks full-text index options, returning a list of problems (empty if usable)
+ * @param {object} options
+ */
+function checkIndexOptions(options) {
+    var errors = [];
+
+    if (options === null || typeof options !== "object" || Array.isArray(options)) {
+        return ["full-text index options must be an object"];
+    }
+
+    var fields = options.fields;
+
+    if (Array.isArray(fields)) {
+        if (!fields.length || !fields.every(function(field) { return typeof field === "string" && field.length > 0; })) {
+            errors.push("fields must be a non-empty array of field names");
+        }
+    }
+    else if (fields !== null && typeof fields === "object") {
+        if (!Object.keys(fields).length || !Object.keys(fields).every(function(field) { return typeof fields[field] === "number" && fields[field] > 0; })) {
+            errors.push("field boosts must be positive numbers");
+        }
+    }
+    else {
+        errors.push("fields must be an array of field names or an object of field boosts");
+    }
+
+    if (options.hasOwnProperty("stopWords") && typeof options.stopWords !== "boolean" &&
+        !(Array.isArray(options.stopWords) && options.stopWords.every(function(word) { return typeof word === "string"; }))) {
+        errors.push("stopWords must be true, false or an array of words");
+    }
+
+    return errors;
+}
+
+/**
+ * Full-text index over fields of a collection's documents, maintained as documents change
+ * @param {object} options - checked index options, see checkIndexOptions
+ */
+function FullTextIndex(options) {
+    var self = this;
+
+    this.boosts = {};
+
+    if (Array.isArray(options.fields)) {
+        options.fields.forEach(function(field) {
+            self.boosts[field] = 1;
+        });
+    }
+    else {
+        Object.assign(this.boosts, options.fields);
+    }
+
+    this.fields = Object.keys(this.boosts);
+    this.stemming = !!options.stemming;
+    this.stopWords = {};
+
+    (options.stopWords === true ? englishStopWords : (options.stopWords || [])).forEach(function(word) {
+        self.stopWords[word.toLowerCase()] = true;
+    });
+
+    // term -> { $loki -> weighted term frequency }
+    this.postings = {};
+    // $loki -> { length, terms : [term] }
+    this.documents = {};
+    this.documentCount = 0;
+    this.totalLength = 0;
+}
+
+/**
+ * Normalizes a word into the term it is indexed (and searched) as, or null if it is ignored
+ * @param {string} word
+ */
+FullTextIndex.prototype.term = function(word) {
+    var term = word.toLowerCase().normalize("NFKD").replace(/\p{M}/gu, "");
+
+    if (this.stopWords.hasOwnProperty(term)) {
+        return null;
+    }
+
+    return this.stemming ? stemmer(term) : term;
+};
+
+/**
+ * Splits text into the terms it is indexed as
+ * @param {string} text
+ */
+FullTextIndex.prototype.terms = function(text) {
+    var self = this;
+
+    return (String(text).match(WORD_PATTERN) || []).map(function(word) {
+        return self.term(word);
+    }).filter(function(term) {
+        return term !== null;
+    });
+};
+
+/**
+ * Indexes a document (replacing any entry it already has)
+ * @param {object} doc
+ */
+FullTextIndex.prototype.add = function(doc) {
+    var self = this;
+    var frequencies = {};
+    var length = 0;
+
+    this.remove(doc);
+
+    this.fields.forEach(function(field) {
+        strings(fieldValue(doc, field)).forEach(function(text) {
+            self.terms(text).forEach(function(term) {
+                frequencies[term] = (frequencies[term] || 0) + self.boosts[field];
+                length++;
+            });
+        });
+    });
+
+    Object.keys(frequencies).forEach(function(term) {
+        if (!self.postings.hasOwnProperty(term)) {
+            self.postings[term] = {};
+        }
+
+        self.postings[term][doc.$loki] = frequencies[term];
+    });
+
+    this.documents[doc.$loki] = { length: length, terms: Object.keys(frequencies) };
+    this.documentCount++;
+    this.totalLength += length;
+};
+
+/**
+ * Removes a document from the index
+ * @param {object} doc - document (or at least its $loki)
+ */
+FullTextIndex.prototype.remove = function(doc) {
+    var self = this;
+    var entry = this.documents[doc.$loki];
+
+    if (!entry) {
+        return;
+    }
+
+    entry.terms.forEach(function(term) {
+        delete self.postings[term][doc.$loki];
+
+        if (!Object.keys(self.postings[term]).length) {
+            delete self.postings[term];
+        }
+    });
+
+    delete this.documents[doc.$loki];
+    this.documentCount--;
+    this.totalLength -= entry.length;
+};
+
+/**
+ * Expands query text into the distinct terms it searches for, each with the indexed terms it matches
+ * @param {string} text
+ * @param {boolean=} prefix - true if query terms also match indexed terms they begin
+ * @returns {array} [{ term, matches : [indexed term] }]
+ */
+FullTextIndex.prototype.queryTerms = function(text, prefix) {
+    var self = this;
+    var indexed = prefix ? Object.keys(this.postings) : null;
+    var seen = {};
+
+    return this.terms(text).filter(function(term) {
+        return seen.hasOwnProperty(term) ? false : (seen[term] = true);
+    }).map(function(term) {
+        var matches = prefix ? indexed.filter(function(candidate) { return candidate.indexOf(term) === 0; }) :
+            (self.postings.hasOwnProperty(term) ? [term] : []);
+
+        return { term: term, matches: matches };
+    });
+};
+
+/**
+ * Scores documents matching query text by BM25
+ *
+ * @param {string} text - query text
+ * @param {object=} options - { all (every query term must match), prefix (see queryTerms) }
+ * @returns {array} [{ $loki, score }], best first
+ */
+FullTextIndex.prototype.search = function(text, options) {
+    var self = this;
+    var queryTerms = this.queryTerms(text, options && options.prefix);
+    var averageLength = this.documentCount ? this.totalLength / this.documentCount : 0;
+    var scores = {}, matched = {};
+
+    queryTerms.forEach(function(queryTerm, position) {
+        queryTerm.matches.forEach(function(term) {
+            var postings = self.postings[term];
+            var ids = Object.keys(postings);
+            var idf = Math.log(1 + (self.documentCount - ids.length + 0.5) / (ids.length + 0.5));
+
+            ids.forEach(function(id) {
+                var frequency = postings[id];
+                var norm = 1 - B + B * (averageLength ? self.documents[id].length / averageLength : 1);
+
+                scores[id] = (scores[id] || 0) + idf * (frequency * (K1 + 1)) / (frequency + K1 * norm);
+                matched[id] = matched[id] || {};
+                matched[id][position] = true;
+            });
+        });
+    });
+
+    return Object.keys(scores).filter(function(id) {
+        return !(options && options.all) || Object.keys(matched[id]).length === queryTerms.length;
+    }).map(function(id) {
+        return { $loki: parseInt(id, 10), score: scores[id] };
+    }).sort(function(a, b) {
+        return b.score - a.score || a.$loki - b.$loki;
+    });
+};
+
+/**
+ * Marks the words of a document's indexed fields which match query text
+ *
+ * @param {object} doc
+ * @param {string} text - query text
+ * @param {object=} options - { prefix (see queryTerms), pre (default "<em>"), post (default "</em>") }
+ * @returns {object} highlighted text of fields with matches, keyed by field (arrays for array fields,
+ *   holding only the matching strings)
+ */
+FullTextIndex.prototype.highlight = function(doc, text, options) {
+    var self = this;
+    var pre = (options && typeof options.pre === "string") ? options.pre : "<em>";
+    var post = (options && typeof options.post === "string") ? options.post : "</em>";
+    var terms = {};
+
+    this.queryTerms(text, options && options.prefix).forEach(function(queryTerm) {
+        queryTerm.matches.forEach(function(term) {
+            terms[term] = true;
+        });
+    });
+
+    var highlights = {};
+
+    this.fields.forEach(function(field) {
+        var value = fieldValue(doc, field);
+        var marked = [];
+
+        strings(value).forEach(function(text) {
+            var found = false;
+            var result = text.replace(WORD_PATTERN, function(word) {
+                var term = self.term(word);
+
+                if (term === null || !terms.hasOwnProperty(term)) {
+                    return word;
+                }
+
+                found = true;
+                return pre + word + post;
+            });
+
+            if (found) {
+                marked.push(result);
+            }
+        });
+
+        if (marked.length) {
+            highlights[field] = Array.isArray(value) ? marked : marked[0];
+        }
+    });
+
+    return highlights;
+};
+
+/**
+ * Describes the size of the index
+ */
+FullTextIndex.prototype.info = function() {
+    return {
+        fields: this.fields,
+        documents: this.documentCount,
+        terms: Object.keys(this.postings).length
+    };
+};
+
+module.exports = {
+    checkIndexOptions: checkIndexOptions,
+    FullTextIndex: FullTextIndex,
+    stem: stemmer
+};
@@ -0,0 +1,292 @@
+/**
+ * lokiservice-snapshots.js
+ *
+ * Snapshot file handling for lokiservice.js (see its snapshot, listSnapshots and restore exports).
+ *
+ * Snapshots are serialized databases (or selected collections of one) written to a snapshot directory,
+ * by default the directory of the database file, named :
+ *   <database file name>.<label>.<timestamp>.json[.gz]
+ * e.g. customer1.db.snapshot.20171023T154210123Z.json.gz
+ *
+ * 'label' is "snapshot" unless given, and "auto" for snapshots taken by a snapshot policy, whose
+ * retention count only ever prunes "auto" snapshots.  Snapshots are written to a temporary file and
+ * then renamed, so a snapshot file is never observed partially written.
+ */
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+var LABEL_PATTERN = /^[\w-]+$/;
+
+/**
+ * Formats a date as a compact, sortable (UTC) timestamp, e.g. 20171023T154210123Z
+ * @param {Date} date
+ */
+function formatTimestamp(date) {
+    return date.toISOString().replace(/[-:.]/g, "");
+}
+
+/**
+ * Parses a timestamp formatted by formatTimestamp
+ * @param {string} timestamp
+ */
+function parseTimestamp(timestamp) {
+    var m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z$/.exec(timestamp);
+
+    if (!m) {
+        return null;
+    }
+
+    return new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6], +m[7]));
+}
+
+/**
+ * Determines the directory snapshots of a database file are kept in
+ * @param {string} filename - database file name
+ * @param {string=} directory - configured snapshot directory (defaults to that of the database file)
+ */
+function snapshotDirectory(filename, directory) {
+    return directory || path.dirname(filename);
+}
+
+/**
+ * Determines whether a snapshot label is acceptable (used within file names)
+ * @param {string} label
+ */
+function isValidLabel(label) {
+    return typeof label === "string" && LABEL_PATTERN.test(label);
+}
+
+/**
+ * Describes a snapshot file of a database, or returns null if the file is not one
+ * @param {string} filename - database file name
+ * @param {string} name - snapshot file name (without directory)
+ */
+function describeSnapshot(filename, name) {
+    var prefix = path.basename(filename) + ".";
+
+    if (name.indexOf(prefix) !== 0) {
+        return null;
+    }
+
+    var m = /^([\w-]+)\.(\d{8}T\d{9}Z)\.json(\.gz)?$/.exec(name.substr(prefix.length));
+    var timestamp = m && parseTimestamp(m[2]);
+
+    if (!timestamp) {
+        return null;
+    }
+
+    return {
+        name: name,
+        label: m[1],
+        timestamp: timestamp.getTime(),
+        gzip: !!m[3]
+    };
+}
+
+/**
+ * Serializes a database, optionally limited to some of its collections.  Snapshots of selected
+ * collections list them as 'snapshotCollections', so restoring one leaves other collections alone.
+ *
+ * @param {Loki} db
+ * @param {array=} collections - names of collections to include (default all)
+ */
+function serialize(db, collections) {
+    return JSON.stringify(db, function(key, value) {
+        if (key === "" && collections) {
+            return Object.assign({}, value, {
+                collections: value.collections.filter(function(coll) {
+                    return collections.indexOf(coll.name) !== -1;
+                }),
+                snapshotCollections: collections
+            });
+        }
+
+        return db.serializeReplacer(key, value);
+    });
+}
+
+/**
+ * Writes a snapshot file
+ *
+ * @param {string} directory - snapshot directory
+ * @param {string} filename - database file name
+ * @param {string} serialized - serialized database
+ * @param {object} options - { label, gzip }
+ * @param {function} callback - node-style (err, result) callback, result being { name, label, timestamp, gzip, bytes }
+ */
+function writeSnapshot(directory, filename, serialized, options, callback) {
+    var date = new Date();
+    var label = options.label || "snapshot";
+    var name = path.basename(filename) + "." + label + "." + formatTimestamp(date) + ".json" + (options.gzip ? ".gz" : "");
+    var target = path.join(directory, name);
+    var temp = target + ".tmp";
+
+    function write(data) {
+        fs.writeFile(temp, data, function(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            fs.rename(temp, target, function(err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                callback(null, { name: name, label: label, timestamp: date.getTime(), gzip: !!options.gzip, bytes: data.length });
+            });
+        });
+    }
+
+    fs.mkdir(directory, { recursive: true }, function(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (!options.gzip) {
+            write(Buffer.from(serialized));
+            return;
+        }
+
+        zlib.gzip(serialized, function(err, compressed) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            write(compressed);
+        });
+    });
+}
+
+/**
+ * Lists the snapshots of a database, newest first
+ *
+ * @param {string} directory - snapshot directory
+ * @param {string} filename - database file name
+ * @param {function} callback - node-style (err, snapshots) callback, each being { name, label, timestamp, gzip, bytes }
+ */
+function listSnapshots(directory, filename, callback) {
+    fs.readdir(directory, function(err, names) {
+        if (err) {
+            // no snapshots have been taken yet
+            callback(err.code === "ENOENT" ? null : err, err.code === "ENOENT" ? [] : undefined);
+            return;
+        }
+
+        var snapshots = names.map(function(name) {
+            return describeSnapshot(filename, name);
+        }).filter(function(snapshot) {
+            return snapshot !== null;
+        });
+
+        snapshots.forEach(function(snapshot) {
+            try {
+                snapshot.bytes = fs.statSync(path.join(directory, snapshot.name)).size;
+            }
+            catch (statErr) {
+                snapshot.bytes = null;
+            }
+        });
+
+        snapshots.sort(function(a, b) {
+            return b.timestamp - a.timestamp;
+        });
+
+        callback(null, snapshots);
+    });
+}
+
+/**
+ * Reads and parses a snapshot file
+ *
+ * @param {string} directory - snapshot directory
+ * @param {object} snapshot - as described by listSnapshots
+ * @param {function} callback - node-style (err, dbObject) callback
+ */
+function readSnapshot(directory, snapshot, callback) {
+    fs.readFile(path.join(directory, snapshot.name), function(err, data) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        function parse(text) {
+            var dbObject;
+
+            try {
+                dbObject = JSON.parse(text);
+            }
+            catch (parseErr) {
+                callback(parseErr);
+                return;
+            }
+
+            callback(null, dbObject);
+        }
+
+        if (!snapshot.gzip) {
+            parse(data.toString("utf8"));
+            return;
+        }
+
+        zlib.gunzip(data, function(err, text) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            parse(text.toString("utf8"));
+        });
+    });
+}
+
+/**
+ * Removes the oldest snapshots with a given label, keeping the newest 'retain' of them
+ *
+ * @param {string} directory - snapshot directory
+ * @param {string} filename - database file name
+ * @param {string} label
+ * @param {int} retain - number of snapshots to keep
+ * @param {function} callback - node-style (err, removed) callback, removed being snapshot names
+ */
+function pruneSnapshots(directory, filename, label, retain, callback) {
+    listSnapshots(directory, filename, function(err, snapshots) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var removed = snapshots.filter(function(snapshot) {
+            return snapshot.label === label;
+        }).slice(retain).map(function(snapshot) {
+            return snapshot.name;
+        });
+
+        try {
+            removed.forEach(function(name) {
+                fs.unlinkSync(path.join(directory, name));
+            });
+        }
+        catch (unlinkErr) {
+            callback(unlinkErr);
+            return;
+        }
+
+        callback(null, removed);
+    });
+}
+
+module.exports = {
+    snapshotDirectory: snapshotDirectory,
+    isValidLabel: isValidLabel,
+    describeSnapshot: describeSnapshot,
+    serialize: serialize,
+    writeSnapshot: writeSnapshot,
+    listSnapshots: listSnapshots,
+    readSnapshot: readSnapshot,
+    pruneSnapshots: pruneSnapshots
+};
@@ -0,0 +1,657 @@
+/**
+ * lokiservice-transfer.js
+ *
+ * Encoding and decoding of collection documents for lokiservice.js's exportCollection and
+ * importCollection exports, in two formats :
+ *   ndjson - one JSON encoded document per line
+ *   csv    - RFC 4180 comma separated values with a header row
+ *
+ * Both are streamed : exports write documents in batches (waiting for the destination to drain) and
+ * imports decode records as chunks arrive, so neither builds the whole file in memory.
+ *
+ * Transfer options (all optional) :
+ * {
+ *     columns: ["name", "age", "tags"],         // csv export : fields to write, in order (default all fields)
+ *     headers: { "Full Name": "name" },          // csv : header name -> document field, where they differ
+ *     types: { age: "number", tags: "array" },   // import : field types to coerce values to
+ *     arrayDelimiter: "|",                       // csv : delimiter of array values encoded within a cell
+ *     includeId: false                           // export : include $loki (meta is never exported)
+ * }
+ *
+ * Types are string, number, integer, boolean, date, json and array (of strings, or "array:<type>" e.g.
+ * "array:number").  On import, string values of typed fields are coerced (in csv every value is a string,
+ * in ndjson only values which are), empty csv cells are left out of the document, and csv values of
+ * untyped fields remain strings.  On export, dates are written as ISO 8601 strings, and in csv arrays
+ * are joined with arrayDelimiter and objects are written as JSON.
+ */
+const path = require("path");
+
+var formats = ["ndjson", "csv"];
+
+var DEFAULT_ARRAY_DELIMITER = "|";
+
+// documents encoded per write during exports
+var EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Determines the format of a transfer from the format option or, failing that, the file extension
+ *
+ * @param {string|object} file - file path (or stream)
+ * @param {string=} format - ndjson or csv
+ * @returns {string} format, or null if the given format is not supported
+ */
+function resolveFormat(file, format) {
+    if (format !== undefined && format !== null) {
+        return formats.indexOf(format) !== -1 ? format : null;
+    }
+
+    if (typeof file === "string" && path.extname(file).toLowerCase() === ".csv") {
+        return "csv";
+    }
+
+    return "ndjson";
+}
+
+/**
+ * Inverts a header mapping ({ header: field }) into { field: header }
+ * @param {object=} headers
+ */
+function fieldHeaders(headers) {
+    var result = {};
+
+    Object.keys(headers || {}).forEach(function(header) {
+        result[headers[header]] = header;
+    });
+
+    return result;
+}
+
+/**
+ * Copies a document for export, removing loki metadata
+ * @param {object} doc
+ * @param {object} options - transfer options
+ */
+function exportedDocument(doc, options) {
+    var result = Object.assign({}, doc);
+
+    delete result.meta;
+
+    if (!options.includeId) {
+        delete result.$loki;
+    }
+
+    return result;
+}
+
+/**
+ * Determines the csv columns of an export : the columns option, otherwise every field of the
+ * exported documents in order of first appearance
+ *
+ * @param {array} docs - exported documents
+ * @param {object} options - transfer options
+ */
+function csvColumns(docs, options) {
+    if (Array.isArray(options.columns)) {
+        return options.columns;
+    }
+
+    var columns = [];
+    var seen = {};
+
+    docs.forEach(function(doc) {
+        Object.keys(exportedDocument(doc, options)).forEach(function(field) {
+            if (!seen.hasOwnProperty(field)) {
+                seen[field] = true;
+                columns.push(field);
+            }
+        });
+    });
+
+    return columns;
+}
+
+/**
+ * Quotes a csv cell value when required
+ * @param {string} text
+ */
+function csvCell(text) {
+    if (/[",\r\n]/.test(text) || text !== text.trim()) {
+        return "\"" + text.replace(/"/g, "\"\"") + "\"";
+    }
+
+    return text;
+}
+
+/**
+ * Encodes a single value as csv cell text
+ * @param {*} value
+ * @param {string} arrayDelimiter
+ */
+function csvValue(value, arrayDelimiter) {
+    if (value === undefined || value === null) {
+        return "";
+    }
+
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(function(item) {
+            return (item !== null && typeof item === "object" && !(item instanceof Date)) ?
+                JSON.stringify(item) : csvValue(item, arrayDelimiter);
+        }).join(arrayDelimiter);
+    }
+
+    if (typeof value === "object") {
+        return JSON.stringify(value);
+    }
+
+    return String(value);
+}
+
+/**
+ * Creates an encoder turning documents into lines of an export
+ *
+ * @param {string} format - ndjson or csv
+ * @param {array} docs - documents being exported (used to determine csv columns)
+ * @param {object} options - transfer options
+ * @returns {object} { header: text to write first, encode: function(doc) returning a line }
+ */
+function createEncoder(format, docs, options) {
+    if (format === "ndjson") {
+        return {
+            header: "",
+            encode: function(doc) {
+                return JSON.stringify(exportedDocument(doc, options)) + "\n";
+            }
+        };
+    }
+
+    var columns = csvColumns(docs, options);
+    var headers = fieldHeaders(options.headers);
+    var arrayDelimiter = options.arrayDelimiter || DEFAULT_ARRAY_DELIMITER;
+
+    return {
+        header: columns.map(function(field) {
+            return csvCell(headers.hasOwnProperty(field) ? headers[field] : field);
+        }).join(",") + "\r\n",
+        encode: function(doc) {
+            return columns.map(function(field) {
+                return csvCell(csvValue(doc[field], arrayDelimiter));
+            }).join(",") + "\r\n";
+        }
+    };
+}
+
+/**
+ * Writes documents to a stream, in batches, waiting for the stream to drain between them.
+ * The stream is ended once every document has been written.
+ *
+ * @param {array} docs - documents to export
+ * @param {stream.Writable} stream
+ * @param {string} format - ndjson or csv
+ * @param {object} options - transfer options
+ * @param {function} callback - node-style (err, result) callback, result being { count, bytes }
+ */
+function writeDocuments(docs, stream, format, options, callback) {
+    var encoder = createEncoder(format, docs, options);
+    var index = 0;
+    var bytes = 0;
+    var finished = false;
+
+    function finish(err) {
+        if (finished) return;
+        finished = true;
+
+        stream.removeListener("error", finish);
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, { count: docs.length, bytes: bytes });
+    }
+
+    function write(text) {
+        bytes += Buffer.byteLength(text);
+
+        return stream.write(text);
+    }
+
+    function next() {
+        var text = "";
+        var end = Math.min(index + EXPORT_BATCH_SIZE, docs.length);
+
+        // documents are encoded as we reach them, so a long export reflects later updates to those not yet written
+        for (; index < end; index++) {
+            text += encoder.encode(docs[index]);
+        }
+
+        if (index >= docs.length) {
+            if (text) {
+                write(text);
+            }
+
+            stream.end(function() {
+                finish(null);
+            });
+            return;
+        }
+
+        if (write(text)) {
+            setImmediate(next);
+        }
+        else {
+            stream.once("drain", next);
+        }
+    }
+
+    stream.on("error", finish);
+
+    if (encoder.header) {
+        write(encoder.header);
+    }
+
+    next();
+}
+
+var coercions = {
+    string: function(value) {
+        return value;
+    },
+    number: function(value) {
+        var result = Number(value);
+
+        if (value.trim() === "" || isNaN(result)) {
+            throw new Error("'" + value + "' is not a number");
+        }
+
+        return result;
+    },
+    integer: function(value) {
+        var result = coercions.number(value);
+
+        if (Math.floor(result) !== result) {
+            throw new Error("'" + value + "' is not an integer");
+        }
+
+        return result;
+    },
+    boolean: function(value) {
+        var text = value.trim().toLowerCase();
+
+        if (["true", "yes", "1"].indexOf(text) !== -1) return true;
+        if (["false", "no", "0"].indexOf(text) !== -1) return false;
+
+        throw new Error("'" + value + "' is not a boolean");
+    },
+    date: function(value) {
+        var result = new Date(value);
+
+        if (isNaN(result.getTime())) {
+            throw new Error("'" + value + "' is not a date");
+        }
+
+        return result;
+    },
+    json: function(value) {
+        return JSON.parse(value);
+    }
+};
+
+/**
+ * Determines whether a field type is supported
+ * @param {string} type
+ */
+function isValidType(type) {
+    if (typeof type !== "string") {
+        return false;
+    }
+
+    if (type === "array") {
+        return true;
+    }
+
+    if (type.indexOf("array:") === 0) {
+        type = type.substr(6);
+    }
+
+    return coercions.hasOwnProperty(type);
+}
+
+/**
+ * Coerces an (imported) string value to a field type
+ * @param {string} value
+ * @param {string} type
+ * @param {string} arrayDelimiter
+ */
+function coerce(value, type, arrayDelimiter) {
+    if (type === "array" || type.indexOf("array:") === 0) {
+        var itemType = type === "array" ? "string" : type.substr(6);
+
+        if (value === "") {
+            return [];
+        }
+
+        return value.split(arrayDelimiter).map(function(item) {
+            return coercions[itemType](item);
+        });
+    }
+
+    return coercions[type](value);
+}
+
+/**
+ * Applies field types to an imported document (string values only), throwing on values which
+ * can not be coerced
+ *
+ * @param {object} doc
+ * @param {object} options - transfer options
+ */
+function coerceDocument(doc, options) {
+    var types = options.types || {};
+    var arrayDelimiter = options.arrayDelimiter || DEFAULT_ARRAY_DELIMITER;
+
+    Object.keys(types).forEach(function(field) {
+        if (typeof doc[field] !== "string") {
+            return;
+        }
+
+        try {
+            doc[field] = coerce(doc[field], types[field], arrayDelimiter);
+        }
+        catch (err) {
+            throw new Error("Field '" + field + "' : " + err.message);
+        }
+    });
+
+    return doc;
+}
+
+/**
+ * Incremental (RFC 4180) csv parser.  Chunks of text are pushed in and complete rows (arrays of
+ * cell values) are returned as they become available.
+ */
+function CsvParser() {
+    this.row = [];
+    this.cell = "";
+    this.quoted = false;
+    this.quotePending = false;
+    this.started = false;
+    this.line = 1;
+    this.rowLine = 1;
+}
+
+/**
+ * Parses a chunk of text, returning the rows it completes as { line, cells }
+ * @param {string} text
+ */
+CsvParser.prototype.push = function(text) {
+    var rows = [];
+
+    for (var idx = 0; idx < text.length; idx++) {
+        var ch = text[idx];
+
+        if (this.quoted) {
+            if (this.quotePending) {
+                this.quotePending = false;
+
+                if (ch === "\"") {
+                    // escaped quote
+                    this.cell += ch;
+                    continue;
+                }
+
+                this.quoted = false;
+            }
+            else {
+                if (ch === "\"") {
+                    this.quotePending = true;
+                }
+                else {
+                    if (ch === "\n") this.line++;
+                    this.cell += ch;
+                }
+                continue;
+            }
+        }
+
+        if (ch === "\"" && this.cell === "") {
+            this.quoted = true;
+            this.started = true;
+        }
+        else if (ch === ",") {
+            this.row.push(this.cell);
+            this.cell = "";
+            this.started = true;
+        }
+        else if (ch === "\n") {
+            this.endRow(rows);
+            this.line++;
+            this.rowLine = this.line;
+        }
+        else if (ch !== "\r") {
+            this.cell += ch;
+            this.started = true;
+        }
+    }
+
+    return rows;
+};
+
+/**
+ * Completes the row being parsed (blank lines are skipped)
+ * @param {array} rows - completed rows to append to
+ */
+CsvParser.prototype.endRow = function(rows) {
+    if (this.started) {
+        this.row.push(this.cell);
+        rows.push({ line: this.rowLine, cells: this.row });
+    }
+
+    this.row = [];
+    this.cell = "";
+    this.started = false;
+};
+
+/**
+ * Signals the end of input, returning the final row (if it was not terminated by a line break)
+ */
+CsvParser.prototype.end = function() {
+    var rows = [];
+
+    if (this.quoted && !this.quotePending) {
+        throw new Error("Unterminated quoted value starting on line " + this.rowLine);
+    }
+
+    this.quoted = false;
+    this.quotePending = false;
+    this.endRow(rows);
+
+    return rows;
+};
+
+/**
+ * Creates a decoder turning chunks of an import into records.  Records are either
+ * { line, doc } or, for lines which could not be decoded, { line, error }.
+ *
+ * @param {string} format - ndjson or csv
+ * @param {object} options - transfer options
+ * @returns {object} { push: function(text) returning records, end: function() returning records }
+ */
+function createDecoder(format, options) {
+    if (format === "ndjson") {
+        var pending = "";
+        var line = 0;
+
+        function decodeLine(text) {
+            line++;
+
+            if (!text.trim()) {
+                return null;
+            }
+
+            try {
+                var doc = JSON.parse(text);
+
+                if (doc === null || typeof doc !== "object" || Array.isArray(doc)) {
+                    throw new Error("Line is not a JSON object");
+                }
+
+                return { line: line, doc: coerceDocument(doc, options) };
+            }
+            catch (err) {
+                return { line: line, error: err.message };
+            }
+        }
+
+        function decodeLines(lines) {
+            return lines.map(decodeLine).filter(function(record) {
+                return record !== null;
+            });
+        }
+
+        return {
+            push: function(text) {
+                var lines = (pending + text).split("\n");
+
+                pending = lines.pop();
+
+                return decodeLines(lines);
+            },
+            end: function() {
+                var lines = pending ? [pending] : [];
+
+                pending = "";
+
+                return decodeLines(lines);
+            }
+        };
+    }
+
+    var parser = new CsvParser();
+    var fields = null;
+
+    function decodeRows(rows) {
+        var records = [];
+
+        rows.forEach(function(row) {
+            // the first row names the fields of the rest
+            if (fields === null) {
+                fields = row.cells.map(function(header, index) {
+                    // strip a byte order mark
+                    header = index === 0 ? header.replace(/^\uFEFF/, "") : header;
+
+                    return options.headers && options.headers.hasOwnProperty(header) ? options.headers[header] : header;
+                });
+                return;
+            }
+
+            var doc = {};
+
+            row.cells.forEach(function(value, index) {
+                if (index < fields.length && fields[index] !== "" && value !== "") {
+                    doc[fields[index]] = value;
+                }
+            });
+
+            try {
+                records.push({ line: row.line, doc: coerceDocument(doc, options) });
+            }
+            catch (err) {
+                records.push({ line: row.line, error: err.message });
+            }
+        });
+
+        return records;
+    }
+
+    return {
+        push: function(text) {
+            return decodeRows(parser.push(text));
+        },
+        end: function() {
+            return decodeRows(parser.end());
+        }
+    };
+}
+
+/**
+ * Reads and decodes an import stream.  onRecords is invoked with the records of each chunk and a
+ * function to call once they have been applied (reading is paused meanwhile), passing an error to
+ * abandon the import.
+ *
+ * @param {stream.Readable} stream
+ * @param {string} format - ndjson or csv
+ * @param {object} options - transfer options
+ * @param {function} onRecords - accepting (records, next) where next accepts an optional error
+ * @param {function} callback - node-style (err) callback invoked once every record has been applied
+ */
+function readDocuments(stream, format, options, onRecords, callback) {
+    var decoder = createDecoder(format, options);
+    var finished = false;
+
+    function finish(err) {
+        if (finished) return;
+        finished = true;
+
+        callback(err || null);
+    }
+
+    stream.setEncoding("utf8");
+
+    stream.on("data", function(text) {
+        var records;
+
+        try {
+            records = decoder.push(text);
+        }
+        catch (err) {
+            stream.destroy();
+            finish(err);
+            return;
+        }
+
+        if (!records.length) {
+            return;
+        }
+
+        stream.pause();
+
+        onRecords(records, function(err) {
+            if (err) {
+                stream.destroy();
+                finish(err);
+                return;
+            }
+
+            stream.resume();
+        });
+    });
+
+    stream.on("end", function() {
+        var records;
+
+        try {
+            records = decoder.end();
+        }
+        catch (err) {
+            finish(err);
+            return;
+        }
+
+        onRecords(records, finish);
+    });
+
+    stream.on("error", finish);
+}
+
+module.exports = {
+    formats: formats,
+    resolveFormat: resolveFormat,
+    isValidType: isValidType,
+    writeDocuments: writeDocuments,
+    readDocuments: readDocuments
+};
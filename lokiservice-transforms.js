@@ -0,0 +1,212 @@
+/**
+ * lokiservice-transforms.js
+ *
+ * Checks transforms before lokiservice.js hands them to loki.
+ *
+ * Raw (client supplied) transforms are checked against the instance's transform policy, which
+ * initializers may export as 'transformPolicy' (descriptors : top level 'transformPolicy') :
+ * {
+ *     allowedSteps: ["find", "simplesort", "compoundsort", "limit", "offset"],   // step type whitelist
+ *     maxSteps: 20,       // maximum number of steps in a raw transform (0 for no limit)
+ *     maxLimit: 1000      // maximum value of 'limit' steps (0 for no limit)
+ * }
+ * Steps which modify documents (update, remove) are never permitted in raw transforms.
+ *
+ * Transform parameters ("[%lktxp]Name" placeholders) must all be supplied, for named and raw transforms
+ * alike.  Initializers may also declare the parameters of named transforms, with types and defaults,
+ * by exporting 'transformParameters' keyed by collection and transform name :
+ * {
+ *     users: {
+ *         goddesses: { AgeFilter: { type: "number", required: true } }
+ *     }
+ * }
+ * (in descriptors, a transform may be given as { "steps": [...], "params": { ... } }).  Parameters
+ * which are declared are type checked, defaults fill in omitted ones, and undeclared ones are rejected.
+ */
+
+// policy applied where an initializer does not override settings
+var defaultPolicy = {
+    allowedSteps: ["find", "simplesort", "compoundsort", "limit", "offset"],
+    maxSteps: 20,
+    maxLimit: 0
+};
+
+// step types which modify documents
+var mutatingSteps = ["update", "remove"];
+
+// parameter types which may be declared
+var parameterTypes = {
+    string: function(value) { return typeof value === "string"; },
+    number: function(value) { return typeof value === "number" && isFinite(value); },
+    integer: function(value) { return typeof value === "number" && isFinite(value) && Math.floor(value) === value; },
+    boolean: function(value) { return typeof value === "boolean"; },
+    object: function(value) { return value !== null && typeof value === "object" && !Array.isArray(value); },
+    array: function(value) { return Array.isArray(value); },
+    any: function() { return true; }
+};
+
+var PLACEHOLDER = "[%lktxp]";
+
+/**
+ * Returns the parameter name of a placeholder value, or null if the value is not a placeholder
+ * @param {*} value
+ */
+function placeholderName(value) {
+    if (typeof value === "string" && value.indexOf(PLACEHOLDER) === 0) {
+        return value.substr(PLACEHOLDER.length);
+    }
+
+    return null;
+}
+
+/**
+ * Collects the names of parameters referenced by placeholders within transform steps
+ * (to the same depth loki substitutes them).
+ *
+ * @param {array} steps - transform steps
+ * @returns {array} parameter names
+ */
+function placeholders(steps) {
+    var names = [];
+
+    function scan(obj, depth) {
+        if (++depth >= 10) return;
+
+        Object.keys(obj).forEach(function(prop) {
+            var name = placeholderName(obj[prop]);
+
+            if (name !== null) {
+                if (names.indexOf(name) === -1) names.push(name);
+            }
+            else if (obj[prop] !== null && typeof obj[prop] === "object") {
+                scan(obj[prop], depth);
+            }
+        });
+    }
+
+    steps.forEach(function(step) {
+        if (step !== null && typeof step === "object") {
+            scan(step, 0);
+        }
+    });
+
+    return names;
+}
+
+/**
+ * Merges an initializer's transform policy over the defaults
+ * @param {object=} policy
+ */
+function resolvePolicy(policy) {
+    return Object.assign({}, defaultPolicy, policy);
+}
+
+/**
+ * Checks a raw transform against a transform policy.
+ *
+ * @param {array} steps - raw transform steps
+ * @param {object} params - (resolved) transform parameters
+ * @param {object=} policy - initializer transform policy (merged over the defaults)
+ * @returns {array} descriptions of any violations (empty if permitted)
+ */
+function checkRawTransform(steps, params, policy) {
+    var violations = [];
+
+    policy = resolvePolicy(policy);
+
+    if (policy.maxSteps && steps.length > policy.maxSteps) {
+        violations.push("transform has " + steps.length + " steps, at most " + policy.maxSteps + " are allowed");
+    }
+
+    steps.forEach(function(step, index) {
+        var type = step && step.type;
+
+        if (mutatingSteps.indexOf(type) !== -1) {
+            violations.push("step " + index + " : '" + type + "' steps modify documents");
+            return;
+        }
+
+        if (policy.allowedSteps.indexOf(type) === -1) {
+            violations.push("step " + index + " : '" + type + "' steps are not allowed");
+            return;
+        }
+
+        if (type === "limit" && policy.maxLimit) {
+            var name = placeholderName(step.value);
+            var value = name !== null && params ? params[name] : step.value;
+
+            if (typeof value !== "number" || value > policy.maxLimit) {
+                violations.push("step " + index + " : limit must be a number no greater than " + policy.maxLimit);
+            }
+        }
+    });
+
+    return violations;
+}
+
+/**
+ * Validates and completes the parameters passed to a transform.
+ *
+ * @param {array} steps - transform steps (as registered, before substitution)
+ * @param {object=} params - parameters supplied by the client
+ * @param {object=} declared - declared parameters ({ name: { type, required, default } }), if any
+ * @returns {object} { params, errors } where params includes defaults and errors describes any problems
+ */
+function resolveParams(steps, params, declared) {
+    var errors = [];
+    var resolved = Object.assign({}, params);
+
+    if (declared) {
+        Object.keys(resolved).forEach(function(name) {
+            if (!declared.hasOwnProperty(name)) {
+                errors.push("'" + name + "' is not a parameter of this transform");
+            }
+        });
+
+        Object.keys(declared).forEach(function(name) {
+            var spec = declared[name] || {};
+
+            if (!resolved.hasOwnProperty(name) || resolved[name] === undefined) {
+                if (spec.hasOwnProperty("default")) {
+                    resolved[name] = spec.default;
+                }
+                else if (spec.required) {
+                    errors.push("'" + name + "' is required");
+                }
+                return;
+            }
+
+            var type = spec.type || "any";
+
+            if (!parameterTypes.hasOwnProperty(type)) {
+                errors.push("'" + name + "' is declared with unknown type '" + type + "'");
+            }
+            else if (!parameterTypes[type](resolved[name])) {
+                errors.push("'" + name + "' should be " + (type === "integer" ? "an " : "a ") + type);
+            }
+        });
+    }
+
+    // every placeholder must be substituted, whether or not its parameter was declared
+    placeholders(steps).forEach(function(name) {
+        var message = "'" + name + "' is required";
+
+        if (resolved[name] === undefined && errors.indexOf(message) === -1) {
+            errors.push(message);
+        }
+    });
+
+    // loki clones (JSON round trips) steps whenever parameters are passed, which would lose 'where' functions
+    if (params === undefined && Object.keys(resolved).length === 0) {
+        resolved = undefined;
+    }
+
+    return { params: resolved, errors: errors };
+}
+
+module.exports = {
+    defaultPolicy: defaultPolicy,
+    placeholders: placeholders,
+    checkRawTransform: checkRawTransform,
+    resolveParams: resolveParams
+};
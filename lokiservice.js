@@ -15,13 +15,94 @@
  * to node-side code (initializers) and provide aspnet access to the collection, 
  * transform, and dynamic view functionality.
  */
+const fs = require("fs");
+const path = require("path");
 const loki = require("lokijs");
+const descriptors = require("./lokiservice-descriptor.js");
+const schemas = require("./lokiservice-schema.js");
+const ChangeFeed = require("./lokiservice-changes.js").ChangeFeed;
+const AccessPolicy = require("./lokiservice-access.js").AccessPolicy;
+const transforms = require("./lokiservice-transforms.js");
+const snapshots = require("./lokiservice-snapshots.js");
+const transfer = require("./lokiservice-transfer.js");
+const patches = require("./lokiservice-patch.js");
+const aggregation = require("./lokiservice-aggregate.js");
+const joining = require("./lokiservice-join.js");
+const search = require("./lokiservice-search.js");
+const metrics = require("./lokiservice-metrics.js");
+const adapters = require("./lokiservice-adapters.js");
+const maintenance = require("./lokiservice-maintenance.js");
 var serviceName;
 
 // global loki db instance(s) hashobject for interacting with multiple databases simultaneously
 var databaseRegistry = {
 };
 
+// service wide options, see configure export
+var serviceOptions = {
+    // milliseconds to wait for an initializer to call back before failing queued requests (0 to disable)
+    initTimeout: 30000,
+    // number of change records to retain per instance for changesSince/waitForChanges (0 to disable)
+    changeFeedSize: 1000,
+    // default and maximum milliseconds a waitForChanges request will wait for new changes
+    changeFeedWaitTimeout: 30000,
+    changeFeedMaxWaitTimeout: 120000,
+    // milliseconds an instance may go without requests before it is flushed and unloaded (0 to disable)
+    idleTimeout: 0,
+    // heap usage (bytes) above which least recently used instances are flushed and unloaded (0 to disable)
+    heapBudget: 0,
+    // milliseconds between checks for instances to evict
+    evictionInterval: 60000,
+    // milliseconds shutdown may spend draining requests and saving instances before reporting (0 to disable)
+    shutdownTimeout: 10000,
+    // directory snapshots are written to, unless an initializer's snapshotPolicy names one (null for that of each database file)
+    snapshotDirectory: null,
+    // directory export and import file paths are resolved within (null to only accept streams)
+    transferDirectory: null,
+    // milliseconds at or above which requests are logged as slow, along with their arguments (0 to disable)
+    slowQueryThreshold: 0,
+    // number of recent slow requests reported by stats
+    slowQueryLogSize: 100,
+    // function(event, message, details) notified of notable events such as slow requests, failed evictions and rollbacks, and shutdown (null to keep them in stats only)
+    logger: null,
+    // persistence adapter settings offered to initializers (see lokiservice-adapters.js), null to leave it to each initializer
+    adapter: null,
+    // adapter settings for particular instances, keyed by filename, taking precedence over the initializer's 'adapter' setting
+    instanceAdapters: {},
+    // milliseconds between sweeps removing documents expired by an initializer's 'ttl' setting (0 to disable)
+    ttlSweepInterval: 60000,
+    // number of recent runs kept in the history of each maintenance job (and ttl sweep)
+    jobHistorySize: 20
+};
+
+// number of requests (see runRequest) which have started but not yet completed
+var inFlightRequests = 0;
+
+// set once shutdown begins : callbacks waiting for its report (null once it has completed) and the report
+var shutdownState = null;
+
+// timer periodically checking for instances to evict (and its interval), while an eviction policy is configured
+var evictionTimer = null;
+var evictionTimerInterval = 0;
+
+// access policy (see lokiservice-access.js), null while access control is disabled
+var accessPolicy = null;
+
+// latency histograms and error counts of requests, see recordRequest
+var requestMetrics = new metrics.RequestMetrics();
+
+// maximum length of the request arguments logged for slow requests
+var slowQueryTextLimit = 2000;
+
+// full-text indexes (see getSearchIndex) by collection, built when a collection is first searched
+var searchIndexes = new WeakMap();
+
+// collections whose changes are applied to their full-text index
+var searchIndexedCollections = new WeakSet();
+
+// credentials of the request currently being started, set (synchronously) by authorized interfaces
+var requestCredentials;
+
 // global/volatile stat variable
 var serviceStats = {
     processVersions: process.versions,
@@ -33,6 +114,8 @@ var serviceStats = {
     arch: process.arch,
     execPath: process.execPath,
     instanceNames: [],
+    evictions: 0,
+    duplicateCallbacks: 0,
     requestStats : {
         totalRequests : 0,
         totalTime: 0.0,
@@ -49,7 +132,13 @@ var serviceStats = {
         updateRequests: 0,
         updateTime: 0.0,
         removeRequests: 0,
-        removeTime: 0.0
+        removeTime: 0.0,
+        executeRequests: 0,
+        executeTime: 0.0,
+        adminRequests: 0,
+        adminTime: 0.0,
+        changesRequests: 0,
+        changesTime: 0.0
     }
 };
 
@@ -68,448 +157,5014 @@ function formatBytes(bytes,decimals) {
 }
 
 /**
- * Ensures that if this is our first request, we have initialized our global loki database instance
- * 
- * @param {*} callback 
+ * Error codes which may be reported (via LokiServiceError.code) for failed requests
  */
-function getDatabase(serviceName, filename, callback) {
-    databaseRegistry[serviceName] = databaseRegistry[serviceName] || {};
+var errorCodes = {
+    COLLECTION_NOT_FOUND: "COLLECTION_NOT_FOUND",
+    DOCUMENT_NOT_FOUND: "DOCUMENT_NOT_FOUND",
+    VIEW_NOT_FOUND: "VIEW_NOT_FOUND",
+    TRANSFORM_NOT_FOUND: "TRANSFORM_NOT_FOUND",
+    SNAPSHOT_NOT_FOUND: "SNAPSHOT_NOT_FOUND",
+    REVISION_CONFLICT: "REVISION_CONFLICT",
+    REVISION_REQUIRED: "REVISION_REQUIRED",
+    INVALID_QUERY: "INVALID_QUERY",
+    INVALID_DOCUMENT: "INVALID_DOCUMENT",
+    CONSTRAINT_VIOLATION: "CONSTRAINT_VIOLATION",
+    VALIDATION_FAILED: "VALIDATION_FAILED",
+    ALREADY_EXISTS: "ALREADY_EXISTS",
+    SERVICE_UNAVAILABLE: "SERVICE_UNAVAILABLE",
+    OPERATION_NOT_PERMITTED: "OPERATION_NOT_PERMITTED",
+    INITIALIZER_FAILED: "INITIALIZER_FAILED",
+    UNAUTHENTICATED: "UNAUTHENTICATED",
+    ACCESS_DENIED: "ACCESS_DENIED",
+    INTERNAL_ERROR: "INTERNAL_ERROR"
+};
 
-    // if this database is already initialized and registered, invoke callback with a reference to it
-    if (databaseRegistry[serviceName][filename]) {
-        callback(databaseRegistry[serviceName][filename].instance);
-        return;
-    }
+/**
+ * Error type passed as the first callback argument (or promise rejection) for failed requests.
+ * 
+ * @param {string} code - one of the errorCodes values
+ * @param {string} message - human readable description of the failure
+ * @param {object=} context - request context (operation, serviceName, filename, collection, etc)
+ */
+function LokiServiceError(code, message, context) {
+    Error.call(this, message);
+    Error.captureStackTrace(this, LokiServiceError);
 
-    var serviceInitializer = require(serviceName);
-    serviceInitializer.init(filename, function(dbInstance) {
-        databaseRegistry[serviceName][filename] = {
-            instance : dbInstance,
-            stats : {
-                totalRequests : 0,
-                totalTime: 0.0,
-                getRequests: 0,
-                getTime: 0.0,
-                findRequests: 0,
-                findTime: 0.0,
-                transformRequests: 0,
-                transformTime: 0.0,
-                dynamicViewRequests: 0,
-                dynamicViewTime: 0.0,
-                insertRequests: 0,
-                insertTime: 0.0,
-                updateRequests: 0,
-                updateTime: 0.0,
-                removeRequests: 0,
-                removeTime: 0.0
-            }
-        }
-        callback(databaseRegistry[serviceName][filename].instance);
-    });
+    this.name = "LokiServiceError";
+    this.code = code;
+    this.message = message;
+    this.context = context || {};
 }
 
-function processGet(serviceName, filename, collection, id, callback) {
-    getDatabase(serviceName, filename, function(db) {
-        if (typeof id === "string") {
-            id = parseInt(id, 10);
-        }
-
-        var result = db.getCollection(collection).get(id);
+LokiServiceError.prototype = Object.create(Error.prototype);
+LokiServiceError.prototype.constructor = LokiServiceError;
 
-        callback(JSON.stringify(result));
-    });
-}
+LokiServiceError.prototype.toJSON = function() {
+    return {
+        code: this.code,
+        message: this.message,
+        context: this.context
+    };
+};
 
 /**
+ * Normalizes anything thrown while processing a request into a LokiServiceError, 
+ * merging in the request context.
  * 
- * @param {string} collection 
- * @param {object|string} query 
- * @param {function} callback - callback up to module export/aspnet nodeservices
+ * @param {*} err - error which was thrown or passed to us
+ * @param {object} context - request context to merge into the error's context
  */
-function processFind(serviceName, filename, collection, query, callback) {
-    getDatabase(serviceName, filename, function(db) {
-        if (typeof query === "string") {
-            query = JSON.parse(query);
+function toServiceError(err, context) {
+    if (!(err instanceof LokiServiceError)) {
+        var message = (err && err.message) ? err.message : String(err);
+        var code = errorCodes.INTERNAL_ERROR;
+
+        // loki unique index violations
+        if (message.indexOf("Duplicate key") === 0) {
+            code = errorCodes.CONSTRAINT_VIOLATION;
         }
 
-        var result = db.getCollection(collection).find(query);
+        err = new LokiServiceError(code, message);
+    }
+
+    err.context = Object.assign({}, context, err.context);
 
-        callback(JSON.stringify(result));
-    });
+    return err;
 }
 
 /**
- * 
- * @param {*} collection 
- * @param {*} obj 
- * @param {*} callback 
+ * Helper method to accept parameters which may either be JSON encoded (aspnet nodeservices)
+ * or already deserialized (native node interface).
+ * @param {*} value - JSON string or object/array instance
+ * @param {string=} code - error code to report if the value cannot be parsed (default: INVALID_QUERY)
  */
-function processInsert(serviceName, filename, collection, obj, callback) {
-
-    getDatabase(serviceName, filename, function(db) {
-        if (typeof obj === "string") {
-            obj = JSON.parse(obj);
+function parseParam(value, code) {
+    if (typeof value === "string") {
+        try {
+            return JSON.parse(value);
+        }
+        catch (err) {
+            throw new LokiServiceError(code || errorCodes.INVALID_QUERY, "Unable to parse JSON parameter : " + err.message);
         }
+    }
 
-        if (obj.$loki === 0) {
-            delete obj.$loki;
+    return value;
+}
 
-        }
+// service initializers created from descriptor files, keyed by descriptor path
+var descriptorInitializers = {};
 
-        if (obj.hasOwnProperty("meta")) {
-            delete obj.meta;
-        }
+/**
+ * Loads (or returns the already loaded) service initializer for an initializer module or descriptor file
+ * @param {string} serviceName - initializer module name/path, or path to a .json/.yaml/.yml descriptor
+ */
+function loadInitializer(serviceName) {
+    if (!descriptors.isDescriptor(serviceName)) {
+        return require(serviceName);
+    }
 
-        var result = db.getCollection(collection).insert(obj);
+    if (!descriptorInitializers.hasOwnProperty(serviceName)) {
+        descriptorInitializers[serviceName] = descriptors.loadDescriptor(serviceName);
+    }
 
-        callback(JSON.stringify(result));
-    });
+    return descriptorInitializers[serviceName];
 }
 
 /**
+ * Creates the change feed for a newly registered instance (unless disabled) and attaches it
+ * to all of the instance's collections.
  * 
- * @param {*} collection 
- * @param {*} obj 
- * @param {*} callback 
+ * @param {object} entry - database registry entry
  */
-function processUpdate(serviceName, filename, collection, obj, callback) {
+function attachChangeFeed(entry) {
+    entry.changes = null;
 
-    getDatabase(serviceName, filename, function(db) {
-        if (typeof obj === "string") {
-            obj = JSON.parse(obj);
-        }
-        // lets remove meta before shallow cloning all other properties onto
-        // existing one.
-        if (obj.hasOwnProperty("meta")) {
-            delete obj.meta;
-        }
+    if (!(serviceOptions.changeFeedSize > 0)) {
+        return;
+    }
 
-        // lookup existing doc
-        var doc = db.getCollection(collection).get(obj.$loki);
+    entry.changes = new ChangeFeed(serviceOptions.changeFeedSize);
 
-        // overwrite property values which were given
-        Object.assign(doc, obj);
+    entry.instance.collections.forEach(function(coll) {
+        entry.changes.attach(coll);
+    });
+}
+
+/**
+ * Returns the persistence adapter settings for an instance : those configured for the instance 
+ * (instanceAdapters), else the initializer's 'adapter' setting (settings, or a function of filename 
+ * returning them), else the service wide default.  Null leaves persistence to the initializer.
+ * 
+ * @param {object} initializer - service initializer
+ * @param {string} filename 
+ */
+function adapterSettings(initializer, filename) {
+    if (serviceOptions.instanceAdapters && serviceOptions.instanceAdapters.hasOwnProperty(filename)) {
+        return serviceOptions.instanceAdapters[filename];
+    }
 
-        // can't remember why i wrapped result, verify if we can just return update() return value
-        var result = db.getCollection(collection).update(doc);
+    if (initializer.hasOwnProperty("adapter")) {
+        return typeof initializer.adapter === "function" ? initializer.adapter(filename) : initializer.adapter;
+    }
 
-        callback(JSON.stringify(result));
-    });
+    return serviceOptions.adapter;
 }
 
 /**
+ * Tracks loads and saves through a newly registered instance's persistence adapter, and begins 
+ * journaling if it is a journal adapter.  Failed autosaves are reported through instanceStats 
+ * rather than thrown (loki throws them from its timer when not given an autosaveCallback).
  * 
- * @param {*} collection 
- * @param {*} obj 
- * @param {*} callback 
+ * @param {object} entry - database registry entry
  */
-function processRemove(serviceName, filename, collection, obj, callback) {
+function attachPersistence(entry) {
+    var db = entry.instance;
+    var adapter = db.persistenceMethod ? db.persistenceAdapter : null;
 
-    getDatabase(serviceName, filename, function(db) {
-        if (typeof obj === "string") {
-            obj = JSON.parse(obj);
-        }
+    entry.persistence = adapter ? adapters.trackAdapter(adapter) : null;
+    entry.journal = adapter instanceof adapters.JournalAdapter ? adapter : null;
 
-        var result = {
-            "val" : db.getCollection(collection).remove(obj)
-        };
+    if (entry.journal) {
+        entry.journal.attach(db);
+    }
 
-        callback(JSON.stringify(result));
-    });
+    if (db.autosaveHandle) {
+        var autosaveCallback = db.options && db.options.autosaveCallback;
+
+        db.autosaveDisable();
+        db.autosaveEnable({}, function(err) {
+            if (typeof autosaveCallback === "function") {
+                autosaveCallback(err);
+            }
+        });
+    }
 }
 
 /**
- * Invokes a 'named' transform stored within a loki collection, and returns the result.
+ * Determines whether an instance has changes its persistence adapter has not saved, including 
+ * journaled changes which have not yet been compacted into the database file.
  * 
- * @param {string} collection - name of collection which named transform is registered
- * @param {string} transform  - string representing a named transform 
- * @param {string} transformParams - JSON encoded params to pass
- * @param {boolean} dataInvoke - (default: true) terminate chain with call to data()
- * @param {function} callback - callback up to module export/aspnet nodeservices
+ * @param {Loki} db 
  */
-function processTransform(serviceName, filename, collection, transform, transformParams, dataInvoke, callback) {
-    // allow optional transform params to be parsed and then passed
-    transformParams = transformParams?JSON.parse(transformParams): undefined;
+function hasUnsavedChanges(db) {
+    if (!db.persistenceMethod) {
+        return false;
+    }
 
-    // we may want to utilize a map within our transform which breaks chain,
-    // In that case we should pass false for invokeData.
-    if (typeof dataInvoke === 'undefined' || dataInvoke === null) {
-        dataInvoke = true;
+    return db.autosaveDirty() || (db.persistenceAdapter instanceof adapters.JournalAdapter && db.persistenceAdapter.pending());
+}
+
+/**
+ * Holds an instance's change records and journal entries while a transaction runs
+ * @param {object} entry - database registry entry
+ */
+function suspendChanges(entry) {
+    if (entry.changes) {
+        entry.changes.suspend();
     }
 
-    getDatabase(serviceName, filename, function(db) {
-        var result = db.getCollection(collection).chain(transform, transformParams);
+    if (entry.journal) {
+        entry.journal.suspend();
+    }
+}
 
-        if (dataInvoke) {
-            result = result.data();
-        }
+/**
+ * Ends a suspendChanges, publishing the held changes if the transaction was committed
+ * @param {object} entry - database registry entry
+ * @param {boolean} publish - true if committed, false if rolled back
+ */
+function resumeChanges(entry, publish) {
+    if (entry.changes) {
+        entry.changes.resume(publish);
+    }
 
-        callback(JSON.stringify(result));
-    });
+    if (entry.journal) {
+        entry.journal.resume(publish);
+    }
 }
 
 /**
- * Used for obtaining results from a dynamic view, with optional (named) transform extract
- * @param {*} serviceName 
- * @param {*} filename 
- * @param {*} collection 
- * @param {*} viewname 
- * @param {*} transformName 
- * @param {*} callback 
+ * Ensures that if this is our first request, we have initialized our global loki database instance.
+ * 
+ * While an initializer is running, its registry entry is held in a pending state (instance is null) 
+ * and any other requests for the same database are queued until it completes, so the initializer 
+ * only ever runs once per database.  Failures (and initializers which do not call back within the 
+ * configured timeout) are reported to every queued caller and the pending entry is discarded so a 
+ * later request may retry.
+ * 
+ * @param {string} serviceName - name/path of the initializer module
+ * @param {string} filename - database filename to pass to the initializer
+ * @param {function} callback - node-style (err, db) callback
  */
-function processDynamicView(serviceName, filename, collection, viewname, transformName, transformParams, callback) {
+function getDatabase(serviceName, filename, callback) {
+    databaseRegistry[serviceName] = databaseRegistry[serviceName] || {};
 
-    getDatabase(serviceName, filename, function(db) {
-        transformParams = transformParams?JSON.parse(transformParams): undefined;
+    var entry = databaseRegistry[serviceName][filename];
 
-        var dv = db.getCollection(collection).getDynamicView(viewname);
+    if (entry) {
+        // the instance is being closed (or reloaded), it will be reopened once that completes
+        if (entry.closing) {
+            entry.closing.push(function() {
+                getDatabase(serviceName, filename, callback);
+            });
+            return;
+        }
 
-        var result;
+        // another request is already running the initializer, wait for it
+        if (entry.instance === null) {
+            entry.waiting.push(callback);
+            return;
+        }
 
-        if (transformName) {
-            result = dv.branchResultset("transformName", transformParams).data();
+        // if this database is already initialized and registered, invoke callback with a reference to it
+        entry.lastAccess = (new Date()).getTime();
+        callback(null, entry.instance);
+        return;
+    }
+
+    entry = databaseRegistry[serviceName][filename] = {
+        instance : null,
+        waiting : [callback],
+        stats : {
+            totalRequests : 0,
+            totalTime: 0.0,
+            getRequests: 0,
+            getTime: 0.0,
+            findRequests: 0,
+            findTime: 0.0,
+            transformRequests: 0,
+            transformTime: 0.0,
+            dynamicViewRequests: 0,
+            dynamicViewTime: 0.0,
+            insertRequests: 0,
+            insertTime: 0.0,
+            updateRequests: 0,
+            updateTime: 0.0,
+            removeRequests: 0,
+            removeTime: 0.0,
+            executeRequests: 0,
+            executeTime: 0.0,
+            adminRequests: 0,
+            adminTime: 0.0,
+            changesRequests: 0,
+            changesTime: 0.0
+        },
+        snapshotStats : {
+            taken: 0,
+            lastSnapshot: null,
+            lastError: null
+        }
+    };
+
+    var completed = false;
+    var timer = null;
+
+    // invokes all queued callers, once, with either the error or the db instance
+    function complete(err, dbInstance) {
+        if (completed) return false;
+        completed = true;
+
+        if (timer) {
+            clearTimeout(timer);
+        }
+
+        var waiting = entry.waiting;
+        delete entry.waiting;
+
+        if (err) {
+            delete databaseRegistry[serviceName][filename];
         }
         else {
-            result = dv.data();
+            entry.instance = dbInstance;
+            entry.openedAt = entry.lastAccess = (new Date()).getTime();
+            attachPersistence(entry);
+            attachChangeFeed(entry);
+            scheduleEviction();
+            scheduleSnapshots(serviceName, filename, entry);
+            scheduleMaintenance(entry);
         }
 
-        callback(JSON.stringify(result));
-    });
-}
+        waiting.forEach(function(cb) {
+            cb(err, dbInstance);
+        });
 
-/**
- * Used for Dynamic View (with optional named transform extract) when post query chaining (implemented as raw transform) is required.
- * 
- * @param {*} serviceName 
- * @param {*} filename 
- * @param {*} collection 
- * @param {*} viewname 
- * @param {*} transform 
- * @param {*} callback 
- */
-function processDynamicViewTransform(serviceName, filename, collection, viewname, transformName, transformParams, rawTransform, callback) {
-    if (!rawTransform) {
-        return processDynamicView(serviceName, filename, collection, viewname, transformName, transformParams, callback);
+        return true;
+    }
+
+    function initFailed(message) {
+        complete(new LokiServiceError(errorCodes.INITIALIZER_FAILED, message, { 
+            serviceName: serviceName, 
+            filename: filename 
+        }));
     }
 
-    // parse the raw transform string
-    rawTransform = JSON.parse(rawTransform);
+    var serviceInitializer;
 
-    if (!transformName) {
-        transformName = undefined;
-        transferParams = undefined;
+    try {
+        // initializers may be modules or declarative (json/yaml) descriptor files
+        serviceInitializer = loadInitializer(serviceName);
     }
-    else {
-        transformParams = transformParams?JSON.parse(transformParams):undefined;
+    catch (err) {
+        return initFailed("Unable to load initializer : " + err.message);
     }
 
-    getDatabase(serviceName, filename, function(db) {
-        var dv = db.getCollection(collection).getDynamicView(viewname);
+    if (typeof serviceInitializer.init !== "function") {
+        return initFailed("Initializer does not export an 'init' function");
+    }
 
-        var result = dv.branchResultset(transformName, transformParams).transform(rawTransform).data();
+    // keep a reference so initializer settings (e.g. allowSchemaChanges) can be consulted per request
+    entry.initializer = serviceInitializer;
 
-        callback(JSON.stringify(result));
-    });
-}
+    // initializers may override the service wide timeout by exporting 'initTimeout' (ms, 0 to disable)
+    var initTimeout = serviceInitializer.hasOwnProperty("initTimeout") ? 
+        serviceInitializer.initTimeout : serviceOptions.initTimeout;
 
-var counter = 0;
-var start, started, startMS, end, endMS, totalMS;
+    var maintenanceErrors = maintenance.checkTtl(serviceInitializer.ttl).concat(maintenance.checkJobs(serviceInitializer.jobs));
 
-function startTiming(statName) {
-    start = process.hrtime();
-    return start[0] * 1e3 + start[1] / 1e6
-}
+    if (maintenanceErrors.length) {
+        return initFailed("Invalid maintenance settings : " + maintenanceErrors.join("; "));
+    }
 
-function stopTiming(startTimeMS, statName, serviceName, filename) {
-    end=process.hrtime();
-    endMS = end[0] * 1e3 + end[1] / 1e6;
-    totalMS = endMS - startTimeMS;
+    var adapter = null;
 
-    serviceStats.requestStats.totalRequests++;
-    serviceStats.requestStats.totalTime += totalMS;
-    serviceStats.requestStats[statName + "Requests"] += 1;
-    serviceStats.requestStats[statName + "Time"] += totalMS;
+    try {
+        var settings = adapterSettings(serviceInitializer, filename);
 
-    databaseRegistry[serviceName][filename].stats.totalRequests++;
-    databaseRegistry[serviceName][filename].stats.totalTime += totalMS;
-    databaseRegistry[serviceName][filename].stats[statName + "Requests"]++;
-    databaseRegistry[serviceName][filename].stats[statName + "Time"] += totalMS;
+        if (settings) {
+            adapter = adapters.createAdapter(settings);
+
+            // tracked from the start, so the initializer's load is reported too
+            adapters.trackAdapter(adapter);
+        }
+    }
+    catch (err) {
+        return initFailed("Unable to create persistence adapter : " + err.message);
+    }
+
+    if (initTimeout > 0) {
+        timer = setTimeout(function() {
+            initFailed("Initializer did not complete within " + initTimeout + "ms");
+        }, initTimeout);
+    }
+
+    try {
+        // initializers invoke callback with the db instance, or an Error if they could not create one.
+        // Initializers are offered the adapter selected for the instance (if any) to construct it with.
+        serviceInitializer.init(filename, function(dbInstance) {
+            if (dbInstance instanceof Error) {
+                return initFailed("Initializer failed : " + dbInstance.message);
+            }
+
+            if (!dbInstance || !Array.isArray(dbInstance.collections)) {
+                return initFailed("Initializer did not provide a loki database instance");
+            }
+
+            // if we already gave up on this initializer (timed out), close the late instance 
+            // so its autosave timer does not keep running against an unregistered database
+            if (!complete(null, dbInstance)) {
+                dbInstance.close();
+            }
+        }, { adapter: adapter });
+    }
+    catch (err) {
+        initFailed("Initializer threw : " + err.message);
+    }
 }
 
 /**
- * Define our module export as having multiple exports, thus requiring the InvokeExportAsync method
- * on the NodeServices / aspnetcore side
+ * Flushes (if requested and there are unsaved changes) and closes a registered instance, then removes 
+ * it from the registry so the next request for it runs the initializer again.  Requests arriving 
+ * meanwhile are held until the instance has been unloaded.  If flushing fails, the instance is left 
+ * open and registered and the error is reported.
+ * 
+ * @param {string} serviceName 
+ * @param {string} filename 
+ * @param {boolean} flush - save unsaved changes first (false discards them)
+ * @param {function} callback - node-style (err) callback
  */
-module.exports = {
-   get: function(callback, serviceName, filename, collection, id) {
-        started = startTiming("get");
+function unloadInstance(serviceName, filename, flush, callback) {
+    var entry = databaseRegistry[serviceName][filename];
+    var db = entry.instance;
+
+    // a restore may already be holding requests
+    entry.closing = entry.closing || [];
 
-        processGet(serviceName, filename, collection, id, function(response) {
-            stopTiming(started, "get", serviceName, filename);
+    // lets held requests proceed (against a newly initialized instance, if we unloaded this one)
+    function resume() {
+        var held = entry.closing;
+        delete entry.closing;
 
-            callback(null, response);
+        held.forEach(function(cb) {
+            cb();
         });
-   },
-   find: function(callback, serviceName, filename, collection, query) {
-        started = startTiming("find");
+    }
 
-        processFind(serviceName, filename, collection, query, function(response) {
-            stopTiming(started, "find", serviceName, filename);
+    function unload() {
+        // respond to any long polls waiting on this instance
+        if (entry.changes) {
+            entry.changes.close();
+        }
 
-            callback(null, response);
+        // stop timers which would otherwise keep running against the discarded instance
+        if (entry.snapshotTimer) {
+            clearInterval(entry.snapshotTimer);
+        }
+        (entry.maintenanceTimers || []).forEach(function(timer) {
+            clearInterval(timer);
         });
-   },
+        db.collections.forEach(function(coll) {
+            if (coll.ttl && coll.ttl.daemon) {
+                coll.setTTL(-1);
+            }
+        });
+        db.autosaveDisable();
 
-   insert: function(callback, serviceName, filename, collection, obj) {
-        started = startTiming("insert");
+        // loki's close saves autosave instances, which we have either just done or must not do
+        db.autosave = false;
+        db.close();
+
+        // anything journaled but not saved is replayed when the instance is next loaded
+        if (entry.journal) {
+            entry.journal.close();
+        }
 
-        processInsert(serviceName, filename, collection, obj, function(response) {
-            stopTiming(started, "insert", serviceName, filename);
+        delete databaseRegistry[serviceName][filename];
 
-            callback(null, response);
-        });
-   },
+        resume();
+        callback(null);
+    }
 
-   update: function(callback, serviceName, filename, collection, obj) {
-        started = startTiming("update");
+    if (!flush || !hasUnsavedChanges(db)) {
+        unload();
+        return;
+    }
 
-        processUpdate(serviceName, filename, collection, obj, function(response) {
-            stopTiming(started, "update", serviceName, filename);
+    db.saveDatabase(function(err) {
+        if (err) {
+            resume();
+            callback(new LokiServiceError(errorCodes.INTERNAL_ERROR, "Unable to save database : " + err.message));
+            return;
+        }
 
-            callback(null, response);
-        });
-   },
+        unload();
+    });
+}
 
-   remove: function(callback, serviceName, filename, collection, obj) {
-        started = startTiming("remove");
+/**
+ * Invokes callback once an instance has finished initializing (or closing), with the registry 
+ * entry if the instance is registered and open, or null if it is not.
+ * 
+ * @param {string} serviceName 
+ * @param {string} filename 
+ * @param {function} callback - accepting registry entry (or null)
+ */
+function whenSettled(serviceName, filename, callback) {
+    var entry = databaseRegistry[serviceName] && databaseRegistry[serviceName][filename];
 
-        processRemove(serviceName, filename, collection, obj, function(response) {
-            stopTiming(started, "remove", serviceName, filename);
+    if (!entry) {
+        callback(null);
+        return;
+    }
 
-            callback(null, response);
+    if (entry.closing) {
+        entry.closing.push(function() {
+            whenSettled(serviceName, filename, callback);
         });
-   },
+        return;
+    }
 
-   transform: function(callback, serviceName, filename, collection, transform, transformParams, dataInvoke) {
-        started = startTiming("transform");
+    if (entry.instance === null) {
+        entry.waiting.push(function() {
+            whenSettled(serviceName, filename, callback);
+        });
+        return;
+    }
 
-        processTransform(serviceName, filename, collection, transform, transformParams, dataInvoke, function(response) {
-            stopTiming(started, "transform", serviceName, filename);
+    callback(entry);
+}
 
-            callback(null, response);
-        });
-   },
+/**
+ * Describes a registered instance's lifecycle state, as reported by open, reload and list
+ * @param {string} serviceName 
+ * @param {string} filename 
+ */
+function getInstanceInfo(serviceName, filename) {
+    var entry = databaseRegistry[serviceName][filename];
+    var info = {
+        serviceName: serviceName,
+        filename: filename,
+        state: entry.closing ? "closing" : (entry.instance === null ? "initializing" : "open"),
+        openedAt: entry.openedAt || null,
+        lastAccess: entry.lastAccess || null,
+        collections: 0,
+        documents: 0
+    };
 
-   transformRaw: function(callback, serviceName, filename, collection, transform, transformParams, dataInvoke) {
-        started = startTiming("transform");
+    if (entry.instance) {
+        info.collections = entry.instance.collections.length;
+        entry.instance.collections.forEach(function(coll) {
+            info.documents += coll.count();
+        });
+    }
 
-        var rawTransform = JSON.parse(transform);
+    return info;
+}
 
-        processTransform(serviceName, filename, collection, rawTransform, transformParams, dataInvoke, function(response) {
-            stopTiming(started, "transform", serviceName, filename);
+/**
+ * Lists all registered instances (see getInstanceInfo)
+ */
+function listInstances() {
+    var instances = [];
 
-            callback(null, response);
-        });
-   },
+    for (var initName in databaseRegistry) {
+        for (var instName in databaseRegistry[initName]) {
+            instances.push(getInstanceInfo(initName, instName));
+        }
+    }
 
-   dynamicView: function(callback, serviceName, filename, collection, viewname, transformName, transformParams) {
-        started = startTiming("dynamicView");
+    return instances;
+}
 
-        processDynamicView(serviceName, filename, collection, viewname, transformName, transformParams, function(response) {
-            stopTiming(started, "dynamicView", serviceName, filename);
+/**
+ * Flushes and unloads instances according to the eviction policy (see serviceOptions) : those which
+ * have been idle longer than idleTimeout, then, while heap usage exceeds heapBudget, the least recently 
+ * used instances.  The heap an instance occupies is estimated from its share of all loaded documents.
+ */
+function evictInstances() {
+    var now = (new Date()).getTime();
+    var open = listInstances().filter(function(info) {
+        return info.state === "open";
+    }).sort(function(a, b) {
+        return a.lastAccess - b.lastAccess;
+    });
+    var evicted = [];
 
-            callback(null, response);
+    if (serviceOptions.idleTimeout > 0) {
+        evicted = open.filter(function(info) {
+            return now - info.lastAccess >= serviceOptions.idleTimeout;
         });
-   },
+    }
 
-   dynamicViewTransform: function(callback, serviceName, filename, collection, viewname, transform, transformParams, rawTransform) {
-        started = startTiming("dynamicView");
+    if (serviceOptions.heapBudget > 0) {
+        var heapUsed = process.memoryUsage().heapUsed;
+        var totalDocuments = open.reduce(function(total, info) { return total + info.documents; }, 0);
 
-        processDynamicViewTransform(serviceName, filename, collection, viewname, transform, transformParams, rawTransform, function(response) {
-            stopTiming(started, "dynamicView", serviceName, filename);
+        open.forEach(function(info) {
+            if (heapUsed <= serviceOptions.heapBudget || evicted.indexOf(info) !== -1) return;
 
-            callback(null, response);
+            evicted.push(info);
+            heapUsed -= totalDocuments ? heapUsed * info.documents / totalDocuments : 0;
         });
-   },
-   
-   stats: function(callback, serviceName, filename) {
-        var pmu = process.memoryUsage();
-        serviceStats.memoryUsage = {
-            rss: pmu.rss,
-            rssText : formatBytes(pmu.rss),
-            heapTotal: pmu.heapTotal,
-            heapTotalText: formatBytes(pmu.heapTotal),
-            heapUsed: pmu.heapUsed,
-            heapUsedText: formatBytes(pmu.heapUsed)
-        }
+    }
 
-       serviceStats.instanceNames = [];
-        for (initName in databaseRegistry) {
-            for (instName in databaseRegistry[initName]) {
-                serviceStats.instanceNames.push({ initializerName: initName, instanceName: instName });
+    evicted.forEach(function(info) {
+        unloadInstance(info.serviceName, info.filename, true, function(err) {
+            if (err) {
+                logEvent("evictionFailed", "unable to evict " + info.filename + " : " + err.message, 
+                    { serviceName: info.serviceName, filename: info.filename, error: err });
+                return;
             }
-        }
 
-        serviceStats.nodeUptime = process.uptime();
-        var cpuUsage = process.cpuUsage();
-        serviceStats.cpuUsageUser = cpuUsage.user / 1e3;
-        serviceStats.cpuUsageSystem = cpuUsage.system / 1e3;
-        serviceStats.cpuUsage = "user: " + serviceStats.cpuUsageUser + "ms; system :" + serviceStats.cpuUsageSystem + "ms";
+            serviceStats.evictions++;
+        });
+    });
+}
 
-        callback(null, JSON.stringify(serviceStats));
-   },
+/**
+ * Starts (or stops) the eviction timer according to the current eviction policy
+ */
+function scheduleEviction() {
+    var enabled = serviceOptions.idleTimeout > 0 || serviceOptions.heapBudget > 0;
 
-   instanceStats: function(callback, serviceName, filename) {
-       if (!databaseRegistry.hasOwnProperty(serviceName)) callback(null);
-       if (!databaseRegistry[serviceName].hasOwnProperty(filename)) callback(null);
-
-       var dbinst = databaseRegistry[serviceName][filename].instance;
-
-       var resultStats = {
-           serviceName: serviceName,
-           filename: filename,
-           autosave: dbinst.autosave,
-           autosaveInterval: dbinst.autosaveInterval,
-           throttledSaves :  dbinst.throttledSaves,
-           databaseVersion:  dbinst.databaseVersion,
-           requestStats: databaseRegistry[serviceName][filename].stats,
-           collectionInfo: []
-       }
-
-       dbinst.collections.forEach(function(coll) {
-           var rs = {
-                name: coll.name,
-                count: coll.count(),
-                dirty: coll.dirty,
-                clone: coll.cloneObjects,
-                adaptiveBinaryIndices: coll.adaptiveBinaryIndices,
-                binaryIndices: Object.keys(coll.binaryIndices),
-                uniqueIndices: coll.uniqueNames,
-                transforms: Object.keys(coll.transforms),
-                dynamicViews: []
-            };
+    if (evictionTimer && (!enabled || evictionTimerInterval !== serviceOptions.evictionInterval)) {
+        clearInterval(evictionTimer);
+        evictionTimer = null;
+    }
 
-            coll.DynamicViews.forEach(dv => {
-                rs.dynamicViews.push(dv.name);
-            });
+    if (enabled && !evictionTimer) {
+        evictionTimerInterval = serviceOptions.evictionInterval;
+        evictionTimer = setInterval(evictInstances, evictionTimerInterval);
 
-            resultStats.collectionInfo.push(rs);
+        // eviction should never keep the process alive on its own
+        evictionTimer.unref();
+    }
+}
+
+/**
+ * Obtains the database instance and runs the (synchronous) request logic against it.
+ * Anything thrown by the request logic is passed as the first argument to callback, otherwise 
+ * its return value is passed as the result.
+ * 
+ * @param {string} serviceName 
+ * @param {string} filename 
+ * @param {function} callback - node-style (err, result) callback
+ * @param {function} fn - request logic accepting the db instance (and its registry entry) and returning the result
+ */
+function withDatabase(serviceName, filename, callback, fn) {
+    getDatabase(serviceName, filename, function(err, db) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var result;
+
+        try {
+            result = fn(db, databaseRegistry[serviceName][filename]);
+        }
+        catch (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, result);
+    });
+}
+
+/**
+ * Looks up a collection, throwing COLLECTION_NOT_FOUND if it does not exist
+ * @param {Loki} db 
+ * @param {string} collection 
+ */
+function getCollection(db, collection) {
+    var coll = db.getCollection(collection);
+
+    if (coll === null) {
+        throw new LokiServiceError(errorCodes.COLLECTION_NOT_FOUND, "Collection not found : " + collection);
+    }
+
+    return coll;
+}
+
+/**
+ * Looks up a dynamic view, throwing VIEW_NOT_FOUND if it does not exist
+ * @param {Collection} coll 
+ * @param {string} viewname 
+ */
+function getDynamicView(coll, viewname) {
+    var dv = coll.getDynamicView(viewname);
+
+    if (!dv) {
+        throw new LokiServiceError(errorCodes.VIEW_NOT_FOUND, "Dynamic view not found : " + viewname, { viewname: viewname });
+    }
+
+    return dv;
+}
+
+/**
+ * Verifies that a named transform is registered (raw transform arrays are passed through)
+ * @param {Collection} coll 
+ * @param {string|array} transform 
+ */
+function checkTransform(coll, transform) {
+    if (typeof transform === "string" && !coll.transforms.hasOwnProperty(transform)) {
+        throw new LokiServiceError(errorCodes.TRANSFORM_NOT_FOUND, "Transform not found : " + transform, { transform: transform });
+    }
+
+    if (typeof transform !== "string" && !Array.isArray(transform)) {
+        throw new LokiServiceError(errorCodes.INVALID_QUERY, "Raw transform must be an array of transform steps");
+    }
+}
+
+/**
+ * Checks a transform about to be run : raw transforms against the instance's transform policy and
+ * parameters against those declared for (named) transforms.  Returns the parameters to pass to loki
+ * (with any declared defaults filled in).
+ * 
+ * @param {object} entry - registry entry of the instance
+ * @param {Collection} coll 
+ * @param {string|array} transform - transform name or raw transform steps
+ * @param {object=} transformParams - (parsed) parameters supplied by the client
+ */
+function prepareTransform(entry, coll, transform, transformParams) {
+    var initializer = entry.initializer || {};
+    var named = typeof transform === "string";
+    var steps = named ? coll.transforms[transform] : transform;
+    var declared = null;
+
+    if (!named) {
+        var violations = transforms.checkRawTransform(steps, transformParams, initializer.transformPolicy);
+
+        if (violations.length) {
+            throw new LokiServiceError(errorCodes.OPERATION_NOT_PERMITTED, 
+                "Raw transform not permitted : " + violations.join("; "), { violations: violations });
+        }
+    }
+    else if (initializer.transformParameters && initializer.transformParameters.hasOwnProperty(coll.name) &&
+        initializer.transformParameters[coll.name].hasOwnProperty(transform)) {
+        declared = initializer.transformParameters[coll.name][transform];
+    }
+
+    var resolved = transforms.resolveParams(steps, transformParams, declared);
+
+    if (resolved.errors.length) {
+        throw new LokiServiceError(errorCodes.INVALID_QUERY, 
+            "Invalid transform parameters : " + resolved.errors.join("; "), { transform: named ? transform : undefined });
+    }
+
+    return resolved.params;
+}
+
+/**
+ * Combines a query with the row level filter (if any) access control imposes on a collection
+ * @param {object} query - loki find query
+ * @param {object=} rowFilters - row level filters (query per collection name), see lokiservice-access.js
+ * @param {string} collection - collection being queried
+ */
+function applyRowFilter(query, rowFilters, collection) {
+    var filter = rowFilters && rowFilters.hasOwnProperty(collection) ? rowFilters[collection] : null;
+
+    if (!filter) {
+        return query;
+    }
+
+    if (!query || Object.keys(query).length === 0) {
+        return filter;
+    }
+
+    return { $and: [filter, query] };
+}
+
+/**
+ * Returns a resultset of all documents of a collection visible through row level filters
+ * @param {Collection} coll
+ * @param {object=} rowFilters
+ */
+function filteredChain(coll, rowFilters) {
+    var filter = applyRowFilter(null, rowFilters, coll.name);
+
+    return filter ? coll.chain().find(filter) : coll.chain();
+}
+
+/**
+ * Branches a dynamic view's (sorted) results, optionally limited to documents matching a row level filter
+ * @param {DynamicView} dv
+ * @param {object=} filter - loki find query
+ */
+function viewResultset(dv, filter) {
+    // bring the view's sort up to date first, as data() would
+    dv.performSortPhase({ suppressRebuildEvent: true });
+
+    return filter ? dv.branchResultset().find(filter) : dv.branchResultset();
+}
+
+/**
+ * 
+ * @param {string} collection 
+ * @param {int|string} id - $loki id of document to get
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processGet(serviceName, filename, collection, id, rowFilters, callback) {
+    withDatabase(serviceName, filename, callback, function(db) {
+        if (typeof id === "string") {
+            id = parseInt(id, 10);
+        }
+
+        var coll = getCollection(db, collection);
+        var doc = coll.get(id);
+
+        // documents hidden by a row level filter are reported as not existing
+        if (doc && applyRowFilter(null, rowFilters, collection)) {
+            return coll.find(applyRowFilter({ $loki: id }, rowFilters, collection))[0] || null;
+        }
+
+        return doc;
+    });
+}
+
+/**
+ * 
+ * @param {string} collection 
+ * @param {object|string} query 
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processFind(serviceName, filename, collection, query, rowFilters, callback) {
+    withDatabase(serviceName, filename, callback, function(db) {
+        query = applyRowFilter(parseParam(query), rowFilters, collection);
+
+        return getCollection(db, collection).find(query);
+    });
+}
+
+/**
+ * Converts a sort option into compoundsort criteria ([propertyname, isdesc] pairs).
+ * Accepts a property name, a { property, desc } object, or an array of either (or of [property, desc]).
+ * 
+ * @param {string|object|array} sort 
+ */
+function normalizeSort(sort) {
+    if (!Array.isArray(sort)) {
+        sort = [sort];
+    }
+
+    return sort.map(function(criteria) {
+        if (typeof criteria === "string") {
+            return [criteria, false];
+        }
+
+        if (Array.isArray(criteria) && typeof criteria[0] === "string") {
+            return [criteria[0], !!criteria[1]];
+        }
+
+        if (criteria && typeof criteria.property === "string") {
+            return [criteria.property, !!criteria.desc];
+        }
+
+        throw new LokiServiceError(errorCodes.INVALID_QUERY, "Invalid sort criteria : " + JSON.stringify(criteria));
+    });
+}
+
+/**
+ * Returns shallow copies of documents limited to (or excluding) the given top level fields.
+ * $loki is always retained when including fields so results can still be used for updates.
+ * 
+ * @param {array} docs - documents to project
+ * @param {array=} fields - fields to include
+ * @param {array=} excludeFields - fields to exclude
+ */
+function projectDocuments(docs, fields, excludeFields) {
+    if (fields) {
+        if (fields.indexOf("$loki") === -1) {
+            fields = fields.concat("$loki");
+        }
+
+        return docs.map(function(doc) {
+            var result = {};
+
+            fields.forEach(function(field) {
+                if (doc.hasOwnProperty(field)) {
+                    result[field] = doc[field];
+                }
+            });
+
+            return result;
+        });
+    }
+
+    if (excludeFields) {
+        return docs.map(function(doc) {
+            var result = Object.assign({}, doc);
+
+            excludeFields.forEach(function(field) {
+                delete result[field];
+            });
+
+            return result;
+        });
+    }
+
+    return docs;
+}
+
+/**
+ * Find with paging, sorting, projection and count options.  The total number of matches
+ * is always returned alongside the requested page.
+ * 
+ * @param {string} collection 
+ * @param {object|string} query 
+ * @param {object|string} options - (JSON encoded) object which may contain : 
+ *   offset {int} - number of matching documents to skip
+ *   limit {int} - maximum number of documents to return
+ *   sort {string|object|array} - property name, { property, desc } or array of criteria for compound sort
+ *   fields {array} - top level fields to include in returned documents
+ *   excludeFields {array} - top level fields to exclude from returned documents
+ *   count {boolean} - only return the total number of matches
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processFindPaged(serviceName, filename, collection, query, options, rowFilters, callback) {
+    withDatabase(serviceName, filename, callback, function(db) {
+        query = applyRowFilter(parseParam(query) || {}, rowFilters, collection);
+        options = parseParam(options) || {};
+
+        ["offset", "limit"].forEach(function(name) {
+            if (options.hasOwnProperty(name) && (typeof options[name] !== "number" || options[name] < 0)) {
+                throw new LokiServiceError(errorCodes.INVALID_QUERY, "Option '" + name + "' must be a non-negative number");
+            }
+        });
+
+        ["fields", "excludeFields"].forEach(function(name) {
+            if (options.hasOwnProperty(name) && !Array.isArray(options[name])) {
+                throw new LokiServiceError(errorCodes.INVALID_QUERY, "Option '" + name + "' must be an array of field names");
+            }
+        });
+
+        var rs = getCollection(db, collection).chain().find(query);
+        var total = rs.count();
+
+        if (options.count) {
+            return { total: total };
+        }
+
+        if (options.sort) {
+            var criteria = normalizeSort(options.sort);
+
+            if (criteria.length === 1) {
+                rs.simplesort(criteria[0][0], criteria[0][1]);
+            }
+            else {
+                rs.compoundsort(criteria);
+            }
+        }
+
+        if (options.offset) {
+            rs = rs.offset(options.offset);
+        }
+
+        if (options.hasOwnProperty("limit")) {
+            rs = rs.limit(options.limit);
+        }
+
+        return {
+            total: total,
+            offset: options.offset || 0,
+            limit: options.hasOwnProperty("limit") ? options.limit : null,
+            items: projectDocuments(rs.data(), options.fields, options.excludeFields)
+        };
+    });
+}
+
+/**
+ * Validates a document against the schema (if any) its initializer declared for the collection,
+ * throwing VALIDATION_FAILED with field level errors (context.validationErrors) if invalid.
+ * 
+ * @param {object} entry - database registry entry
+ * @param {Collection} coll 
+ * @param {object} doc - document to validate ($loki and meta are ignored)
+ */
+function validateDocument(entry, coll, doc) {
+    var collectionSchemas = (entry && entry.initializer && entry.initializer.schemas) || {};
+
+    if (!collectionSchemas.hasOwnProperty(coll.name)) {
+        return;
+    }
+
+    var candidate = Object.assign({}, doc);
+    delete candidate.$loki;
+    delete candidate.meta;
+
+    var validationErrors = schemas.validate(collectionSchemas[coll.name], candidate);
+
+    if (validationErrors.length) {
+        throw new LokiServiceError(errorCodes.VALIDATION_FAILED, 
+            "Document failed validation : " + validationErrors.map(function(ve) {
+                return (ve.path || "(document)") + " " + ve.message;
+            }).join("; "),
+            { validationErrors: validationErrors });
+    }
+}
+
+/**
+ * Returns a stored document if it is visible through a row level filter, else null (so writes to 
+ * documents outside the filter fail just as if they did not exist)
+ * 
+ * @param {Collection} coll 
+ * @param {object} doc - stored document (or null)
+ * @param {object=} filter - row level filter of the collection, see applyRowFilter
+ */
+function visibleDocument(coll, doc, filter) {
+    if (!doc || !filter) {
+        return doc;
+    }
+
+    return coll.find({ $and: [{ $loki: doc.$loki }, filter] }).length ? doc : null;
+}
+
+/**
+ * Checks that the content a document is about to be inserted or updated with is within a row level 
+ * filter, so roles can not write documents they would not be able to see.  The content is matched 
+ * in a scratch collection, before the stored document is touched.
+ * 
+ * @param {Collection} coll 
+ * @param {object} content - document content
+ * @param {object=} filter - row level filter of the collection, see applyRowFilter
+ */
+function checkRowFilter(coll, content, filter) {
+    if (!filter) {
+        return;
+    }
+
+    var scratch = new loki.Collection(coll.name);
+
+    scratch.insert(documentContent(content));
+
+    if (!scratch.find(filter).length) {
+        throw new LokiServiceError(errorCodes.ACCESS_DENIED, 
+            "Document is outside the row level filter of collection " + coll.name, { collection: coll.name });
+    }
+}
+
+/**
+ * Inserts a single (client supplied) document into a collection.
+ * 
+ * @param {Collection} coll 
+ * @param {object} obj - document to insert
+ * @param {object=} entry - database registry entry (for schema validation)
+ * @param {object=} filter - row level filter the document must be within
+ */
+function insertDocument(coll, obj, entry, filter) {
+    if (obj === null || typeof obj !== "object" || Array.isArray(obj)) {
+        throw new LokiServiceError(errorCodes.INVALID_DOCUMENT, "Document to insert must be an object");
+    }
+
+    if (obj.$loki === 0) {
+        delete obj.$loki;
+
+    }
+
+    if (obj.hasOwnProperty("meta")) {
+        delete obj.meta;
+    }
+
+    validateDocument(entry, coll, obj);
+    checkRowFilter(coll, obj, filter);
+
+    return coll.insert(obj);
+}
+
+/**
+ * Returns the revision of a stored document (loki's meta.revision, incremented by every update)
+ * @param {object} doc 
+ */
+function currentRevision(doc) {
+    return (doc.meta && typeof doc.meta.revision === "number") ? doc.meta.revision : 0;
+}
+
+/**
+ * Returns the revision a (client supplied) document says it was read at, if any
+ * @param {*} obj - document, id or anything else a write was given
+ */
+function documentRevision(obj) {
+    if (obj !== null && typeof obj === "object" && obj.meta !== null && typeof obj.meta === "object") {
+        return obj.meta.revision;
+    }
+
+    return undefined;
+}
+
+/**
+ * Determines whether writes to a collection must carry the revision they expect documents to be at.
+ * Initializers enable this by exporting 'optimisticLocking' as true (all collections) or an array of 
+ * collection names (descriptors : "optimisticLocking": true on each collection).
+ * 
+ * @param {object=} entry - database registry entry
+ * @param {Collection} coll 
+ */
+function isOptimisticallyLocked(entry, coll) {
+    var locking = entry && entry.initializer && entry.initializer.optimisticLocking;
+
+    return locking === true || (Array.isArray(locking) && locking.indexOf(coll.name) !== -1);
+}
+
+/**
+ * Checks the revision a write expects a stored document to be at.  Writes to collections with 
+ * optimistic locking must carry one (REVISION_REQUIRED); for other collections it is only checked 
+ * if given.  A mismatch fails with REVISION_CONFLICT, whose context includes the current document.
+ * 
+ * @param {object=} entry - database registry entry
+ * @param {Collection} coll 
+ * @param {object} doc - stored document
+ * @param {number=} expected - revision the write expects (undefined or null if none was given)
+ */
+function checkRevision(entry, coll, doc, expected) {
+    if (expected === undefined || expected === null) {
+        if (isOptimisticallyLocked(entry, coll)) {
+            throw new LokiServiceError(errorCodes.REVISION_REQUIRED, 
+                "Writes to " + coll.name + " must give the revision of the document they change", { id: doc.$loki });
+        }
+
+        return;
+    }
+
+    if (typeof expected !== "number") {
+        throw new LokiServiceError(errorCodes.INVALID_QUERY, "Revision must be a number", { id: doc.$loki });
+    }
+
+    if (currentRevision(doc) !== expected) {
+        throw new LokiServiceError(errorCodes.REVISION_CONFLICT, 
+            "Document " + doc.$loki + " is at revision " + currentRevision(doc) + ", not " + expected, { 
+                id: doc.$loki,
+                expectedRevision: expected,
+                currentRevision: currentRevision(doc),
+                currentDocument: JSON.parse(JSON.stringify(doc))
+            });
+    }
+}
+
+/**
+ * Applies a (client supplied) partial document, keyed by $loki, onto the stored document.
+ * 
+ * @param {Collection} coll 
+ * @param {object} obj - document (or partial document) containing $loki and properties to overwrite
+ * @param {object=} entry - database registry entry (for schema validation and revision checks)
+ * @param {number=} revision - revision the document is expected to be at (default obj.meta.revision, if given)
+ * @param {object=} filter - row level filter the document must be (and stay) within
+ */
+function updateDocument(coll, obj, entry, revision, filter) {
+    if (obj === null || typeof obj !== "object" || Array.isArray(obj)) {
+        throw new LokiServiceError(errorCodes.INVALID_DOCUMENT, "Document to update must be an object");
+    }
+
+    if (revision === undefined || revision === null) {
+        revision = documentRevision(obj);
+    }
+
+    // lets remove meta before shallow cloning all other properties onto
+    // existing one.
+    if (obj.hasOwnProperty("meta")) {
+        delete obj.meta;
+    }
+
+    // lookup existing doc
+    var doc = visibleDocument(coll, coll.get(obj.$loki), filter);
+
+    if (!doc) {
+        throw new LokiServiceError(errorCodes.DOCUMENT_NOT_FOUND, "Document not found : " + obj.$loki, { id: obj.$loki });
+    }
+
+    checkRevision(entry, coll, doc, revision);
+
+    // overwrite property values which were given on a copy, so the stored document (and the unique 
+    // indexes referring to it) are left as they were if loki refuses the update
+    var merged = Object.assign({}, doc, obj, { $loki: doc.$loki, meta: doc.meta });
+
+    validateDocument(entry, coll, merged);
+    checkRowFilter(coll, merged, filter);
+
+    return coll.update(merged);
+}
+
+/**
+ * Removes a single document, given either its $loki id or the document itself.
+ * 
+ * @param {Collection} coll 
+ * @param {number|object} obj - $loki id or document
+ * @param {object=} entry - database registry entry (for revision checks)
+ * @param {number=} revision - revision the document is expected to be at (default obj.meta.revision, if given)
+ * @param {object=} filter - row level filter the document must be within
+ */
+function removeDocument(coll, obj, entry, revision, filter) {
+    var id = (obj !== null && typeof obj === "object") ? obj.$loki : obj;
+    var doc = visibleDocument(coll, typeof id === "number" ? coll.get(id) : null, filter);
+
+    if (doc === null) {
+        throw new LokiServiceError(errorCodes.DOCUMENT_NOT_FOUND, "Document not found : " + id, { id: id });
+    }
+
+    checkRevision(entry, coll, doc, (revision === undefined || revision === null) ? documentRevision(obj) : revision);
+
+    return coll.remove(id);
+}
+
+/**
+ * Copies a document's content, leaving out $loki and meta
+ * @param {object} doc 
+ */
+function documentContent(doc) {
+    var content = Object.assign({}, doc);
+
+    delete content.$loki;
+    delete content.meta;
+
+    return content;
+}
+
+/**
+ * Looks up the stored document an upsert or patch addresses : by $loki, or by the value of a 
+ * uniquely indexed field (see Collection.by).
+ * 
+ * @param {Collection} coll 
+ * @param {string} key - "$loki" or the name of a uniquely indexed field
+ * @param {*} value 
+ * @returns {object} stored document, or null if there is none
+ */
+function findByKey(coll, key, value) {
+    if (key === "$loki") {
+        return typeof value === "number" ? coll.get(value) : null;
+    }
+
+    if (coll.uniqueNames.indexOf(key) === -1) {
+        throw new LokiServiceError(errorCodes.INVALID_QUERY, "Key must be $loki or a uniquely indexed field : " + key);
+    }
+
+    return coll.by(key, value) || null;
+}
+
+/**
+ * Replaces the content of a stored document with (patched) content, after validating the result.
+ * The stored document is only replaced once loki accepts the update (e.g. unique constraints hold).
+ * 
+ * @param {Collection} coll 
+ * @param {object} doc - stored document
+ * @param {object} content - new content (any meta is ignored, any $loki must be the document's)
+ * @param {object=} entry - database registry entry (for schema validation)
+ * @param {object=} filter - row level filter the document must stay within
+ */
+function replaceDocumentContent(coll, doc, content, entry, filter) {
+    if (content.hasOwnProperty("$loki") && content.$loki !== doc.$loki) {
+        throw new LokiServiceError(errorCodes.INVALID_DOCUMENT, "Patches may not change $loki", { id: doc.$loki });
+    }
+
+    var replacement = Object.assign(documentContent(content), { $loki: doc.$loki, meta: doc.meta });
+
+    validateDocument(entry, coll, replacement);
+    checkRowFilter(coll, replacement, filter);
+
+    return coll.update(replacement);
+}
+
+/**
+ * Updates the document whose key field matches that of the given (partial) document, merging the 
+ * given properties onto it as a JSON Merge Patch, or inserts the document if none matches.
+ * 
+ * @param {string} collection 
+ * @param {string|object} obj - (JSON encoded) document
+ * @param {string=} key - "$loki" (default) or the name of a uniquely indexed field to match on
+ *   (when a document matches, its revision is checked against obj.meta.revision, see checkRevision)
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {function} callback - callback up to module export/aspnet nodeservices, passed the resulting document
+ */
+function processUpsert(serviceName, filename, collection, obj, key, rowFilters, callback) {
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        obj = parseParam(obj, errorCodes.INVALID_DOCUMENT);
+
+        if (obj === null || typeof obj !== "object" || Array.isArray(obj)) {
+            throw new LokiServiceError(errorCodes.INVALID_DOCUMENT, "Document to upsert must be an object");
+        }
+
+        var coll = getCollection(db, collection);
+        var filter = applyRowFilter(null, rowFilters, collection);
+        var existing = visibleDocument(coll, findByKey(coll, key || "$loki", obj[key || "$loki"]), filter);
+
+        if (existing) {
+            checkRevision(entry, coll, existing, documentRevision(obj));
+
+            return replaceDocumentContent(coll, existing, patches.mergePatch(documentContent(existing), documentContent(obj)), entry, filter);
+        }
+
+        // null properties remove nothing from a new document
+        return insertDocument(coll, patches.mergePatch({}, documentContent(obj)), entry, filter);
+    });
+}
+
+/**
+ * Applies a patch to a stored document, atomically : either a JSON Merge Patch (RFC 7386) object 
+ * or a JSON Patch (RFC 6902) array of operations, see lokiservice-patch.js.  A failed JSON Patch 
+ * 'test' operation is reported as CONSTRAINT_VIOLATION, with the operation's position in context.
+ * 
+ * @param {string} collection 
+ * @param {number|string|object} id - $loki of the document, or (JSON encoded) { field: value } of a uniquely indexed field
+ * @param {string|object|array} patch - (JSON encoded) merge patch or JSON Patch operations
+ * @param {number=} revision - revision the document is expected to be at, see checkRevision
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {function} callback - callback up to module export/aspnet nodeservices, passed the resulting document
+ */
+function processPatch(serviceName, filename, collection, id, patch, revision, rowFilters, callback) {
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        id = parseParam(id);
+        patch = parseParam(patch, errorCodes.INVALID_DOCUMENT);
+
+        var coll = getCollection(db, collection);
+        var filter = applyRowFilter(null, rowFilters, collection);
+        var doc;
+
+        if (id !== null && typeof id === "object" && Object.keys(id).length === 1) {
+            var field = Object.keys(id)[0];
+
+            doc = findByKey(coll, field, id[field]);
+        }
+        else if (typeof id === "number") {
+            doc = coll.get(id);
+        }
+        else {
+            throw new LokiServiceError(errorCodes.INVALID_QUERY, "Document must be identified by $loki or { field: value } of a uniquely indexed field");
+        }
+
+        doc = visibleDocument(coll, doc, filter);
+
+        if (!doc) {
+            throw new LokiServiceError(errorCodes.DOCUMENT_NOT_FOUND, "Document not found : " + JSON.stringify(id), { id: id });
+        }
+
+        checkRevision(entry, coll, doc, parseParam(revision));
+
+        if (patch === null || typeof patch !== "object") {
+            throw new LokiServiceError(errorCodes.INVALID_DOCUMENT, "Patch must be a merge patch object or an array of JSON Patch operations");
+        }
+
+        var content;
+
+        try {
+            content = Array.isArray(patch) ? 
+                patches.jsonPatch(documentContent(doc), patch) : 
+                patches.mergePatch(documentContent(doc), patch);
+        }
+        catch (err) {
+            if (err instanceof patches.PatchError) {
+                throw new LokiServiceError(err.testFailed ? errorCodes.CONSTRAINT_VIOLATION : errorCodes.INVALID_DOCUMENT, 
+                    "Unable to apply patch : " + err.message, { patchOperation: err.index });
+            }
+
+            throw err;
+        }
+
+        return replaceDocumentContent(coll, doc, content, entry, filter);
+    });
+}
+
+/**
+ * 
+ * @param {*} collection 
+ * @param {*} obj 
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {*} callback 
+ */
+function processInsert(serviceName, filename, collection, obj, rowFilters, callback) {
+
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        obj = parseParam(obj, errorCodes.INVALID_DOCUMENT);
+
+        return insertDocument(getCollection(db, collection), obj, entry, applyRowFilter(null, rowFilters, collection));
+    });
+}
+
+/**
+ * 
+ * @param {*} collection 
+ * @param {*} obj - partial document, whose meta.revision (if given) is checked, see checkRevision
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {*} callback 
+ */
+function processUpdate(serviceName, filename, collection, obj, rowFilters, callback) {
+
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        obj = parseParam(obj, errorCodes.INVALID_DOCUMENT);
+
+        return updateDocument(getCollection(db, collection), obj, entry, undefined, applyRowFilter(null, rowFilters, collection));
+    });
+}
+
+/**
+ * 
+ * @param {*} collection 
+ * @param {*} obj - $loki id, document or array of documents (whose meta.revision, if given, is checked, see checkRevision)
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {*} callback 
+ */
+function processRemove(serviceName, filename, collection, obj, rowFilters, callback) {
+
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        obj = parseParam(obj, errorCodes.INVALID_DOCUMENT);
+
+        var coll = getCollection(db, collection);
+        var filter = applyRowFilter(null, rowFilters, collection);
+
+        // arrays of documents are passed through to loki, once each has passed its revision (and row level filter) check
+        if (Array.isArray(obj)) {
+            obj.forEach(function(item) {
+                var id = (item !== null && typeof item === "object") ? item.$loki : item;
+                var doc = typeof id === "number" ? coll.get(id) : null;
+
+                if (doc && !visibleDocument(coll, doc, filter)) {
+                    throw new LokiServiceError(errorCodes.DOCUMENT_NOT_FOUND, "Document not found : " + id, { id: id });
+                }
+
+                if (doc) {
+                    checkRevision(entry, coll, doc, documentRevision(item));
+                }
+            });
+
+            return {
+                "val" : coll.remove(obj)
+            };
+        }
+
+        return {
+            "val" : removeDocument(coll, obj, entry, undefined, filter)
+        };
+    });
+}
+
+/**
+ * Applies an operation to each item of a batch, collecting per item results rather than 
+ * stopping at the first failure.
+ * 
+ * @param {array} items - batch items
+ * @param {function} fn - operation accepting an item and returning the affected document
+ * @returns {object} object containing per item 'results' and an aggregate 'summary'
+ */
+function processBatch(items, fn) {
+    var batchResult = {
+        results: [],
+        summary: {
+            total: items.length,
+            succeeded: 0,
+            failed: 0
+        }
+    };
+
+    items.forEach(function(item, index) {
+        try {
+            var doc = fn(item);
+
+            batchResult.results.push({ index: index, ok: true, $loki: doc ? doc.$loki : undefined });
+            batchResult.summary.succeeded++;
+        }
+        catch (err) {
+            err = toServiceError(err, {});
+
+            var error = { code: err.code, message: err.message };
+
+            if (err.context.validationErrors) {
+                error.validationErrors = err.context.validationErrors;
+            }
+
+            batchResult.results.push({ index: index, ok: false, error: error });
+            batchResult.summary.failed++;
+        }
+    });
+
+    return batchResult;
+}
+
+/**
+ * Parses a batch parameter, verifying that it is an array
+ * @param {string|array} items - (JSON encoded) array of batch items
+ */
+function parseBatch(items) {
+    items = parseParam(items, errorCodes.INVALID_DOCUMENT);
+
+    if (!Array.isArray(items)) {
+        throw new LokiServiceError(errorCodes.INVALID_DOCUMENT, "Batch must be an array");
+    }
+
+    return items;
+}
+
+/**
+ * Inserts multiple documents in a single request.
+ * 
+ * @param {string} collection 
+ * @param {string|array} docs - (JSON encoded) array of documents to insert
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processInsertMany(serviceName, filename, collection, docs, rowFilters, callback) {
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        var coll = getCollection(db, collection);
+        var filter = applyRowFilter(null, rowFilters, collection);
+
+        return processBatch(parseBatch(docs), function(obj) {
+            return insertDocument(coll, obj, entry, filter);
+        });
+    });
+}
+
+/**
+ * Applies multiple partial documents (patches keyed by $loki) in a single request.
+ * 
+ * @param {string} collection 
+ * @param {string|array} patches - (JSON encoded) array of partial documents, each containing $loki
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processUpdateMany(serviceName, filename, collection, patches, rowFilters, callback) {
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        var coll = getCollection(db, collection);
+        var filter = applyRowFilter(null, rowFilters, collection);
+
+        return processBatch(parseBatch(patches), function(obj) {
+            return updateDocument(coll, obj, entry, undefined, filter);
+        });
+    });
+}
+
+/**
+ * Applies the same patch to every document matching a query.
+ * 
+ * @param {string} collection 
+ * @param {string|object} query - (JSON encoded) loki find query
+ * @param {string|object} patch - (JSON encoded) properties to overwrite on each matching document
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processUpdateWhere(serviceName, filename, collection, query, patch, rowFilters, callback) {
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        query = parseParam(query) || {};
+        patch = parseParam(patch, errorCodes.INVALID_DOCUMENT);
+
+        if (patch === null || typeof patch !== "object" || Array.isArray(patch)) {
+            throw new LokiServiceError(errorCodes.INVALID_DOCUMENT, "Patch must be an object");
+        }
+
+        // the patch is applied to many documents so it may not retarget any of them
+        delete patch.$loki;
+
+        var coll = getCollection(db, collection);
+        var filter = applyRowFilter(null, rowFilters, collection);
+        var ids = coll.find(applyRowFilter(query, rowFilters, collection)).map(function(doc) { return doc.$loki; });
+
+        // documents are matched by query rather than read by the caller, so they are changed at whatever revision they are at
+        return processBatch(ids, function(id) {
+            return updateDocument(coll, Object.assign({}, patch, { $loki: id }), entry, currentRevision(coll.get(id)), filter);
+        });
+    });
+}
+
+/**
+ * Removes every document matching a query.
+ * 
+ * @param {string} collection 
+ * @param {string|object} query - (JSON encoded) loki find query
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processRemoveWhere(serviceName, filename, collection, query, rowFilters, callback) {
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        query = parseParam(query) || {};
+
+        var coll = getCollection(db, collection);
+        var ids = coll.find(applyRowFilter(query, rowFilters, collection)).map(function(doc) { return doc.$loki; });
+
+        return processBatch(ids, function(id) {
+            removeDocument(coll, id, entry, currentRevision(coll.get(id)));
+
+            // loki strips $loki from removed documents, so report the id we removed
+            return { $loki: id };
+        });
+    });
+}
+
+/**
+ * Removes multiple documents, given either an array of $loki ids (or documents) or a query object.
+ * 
+ * @param {string} collection 
+ * @param {string|array|object} idsOrQuery - (JSON encoded) array of ids/documents, or loki find query
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processRemoveMany(serviceName, filename, collection, idsOrQuery, rowFilters, callback) {
+    var parsed;
+
+    try {
+        parsed = parseParam(idsOrQuery);
+    }
+    catch (err) {
+        callback(err);
+        return;
+    }
+
+    if (!Array.isArray(parsed)) {
+        processRemoveWhere(serviceName, filename, collection, parsed, rowFilters, callback);
+        return;
+    }
+
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        var coll = getCollection(db, collection);
+        var filter = applyRowFilter(null, rowFilters, collection);
+
+        return processBatch(parsed, function(obj) {
+            removeDocument(coll, obj, entry, undefined, filter);
+
+            return { $loki: (obj !== null && typeof obj === "object") ? obj.$loki : obj };
+        });
+    });
+}
+
+/**
+ * Deep copies a document (or value within one) for a transaction's snapshot.  Unlike loki's default
+ * clone method (a JSON round trip), Dates stay Dates and objects keep their prototype.
+ * @param {*} value 
+ */
+function cloneValue(value) {
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(cloneValue);
+    }
+
+    if (value === null || typeof value !== "object") {
+        return value;
+    }
+
+    var copy = Object.create(Object.getPrototypeOf(value));
+
+    Object.keys(value).forEach(function(key) {
+        copy[key] = cloneValue(value[key]);
+    });
+
+    return copy;
+}
+
+/**
+ * Begins a service level transaction on a collection, regardless of whether the collection was 
+ * created with loki's 'transactional' option : the collection's documents, and a copy of each of 
+ * their contents, are kept so a rollback can put the very same document objects back as they were.
+ * 
+ * @param {Collection} coll 
+ * @returns {object} state needed to commit or roll back the transaction
+ */
+function beginTransaction(coll) {
+    var state = {
+        transactional: coll.transactional,
+        maxId: coll.maxId,
+        data: coll.data.slice(),
+        contents: coll.data.map(cloneValue)
+    };
+
+    // keep loki's per-operation transactions from cloning the collection for every operation of the batch
+    coll.transactional = false;
+
+    return state;
+}
+
+/**
+ * Commits a transaction started with beginTransaction
+ * @param {Collection} coll 
+ * @param {object} state - state returned from beginTransaction
+ */
+function commitTransaction(coll, state) {
+    coll.transactional = state.transactional;
+}
+
+/**
+ * Rolls back a transaction started with beginTransaction
+ * @param {Collection} coll 
+ * @param {object} state - state returned from beginTransaction
+ */
+function rollbackTransaction(coll, state) {
+    coll.transactional = state.transactional;
+
+    // documents may have been changed in place (or had $loki and meta stripped by a remove), so 
+    // restore each one's contents rather than replacing it, keeping references to it valid
+    state.data.forEach(function(doc, idx) {
+        var content = state.contents[idx];
+
+        Object.keys(doc).forEach(function(key) {
+            if (!content.hasOwnProperty(key)) {
+                delete doc[key];
+            }
+        });
+
+        Object.assign(doc, content);
+    });
+
+    coll.data = state.data;
+    coll.maxId = state.maxId;
+
+    // the full-text index saw the changes being undone, so it is rebuilt when next searched
+    searchIndexes.delete(coll);
+
+    // rebuild everything derived from the documents
+    coll.idIndex = coll.data.map(function(doc) { return doc.$loki; });
+    coll.ensureAllIndexes(true);
+    coll.uniqueNames.forEach(function(field) {
+        coll.ensureUniqueIndex(field);
+    });
+    coll.DynamicViews.forEach(function(dv) {
+        dv.rematerialize();
+    });
+}
+
+/**
+ * Rolls back the transactions of a failed batch and discards the change records held for it.  Every
+ * collection is rolled back and changes are resumed even if a rollback fails, in which case the 
+ * failure is passed to the logger (see serviceOptions) so the caller can still report the error 
+ * which caused the rollback.
+ * 
+ * @param {object} entry - database registry entry
+ * @param {array} transactions - { coll, state } of each collection, see beginTransaction
+ */
+function abortTransactions(entry, transactions) {
+    try {
+        transactions.forEach(function(tx) {
+            try {
+                rollbackTransaction(tx.coll, tx.state);
+            }
+            catch (err) {
+                logEvent("rollbackFailed", "unable to roll back " + tx.coll.name + " : " + err.message, 
+                    { collection: tx.coll.name, error: err });
+            }
+        });
+    }
+    finally {
+        resumeChanges(entry, false);
+    }
+}
+
+/**
+ * Applies an ordered list of operations, across collections of the same database, all-or-nothing.
+ * If any operation fails, all earlier operations are rolled back and the failing operation's error 
+ * is reported (with its position in context).
+ * 
+ * Each operation is an object with a 'type' and 'collection', along with :
+ *   insert : doc - document to insert
+ *   update : doc - partial document (containing $loki) to apply
+ *   remove : id - $loki id (or doc) of document to remove
+ * update and remove operations may also give the 'revision' the document is expected to be at
+ * (default doc.meta.revision), see checkRevision.
+ *   find : query - loki find query
+ * 
+ * @param {string|array} operations - (JSON encoded) array of operations
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processExecute(serviceName, filename, operations, rowFilters, callback) {
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        operations = parseBatch(operations);
+
+        var handlers = {
+            insert: function(coll, op) {
+                return insertDocument(coll, op.doc, entry, applyRowFilter(null, rowFilters, op.collection));
+            },
+            update: function(coll, op) {
+                return updateDocument(coll, op.doc, entry, op.revision, applyRowFilter(null, rowFilters, op.collection));
+            },
+            remove: function(coll, op) {
+                var id = (op.id !== null && typeof op.id === "object") ? op.id.$loki : op.id;
+
+                removeDocument(coll, op.id, entry, op.revision, applyRowFilter(null, rowFilters, op.collection));
+
+                return { $loki: id };
+            },
+            find: function(coll, op) {
+                return coll.find(applyRowFilter(op.query || {}, rowFilters, op.collection));
+            }
+        };
+
+        // validate everything before we change anything
+        var collections = {};
+
+        operations.forEach(function(op, index) {
+            if (op === null || typeof op !== "object" || !handlers.hasOwnProperty(op.type)) {
+                throw new LokiServiceError(errorCodes.INVALID_QUERY, 
+                    "Invalid operation at step " + index + ", type must be one of : " + Object.keys(handlers).join(", "), 
+                    { step: index });
+            }
+
+            if (!collections.hasOwnProperty(op.collection)) {
+                collections[op.collection] = getCollection(db, op.collection);
+            }
+        });
+
+        var transactions = Object.keys(collections).map(function(name) {
+            return { 
+                coll: collections[name], 
+                state: beginTransaction(collections[name]) 
+            };
+        });
+
+        var results = [];
+
+        // hold change records and journal entries until we know whether the batch will be committed
+        suspendChanges(entry);
+
+        try {
+            operations.forEach(function(op, index) {
+                try {
+                    results.push(handlers[op.type](collections[op.collection], op));
+                }
+                catch (err) {
+                    throw toServiceError(err, { step: index, stepType: op.type, collection: op.collection });
+                }
+            });
+        }
+        catch (err) {
+            abortTransactions(entry, transactions);
+
+            throw err;
+        }
+
+        transactions.forEach(function(tx) {
+            commitTransaction(tx.coll, tx.state);
+        });
+
+        resumeChanges(entry, true);
+
+        return {
+            committed: true,
+            results: results
+        };
+    });
+}
+
+// modes of importCollection
+var importModes = ["insert", "upsert", "replace"];
+
+// number of failed records listed in an import result
+var importErrorLimit = 100;
+
+/**
+ * Resolves the file an export writes (or an import reads).  Paths are resolved within the configured 
+ * transferDirectory and may not reach outside of it, so they are refused until one is configured.
+ * Streams (native interface) are passed through.
+ * 
+ * @param {string|stream} file - file path or stream
+ */
+function transferFile(file) {
+    if (file !== null && typeof file === "object" && (typeof file.pipe === "function" || typeof file.write === "function")) {
+        return file;
+    }
+
+    if (typeof file !== "string" || file === "") {
+        throw new LokiServiceError(errorCodes.INVALID_QUERY, "A file path (or, natively, a stream) is required");
+    }
+
+    if (!serviceOptions.transferDirectory) {
+        throw new LokiServiceError(errorCodes.OPERATION_NOT_PERMITTED, "File paths are only accepted once a transferDirectory is configured");
+    }
+
+    var directory = path.resolve(serviceOptions.transferDirectory);
+    var resolved = path.resolve(directory, file);
+    var relative = path.relative(directory, resolved);
+
+    if (relative === "" || relative.split(path.sep)[0] === ".." || path.isAbsolute(relative)) {
+        throw new LokiServiceError(errorCodes.OPERATION_NOT_PERMITTED, "File is outside of the transfer directory : " + file);
+    }
+
+    return resolved;
+}
+
+/**
+ * Parses and validates the options of an export or import (see lokiservice-transfer.js), 
+ * resolving the transfer format.
+ * 
+ * @param {string|stream} file - file path or stream
+ * @param {string|object} options - (JSON encoded) transfer options
+ */
+function transferOptions(file, options) {
+    options = Object.assign({}, parseParam(options));
+    options.format = transfer.resolveFormat(file, options.format);
+
+    if (!options.format) {
+        throw new LokiServiceError(errorCodes.INVALID_QUERY, "Format must be one of : " + transfer.formats.join(", "));
+    }
+
+    Object.keys(options.types || {}).forEach(function(field) {
+        if (!transfer.isValidType(options.types[field])) {
+            throw new LokiServiceError(errorCodes.INVALID_QUERY, "Unknown type '" + options.types[field] + "' for field '" + field + "'");
+        }
+    });
+
+    return options;
+}
+
+/**
+ * Exports the documents of a collection (optionally those matching a query and/or the result of 
+ * a named transform) to a file, as NDJSON or CSV, see lokiservice-transfer.js.  Documents are 
+ * encoded and written in batches.  File paths are written via a temporary file which replaces 
+ * the target once complete.
+ * 
+ * @param {string} collection 
+ * @param {string|stream} file - path of the file to write (or, natively, a writable stream which is ended once written)
+ * @param {string|object} options - (JSON encoded) transfer options, along with format, query, transform and transformParams
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {function} callback - callback up to module export/aspnet nodeservices, 
+ *   passed { collection, file, format, count, bytes }
+ */
+function processExportCollection(serviceName, filename, collection, file, options, rowFilters, callback) {
+    var target;
+
+    withDatabase(serviceName, filename, function(err, docs) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var stream = target;
+        var temp = null;
+
+        if (typeof target === "string") {
+            temp = target + ".tmp";
+            stream = fs.createWriteStream(temp);
+        }
+
+        transfer.writeDocuments(docs, stream, options.format, options, function(err, result) {
+            if (err) {
+                if (temp) {
+                    fs.unlink(temp, function() {});
+                }
+
+                callback(new LokiServiceError(errorCodes.INTERNAL_ERROR, "Unable to write export : " + err.message));
+                return;
+            }
+
+            function done(err) {
+                if (err) {
+                    callback(new LokiServiceError(errorCodes.INTERNAL_ERROR, "Unable to write export : " + err.message));
+                    return;
+                }
+
+                callback(null, {
+                    collection: collection,
+                    file: temp ? target : null,
+                    format: options.format,
+                    count: result.count,
+                    bytes: result.bytes
+                });
+            }
+
+            if (temp) {
+                fs.rename(temp, target, done);
+            }
+            else {
+                done(null);
+            }
+        });
+    }, function(db, entry) {
+        target = transferFile(file);
+        options = transferOptions(file, options);
+
+        var coll = getCollection(db, collection);
+        var chain = filteredChain(coll, rowFilters);
+
+        if (options.query) {
+            chain = chain.find(options.query);
+        }
+
+        if (options.transform !== undefined && options.transform !== null) {
+            if (typeof options.transform !== "string") {
+                throw new LokiServiceError(errorCodes.INVALID_QUERY, "Export transform must be the name of a transform");
+            }
+
+            checkTransform(coll, options.transform);
+
+            var transformParams = options.transformParams ? parseParam(options.transformParams) : undefined;
+
+            chain = chain.transform(options.transform, prepareTransform(entry, coll, options.transform, transformParams));
+        }
+
+        return chain.data();
+    });
+}
+
+/**
+ * Imports documents into a collection from an NDJSON or CSV file, see lokiservice-transfer.js.
+ * The file is streamed and its records applied as they are decoded, in one of these modes :
+ *   insert  - every record is inserted
+ *   upsert  - records are merged onto the document whose 'key' field matches, or inserted if none does
+ *   replace - the collection's documents are replaced by the records, all-or-nothing
+ * In insert and upsert modes, records which fail (to decode, validate, etc) are reported and the 
+ * import carries on.  In replace mode, any failure leaves the collection unchanged.  Imported $loki 
+ * values are discarded (other than when upserting by $loki) and meta is always discarded.
+ * 
+ * @param {string} collection 
+ * @param {string|stream} file - path of the file to read (or, natively, a readable stream)
+ * @param {string|object} options - (JSON encoded) transfer options, along with format, mode and key
+ * @param {function} callback - callback up to module export/aspnet nodeservices, passed 
+ *   { collection, file, format, mode, total, inserted, updated, removed, failed, errors: [{ line, code, message }] }
+ */
+function processImportCollection(serviceName, filename, collection, file, options, callback) {
+    var source, docs = [];
+    var result = {
+        collection: collection,
+        file: null,
+        format: null,
+        mode: null,
+        total: 0,
+        inserted: 0,
+        updated: 0,
+        removed: 0,
+        failed: 0,
+        errors: []
+    };
+
+    // records a failed record (only the first importErrorLimit are listed)
+    function recordFailed(record, code, message) {
+        result.failed++;
+
+        if (result.errors.length < importErrorLimit) {
+            result.errors.push({ line: record.line, code: code, message: message });
+        }
+    }
+
+    // inserts or merges a single record
+    function importDocument(coll, doc, entry) {
+        delete doc.meta;
+
+        if (options.mode === "upsert") {
+            var value = doc[options.key];
+
+            if (value === undefined || value === null) {
+                throw new LokiServiceError(errorCodes.INVALID_DOCUMENT, "Record has no '" + options.key + "' value");
+            }
+
+            var query = {};
+            query[options.key] = { $eq: value };
+
+            var matches = options.key === "$loki" ? [coll.get(value)].filter(Boolean) : coll.find(query);
+
+            if (matches.length > 1) {
+                throw new LokiServiceError(errorCodes.CONSTRAINT_VIOLATION, 
+                    matches.length + " documents have '" + options.key + "' " + JSON.stringify(value));
+            }
+
+            if (matches.length) {
+                // imported records replace what is stored, whatever revision it is at
+                doc.$loki = matches[0].$loki;
+                updateDocument(coll, doc, entry, currentRevision(matches[0]));
+                result.updated++;
+                return;
+            }
+        }
+
+        delete doc.$loki;
+        insertDocument(coll, doc, entry);
+        result.inserted++;
+    }
+
+    // resolves the (current) instance and collection, which may have been reopened since the import began
+    function withCollection(fn) {
+        getDatabase(serviceName, filename, function(err, db) {
+            if (err) {
+                fn(err);
+                return;
+            }
+
+            var coll = db.getCollection(collection);
+
+            if (coll === null) {
+                fn(new LokiServiceError(errorCodes.COLLECTION_NOT_FOUND, "Collection not found : " + collection));
+                return;
+            }
+
+            fn(null, coll, databaseRegistry[serviceName][filename]);
+        });
+    }
+
+    function applyRecords(records, next) {
+        if (options.mode === "replace") {
+            records.forEach(function(record) {
+                result.total++;
+
+                if (record.error) {
+                    recordFailed(record, errorCodes.INVALID_DOCUMENT, record.error);
+                    return;
+                }
+
+                docs.push(record);
+            });
+
+            next(null);
+            return;
+        }
+
+        if (!records.length) {
+            next(null);
+            return;
+        }
+
+        withCollection(function(err, coll, entry) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            records.forEach(function(record) {
+                result.total++;
+
+                if (record.error) {
+                    recordFailed(record, errorCodes.INVALID_DOCUMENT, record.error);
+                    return;
+                }
+
+                try {
+                    importDocument(coll, record.doc, entry);
+                }
+                catch (err) {
+                    err = toServiceError(err, {});
+                    recordFailed(record, err.code, err.message);
+                }
+            });
+
+            next(null);
+        });
+    }
+
+    // replaces the collection's documents with those decoded, all-or-nothing
+    function replaceDocuments() {
+        if (result.failed) {
+            callback(new LokiServiceError(errorCodes.INVALID_DOCUMENT, 
+                result.failed + " record(s) could not be decoded, the collection was left unchanged", 
+                { errors: result.errors }));
+            return;
+        }
+
+        withCollection(function(err, coll, entry) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            var state = beginTransaction(coll);
+            var current = null;
+
+            // hold change records and journal entries until we know whether the replacement will be committed
+            suspendChanges(entry);
+
+            try {
+                result.removed = coll.count();
+                coll.chain().remove();
+
+                docs.forEach(function(record) {
+                    current = record;
+                    importDocument(coll, record.doc, entry);
+                });
+            }
+            catch (err) {
+                abortTransactions(entry, [{ coll: coll, state: state }]);
+
+                result.removed = result.inserted = 0;
+                err = toServiceError(err, { line: current && current.line });
+
+                callback(new LokiServiceError(err.code, 
+                    "Line " + (current && current.line) + " : " + err.message + " (the collection was left unchanged)", 
+                    err.context));
+                return;
+            }
+
+            commitTransaction(coll, state);
+
+            resumeChanges(entry, true);
+
+            callback(null, result);
+        });
+    }
+
+    try {
+        source = transferFile(file);
+        options = transferOptions(file, options);
+        options.mode = options.mode || "insert";
+
+        if (importModes.indexOf(options.mode) === -1) {
+            throw new LokiServiceError(errorCodes.INVALID_QUERY, "Import mode must be one of : " + importModes.join(", "));
+        }
+
+        if (options.mode === "upsert" && (typeof options.key !== "string" || options.key === "")) {
+            throw new LokiServiceError(errorCodes.INVALID_QUERY, "Upserts require the name of a 'key' field");
+        }
+    }
+    catch (err) {
+        callback(err);
+        return;
+    }
+
+    result.file = typeof source === "string" ? source : null;
+    result.format = options.format;
+    result.mode = options.mode;
+
+    // check the collection exists before reading anything
+    withCollection(function(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var stream = typeof source === "string" ? fs.createReadStream(source) : source;
+
+        transfer.readDocuments(stream, options.format, options, applyRecords, function(err) {
+            if (err) {
+                callback(err instanceof LokiServiceError ? err : new LokiServiceError(
+                    err.code === "ENOENT" ? errorCodes.INVALID_QUERY : errorCodes.INTERNAL_ERROR, 
+                    "Unable to read import : " + err.message));
+                return;
+            }
+
+            if (options.mode === "replace") {
+                replaceDocuments();
+                return;
+            }
+
+            callback(null, result);
+        });
+    });
+}
+
+/**
+ * Invokes a 'named' transform stored within a loki collection, and returns the result.
+ * 
+ * @param {string} collection - name of collection which named transform is registered
+ * @param {string|array} transform  - string representing a named transform, or raw transform array
+ * @param {string|object} transformParams - JSON encoded (or object) params to pass
+ * @param {boolean} dataInvoke - (default: true) terminate chain with call to data()
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processTransform(serviceName, filename, collection, transform, transformParams, dataInvoke, rowFilters, callback) {
+    // we may want to utilize a map within our transform which breaks chain,
+    // In that case we should pass false for invokeData.
+    if (typeof dataInvoke === 'undefined' || dataInvoke === null) {
+        dataInvoke = true;
+    }
+
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        // allow optional transform params to be parsed and then passed
+        transformParams = transformParams?parseParam(transformParams): undefined;
+
+        var coll = getCollection(db, collection);
+
+        checkTransform(coll, transform);
+        transformParams = prepareTransform(entry, coll, transform, transformParams);
+
+        var result = filteredChain(coll, rowFilters).transform(transform, transformParams);
+
+        if (dataInvoke) {
+            result = result.data();
+        }
+
+        return result;
+    });
+}
+
+/**
+ * Invokes a raw (client supplied) transform against a collection, and returns the result.
+ * 
+ * @param {string} collection - name of collection to run transform against
+ * @param {string|array} rawTransform - JSON encoded (or array of) transform steps
+ * @param {string|object} transformParams - JSON encoded (or object) params to pass
+ * @param {boolean} dataInvoke - (default: true) terminate chain with call to data()
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processTransformRaw(serviceName, filename, collection, rawTransform, transformParams, dataInvoke, rowFilters, callback) {
+    processTransform(serviceName, filename, collection, parseParam(rawTransform), transformParams, dataInvoke, 
+        rowFilters, callback);
+}
+
+/**
+ * Used for obtaining results from a dynamic view, with optional (named) transform extract
+ * @param {*} serviceName 
+ * @param {*} filename 
+ * @param {*} collection 
+ * @param {*} viewname 
+ * @param {*} transformName 
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {*} callback 
+ */
+function processDynamicView(serviceName, filename, collection, viewname, transformName, transformParams, rowFilters, callback) {
+
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        transformParams = transformParams?parseParam(transformParams): undefined;
+
+        var coll = getCollection(db, collection);
+        var dv = getDynamicView(coll, viewname);
+        var filter = applyRowFilter(null, rowFilters, collection);
+
+        if (transformName) {
+            checkTransform(coll, transformName);
+            transformParams = prepareTransform(entry, coll, transformName, transformParams);
+
+            return viewResultset(dv, filter).transform(transformName, transformParams).data();
+        }
+
+        if (filter) {
+            return viewResultset(dv, filter).data();
+        }
+
+        return dv.data();
+    });
+}
+
+/**
+ * Used for Dynamic View (with optional named transform extract) when post query chaining (implemented as raw transform) is required.
+ * 
+ * @param {*} serviceName 
+ * @param {*} filename 
+ * @param {*} collection 
+ * @param {*} viewname 
+ * @param {*} transform 
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {*} callback 
+ */
+function processDynamicViewTransform(serviceName, filename, collection, viewname, transformName, transformParams, rawTransform, rowFilters, callback) {
+    if (!rawTransform) {
+        return processDynamicView(serviceName, filename, collection, viewname, transformName, transformParams, 
+            rowFilters, callback);
+    }
+
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        // parse the raw transform string
+        rawTransform = parseParam(rawTransform);
+
+        if (!transformName) {
+            transformName = undefined;
+            transformParams = undefined;
+        }
+        else {
+            transformParams = transformParams?parseParam(transformParams):undefined;
+        }
+
+        var coll = getCollection(db, collection);
+        var dv = getDynamicView(coll, viewname);
+
+        if (transformName) {
+            checkTransform(coll, transformName);
+            transformParams = prepareTransform(entry, coll, transformName, transformParams);
+        }
+        checkTransform(coll, rawTransform);
+        prepareTransform(entry, coll, rawTransform);
+
+        var filter = applyRowFilter(null, rowFilters, collection);
+        var rs = viewResultset(dv, filter);
+
+        if (transformName) {
+            rs = rs.transform(transformName, transformParams);
+        }
+
+        return rs.transform(rawTransform).data();
+    });
+}
+
+/**
+ * Returns the full-text index of a collection, as declared by its initializer's 'fullTextIndexes' 
+ * (see lokiservice-search.js).  Indexes are built when a collection is first searched and then 
+ * kept up to date from the collection's insert, update and delete events.
+ * 
+ * @param {object} entry - registry entry of the instance
+ * @param {Collection} coll 
+ */
+function getSearchIndex(entry, coll) {
+    var declared = entry.initializer.fullTextIndexes || {};
+
+    if (!declared.hasOwnProperty(coll.name)) {
+        throw new LokiServiceError(errorCodes.INVALID_QUERY, "Collection has no full-text index : " + coll.name);
+    }
+
+    if (searchIndexes.has(coll)) {
+        return searchIndexes.get(coll);
+    }
+
+    var errors = search.checkIndexOptions(declared[coll.name]);
+
+    if (errors.length) {
+        throw new LokiServiceError(errorCodes.INTERNAL_ERROR, 
+            "Invalid full-text index declared for " + coll.name + " : " + errors.join("; "));
+    }
+
+    var index = new search.FullTextIndex(declared[coll.name]);
+
+    coll.data.forEach(function(doc) {
+        index.add(doc);
+    });
+
+    searchIndexes.set(coll, index);
+
+    // listeners stay attached for the life of the collection, applying changes to whichever index it has
+    if (!searchIndexedCollections.has(coll)) {
+        searchIndexedCollections.add(coll);
+
+        ["insert", "update", "delete"].forEach(function(operation) {
+            coll.on(operation, function(docs) {
+                var current = searchIndexes.get(coll);
+
+                if (!current) {
+                    return;
+                }
+
+                // batch inserts emit an array of documents
+                (Array.isArray(docs) ? docs : [docs]).forEach(function(doc) {
+                    if (operation === "delete") {
+                        current.remove(doc);
+                    }
+                    else {
+                        current.add(doc);
+                    }
+                });
+            });
+        });
+    }
+
+    return index;
+}
+
+/**
+ * Searches a collection's full-text index, returning documents ranked by relevance (BM25).
+ * 
+ * @param {string} collection 
+ * @param {string} text - words to search for
+ * @param {object|string} options - (JSON encoded) object which may contain : 
+ *   query {object} - loki find query results must also match
+ *   all {boolean} - only return documents matching every word (default any)
+ *   prefix {boolean} - words also match indexed words they begin
+ *   offset {int} - number of results to skip
+ *   limit {int} - maximum number of results to return
+ *   highlight {boolean|object} - return matching field text with matched words marked, 
+ *     optionally { pre, post } to mark them with (default <em> and </em>)
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {function} callback - callback up to module export/aspnet nodeservices, passed 
+ *   { total, offset, limit, items: [{ score, document, highlights }] }
+ */
+function processSearch(serviceName, filename, collection, text, options, rowFilters, callback) {
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        options = parseParam(options) || {};
+
+        if (typeof text !== "string") {
+            throw new LokiServiceError(errorCodes.INVALID_QUERY, "Search text must be a string");
+        }
+
+        ["offset", "limit"].forEach(function(name) {
+            if (options.hasOwnProperty(name) && (typeof options[name] !== "number" || options[name] < 0)) {
+                throw new LokiServiceError(errorCodes.INVALID_QUERY, "Option '" + name + "' must be a non-negative number");
+            }
+        });
+
+        var coll = getCollection(db, collection);
+        var index = getSearchIndex(entry, coll);
+        var results = index.search(text, { all: !!options.all, prefix: !!options.prefix });
+
+        // narrow the results to documents matching the query (and row level filter)
+        var filter = applyRowFilter(options.query || {}, rowFilters, collection);
+
+        if (Object.keys(filter).length) {
+            var matching = {};
+
+            coll.find(filter).forEach(function(doc) {
+                matching[doc.$loki] = true;
+            });
+
+            results = results.filter(function(result) {
+                return matching.hasOwnProperty(result.$loki);
+            });
+        }
+
+        var offset = options.offset || 0;
+        var page = results.slice(offset, options.hasOwnProperty("limit") ? offset + options.limit : undefined);
+
+        return {
+            total: results.length,
+            offset: offset,
+            limit: options.hasOwnProperty("limit") ? options.limit : null,
+            items: page.map(function(result) {
+                var doc = coll.get(result.$loki);
+                var item = { score: result.score, document: doc };
+
+                if (options.highlight) {
+                    item.highlights = index.highlight(doc, text, Object.assign({ prefix: !!options.prefix }, 
+                        typeof options.highlight === "object" ? options.highlight : {}));
+                }
+
+                return item;
+            })
+        };
+    });
+}
+
+/**
+ * Returns a resultset of the documents a (parsed) source object selects : those of the collection,
+ * or of one of its dynamic views, optionally narrowed by a query and then a named transform.
+ * 
+ * @param {object} entry - registry entry of the instance
+ * @param {Collection} coll 
+ * @param {object} source - { view, query, transform, params }, all optional
+ * @param {object=} rowFilters - row level filters imposed by access control
+ */
+function sourceResultset(entry, coll, source, rowFilters) {
+    var rs;
+
+    if (source.view) {
+        rs = viewResultset(getDynamicView(coll, source.view), applyRowFilter(null, rowFilters, coll.name));
+    }
+    else {
+        rs = filteredChain(coll, rowFilters);
+    }
+
+    if (source.query) {
+        rs = rs.find(source.query);
+    }
+
+    if (source.transform !== undefined && source.transform !== null) {
+        if (typeof source.transform !== "string") {
+            throw new LokiServiceError(errorCodes.INVALID_QUERY, "Source transform must be the name of a transform");
+        }
+
+        checkTransform(coll, source.transform);
+        rs = rs.transform(source.transform, prepareTransform(entry, coll, source.transform, source.params));
+    }
+
+    return rs;
+}
+
+/**
+ * Groups and accumulates documents, returning only the computed rows (see lokiservice-aggregate.js 
+ * for the pipeline).
+ * 
+ * @param {string} collection 
+ * @param {string|object} source - (JSON encoded) { view, query, transform, params }, all optional
+ * @param {string|object} pipeline - (JSON encoded) { unwind, groupBy, accumulators, sort, skip, limit }
+ * @param {object=} rowFilters - row level filters imposed by access control
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processAggregate(serviceName, filename, collection, source, pipeline, rowFilters, callback) {
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        source = parseParam(source) || {};
+        pipeline = parseParam(pipeline);
+
+        var errors = aggregation.checkPipeline(pipeline);
+
+        if (errors.length) {
+            throw new LokiServiceError(errorCodes.INVALID_QUERY, "Invalid aggregation pipeline : " + errors.join("; "));
+        }
+
+        if (pipeline.sort) {
+            pipeline = Object.assign({}, pipeline, { sort: normalizeSort(pipeline.sort) });
+        }
+
+        return aggregation.aggregate(sourceResultset(entry, getCollection(db, collection), source, rowFilters).data(), pipeline);
+    });
+}
+
+/**
+ * Joins documents to those of other collections of the instance (see lokiservice-join.js), 
+ * returning the joined documents in one result.
+ * 
+ * @param {string} collection - collection of the left side documents
+ * @param {string|object} source - (JSON encoded) { view, query, transform, params } selecting the 
+ *   left side documents, all optional
+ * @param {string|object|array} joinSpecs - (JSON encoded) join or array of joins, applied in order
+ * @param {object=} rowFilters - row level filters imposed by access control (applied to every collection)
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processJoin(serviceName, filename, collection, source, joinSpecs, rowFilters, callback) {
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        source = parseParam(source) || {};
+        joinSpecs = parseParam(joinSpecs);
+
+        var errors = joining.checkJoins(joinSpecs);
+
+        if (errors.length) {
+            throw new LokiServiceError(errorCodes.INVALID_QUERY, "Invalid join : " + errors.join("; "));
+        }
+
+        // resolve every joined collection before doing any work
+        var collections = {};
+
+        joining.normalizeJoins(joinSpecs).forEach(function(join) {
+            collections[join.collection] = getCollection(db, join.collection);
+        });
+
+        var docs = sourceResultset(entry, getCollection(db, collection), source, rowFilters).data();
+
+        return joining.join(docs, joinSpecs, function(join) {
+            var rs = filteredChain(collections[join.collection], rowFilters);
+
+            return (join.query ? rs.find(join.query) : rs).data();
+        });
+    });
+}
+
+/**
+ * Obtains the database instance and runs schema changing (admin) request logic against it, 
+ * provided its initializer has not opted out by setting 'allowSchemaChanges' to false.
+ * 
+ * @param {string} serviceName 
+ * @param {string} filename 
+ * @param {function} callback - node-style (err, result) callback
+ * @param {function} fn - request logic accepting the db instance and returning the result
+ */
+function withSchemaChanges(serviceName, filename, callback, fn) {
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        if (databaseRegistry[serviceName][filename].initializer.allowSchemaChanges === false) {
+            throw new LokiServiceError(errorCodes.OPERATION_NOT_PERMITTED, 
+                "Schema changes are disabled for this initializer");
+        }
+
+        return fn(db, entry);
+    });
+}
+
+/**
+ * Adds a collection, returning its collection info.
+ * 
+ * @param {string} collection - name of collection to add
+ * @param {string|object} options - (JSON encoded) loki collection options (indices, unique, clone, etc)
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processAddCollection(serviceName, filename, collection, options, callback) {
+    withSchemaChanges(serviceName, filename, callback, function(db, entry) {
+        options = parseParam(options) || {};
+
+        if (db.getCollection(collection) !== null) {
+            throw new LokiServiceError(errorCodes.ALREADY_EXISTS, "Collection already exists : " + collection);
+        }
+
+        var coll = db.addCollection(collection, options);
+
+        if (entry.changes) {
+            entry.changes.attach(coll);
+        }
+
+        // journals are only replayed against the collections they were written for, so this saves the database
+        if (entry.journal) {
+            entry.journal.attach(db);
+        }
+
+        return getCollectionInfo(coll);
+    });
+}
+
+/**
+ * Removes a collection along with all of its documents.
+ * 
+ * @param {string} collection - name of collection to remove
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processRemoveCollection(serviceName, filename, collection, callback) {
+    withSchemaChanges(serviceName, filename, callback, function(db, entry) {
+        getCollection(db, collection);
+
+        db.removeCollection(collection);
+
+        if (entry.journal) {
+            entry.journal.attach(db);
+        }
+
+        return { removed: collection };
+    });
+}
+
+/**
+ * Adds (or with force, rebuilds) a binary index on a collection property.
+ * 
+ * @param {string} collection 
+ * @param {string} field - property to index
+ * @param {boolean} force - rebuild the index even if it exists
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processEnsureIndex(serviceName, filename, collection, field, force, callback) {
+    withSchemaChanges(serviceName, filename, callback, function(db) {
+        var coll = getCollection(db, collection);
+
+        coll.ensureIndex(field, !!force);
+
+        return getCollectionInfo(coll);
+    });
+}
+
+/**
+ * Adds a unique index on a collection property.  Fails with CONSTRAINT_VIOLATION if existing
+ * documents already contain duplicate values.
+ * 
+ * @param {string} collection 
+ * @param {string} field - property to index
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processEnsureUniqueIndex(serviceName, filename, collection, field, callback) {
+    withSchemaChanges(serviceName, filename, callback, function(db) {
+        var coll = getCollection(db, collection);
+        var existing = coll.uniqueNames.indexOf(field) !== -1;
+        var previous = coll.constraints.unique[field];
+
+        try {
+            coll.ensureUniqueIndex(field);
+        }
+        catch (err) {
+            // do not leave a partially populated index behind, but keep enforcing one which already existed
+            if (existing) {
+                coll.constraints.unique[field] = previous;
+            }
+            else {
+                delete coll.constraints.unique[field];
+                coll.uniqueNames.splice(coll.uniqueNames.indexOf(field), 1);
+            }
+
+            throw err;
+        }
+
+        return getCollectionInfo(coll);
+    });
+}
+
+/**
+ * Adds or replaces a named transform.
+ * 
+ * @param {string} collection 
+ * @param {string} transformName 
+ * @param {string|array} transform - (JSON encoded) array of transform steps
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processSetTransform(serviceName, filename, collection, transformName, transform, callback) {
+    withSchemaChanges(serviceName, filename, callback, function(db) {
+        transform = parseParam(transform);
+
+        var coll = getCollection(db, collection);
+
+        checkTransform(coll, transform);
+        coll.setTransform(transformName, transform);
+
+        return getCollectionInfo(coll);
+    });
+}
+
+/**
+ * Removes a named transform.
+ * 
+ * @param {string} collection 
+ * @param {string} transformName 
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processRemoveTransform(serviceName, filename, collection, transformName, callback) {
+    withSchemaChanges(serviceName, filename, callback, function(db) {
+        var coll = getCollection(db, collection);
+
+        checkTransform(coll, transformName);
+        coll.removeTransform(transformName);
+
+        return getCollectionInfo(coll);
+    });
+}
+
+/**
+ * Adds a dynamic view, built from serialized steps : 
+ *   { type: "find", value: query }, { type: "simplesort", property, desc } or { type: "compoundsort", value: criteria }
+ * 
+ * @param {string} collection 
+ * @param {string} viewname 
+ * @param {string|object} options - (JSON encoded) loki dynamic view options (persistent, sortPriority, minRebuildInterval)
+ * @param {string|array} steps - (JSON encoded) array of filter and sort steps
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processAddDynamicView(serviceName, filename, collection, viewname, options, steps, callback) {
+    withSchemaChanges(serviceName, filename, callback, function(db) {
+        options = parseParam(options) || {};
+        steps = parseParam(steps) || [];
+
+        var coll = getCollection(db, collection);
+
+        if (coll.getDynamicView(viewname)) {
+            throw new LokiServiceError(errorCodes.ALREADY_EXISTS, "Dynamic view already exists : " + viewname, { viewname: viewname });
+        }
+
+        var dv = coll.addDynamicView(viewname, options);
+
+        try {
+            descriptors.applyViewSteps(dv, steps);
+        }
+        catch (err) {
+            coll.removeDynamicView(viewname);
+
+            throw new LokiServiceError(errorCodes.INVALID_QUERY, err.message, { viewname: viewname });
+        }
+
+        return getCollectionInfo(coll);
+    });
+}
+
+/**
+ * Removes a dynamic view.
+ * 
+ * @param {string} collection 
+ * @param {string} viewname 
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processRemoveDynamicView(serviceName, filename, collection, viewname, callback) {
+    withSchemaChanges(serviceName, filename, callback, function(db) {
+        var coll = getCollection(db, collection);
+
+        getDynamicView(coll, viewname);
+        coll.removeDynamicView(viewname);
+
+        return getCollectionInfo(coll);
+    });
+}
+
+/**
+ * Looks up the change feed of a database instance, failing if change feeds are disabled
+ * @param {object} entry - database registry entry
+ */
+function getChangeFeed(entry) {
+    if (!entry.changes) {
+        throw new LokiServiceError(errorCodes.OPERATION_NOT_PERMITTED, "Change feed is disabled (changeFeedSize is 0)");
+    }
+
+    return entry.changes;
+}
+
+/**
+ * Returns change records (inserts, updates and deletes) recorded after a sequence number.
+ * 
+ * @param {string=} collection - only return changes to this collection (null/empty for all collections)
+ * @param {int} seq - last sequence number the caller has seen (0 for all retained changes)
+ * @param {int=} limit - maximum number of changes to return
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processChangesSince(serviceName, filename, collection, seq, limit, callback) {
+    withDatabase(serviceName, filename, callback, function(db, entry) {
+        if (collection) {
+            getCollection(db, collection);
+        }
+
+        return getChangeFeed(entry).since(parseInt(seq, 10) || 0, collection, parseInt(limit, 10) || 0);
+    });
+}
+
+/**
+ * Long poll variant of processChangesSince, which waits up to timeout ms for changes to arrive
+ * before responding (with no changes).
+ * 
+ * @param {string=} collection - only return changes to this collection (null/empty for all collections)
+ * @param {int} seq - last sequence number the caller has seen
+ * @param {int=} limit - maximum number of changes to return
+ * @param {int=} timeout - milliseconds to wait (defaults to changeFeedWaitTimeout, capped at changeFeedMaxWaitTimeout)
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processWaitForChanges(serviceName, filename, collection, seq, limit, timeout, callback) {
+    getDatabase(serviceName, filename, function(err, db) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var feed;
+
+        try {
+            if (collection) {
+                getCollection(db, collection);
+            }
+
+            feed = getChangeFeed(databaseRegistry[serviceName][filename]);
+        }
+        catch (err) {
+            callback(err);
+            return;
+        }
+
+        timeout = parseInt(timeout, 10) || serviceOptions.changeFeedWaitTimeout;
+        timeout = Math.min(timeout, serviceOptions.changeFeedMaxWaitTimeout);
+
+        // do not hold up a shutdown which began while we were waiting for the instance
+        if (shutdownState) {
+            callback(null, feed.since(parseInt(seq, 10) || 0, collection, parseInt(limit, 10) || 0));
+            return;
+        }
+
+        feed.wait(parseInt(seq, 10) || 0, collection, parseInt(limit, 10) || 0, timeout, function(result) {
+            callback(null, result);
+        });
+    });
+}
+
+/**
+ * Gathers process level stats along with request stats accumulated across all instances.
+ */
+function processStats() {
+    var pmu = process.memoryUsage();
+    serviceStats.memoryUsage = {
+        rss: pmu.rss,
+        rssText : formatBytes(pmu.rss),
+        heapTotal: pmu.heapTotal,
+        heapTotalText: formatBytes(pmu.heapTotal),
+        heapUsed: pmu.heapUsed,
+        heapUsedText: formatBytes(pmu.heapUsed)
+    }
+
+    serviceStats.instanceNames = [];
+    for (var initName in databaseRegistry) {
+        for (var instName in databaseRegistry[initName]) {
+            serviceStats.instanceNames.push({ 
+                initializerName: initName, 
+                instanceName: instName,
+                initializing: databaseRegistry[initName][instName].instance === null
+            });
+        }
+    }
+
+    serviceStats.nodeUptime = process.uptime();
+    var cpuUsage = process.cpuUsage();
+    serviceStats.cpuUsageUser = cpuUsage.user / 1e3;
+    serviceStats.cpuUsageSystem = cpuUsage.system / 1e3;
+    serviceStats.cpuUsage = "user: " + serviceStats.cpuUsageUser + "ms; system :" + serviceStats.cpuUsageSystem + "ms";
+
+    serviceStats.latency = {
+        byOperation: requestMetrics.summarize("operation"),
+        byInstance: requestMetrics.summarize("filename"),
+        errors: requestMetrics.errorCounts()
+    };
+
+    serviceStats.slowQueries = {
+        threshold: serviceOptions.slowQueryThreshold,
+        count: requestMetrics.slowRequestCount,
+        recent: requestMetrics.slowRequests.slice()
+    };
+
+    return serviceStats;
+}
+
+/**
+ * Renders service, instance and request metrics in the Prometheus text exposition format
+ * @returns {string}
+ */
+function processMetrics() {
+    var pmu = process.memoryUsage();
+    var instances = [], documents = [];
+
+    for (var initName in databaseRegistry) {
+        for (var instName in databaseRegistry[initName]) {
+            var entry = databaseRegistry[initName][instName];
+
+            if (entry.instance === null) {
+                continue;
+            }
+
+            instances.push(entry);
+
+            entry.instance.collections.forEach(function(coll) {
+                documents.push({ 
+                    labels: { service: initName, database: instName, collection: coll.name }, 
+                    value: coll.count() 
+                });
+            });
+        }
+    }
+
+    function family(name, help, type, value) {
+        return { name: "lokiservice_" + name, help: help, type: type, samples: [{ value: value }] };
+    }
+
+    return metrics.renderPrometheus(requestMetrics.families("lokiservice_").concat([
+        family("requests_in_flight", "Requests started but not yet completed", "gauge", inFlightRequests),
+        family("instances", "Database instances loaded", "gauge", instances.length),
+        family("evictions_total", "Instances unloaded by idle or heap based eviction", "counter", serviceStats.evictions),
+        family("slow_requests_total", "Requests at or above the slow query threshold", "counter", requestMetrics.slowRequestCount),
+        { 
+            name: "lokiservice_collection_documents", 
+            help: "Documents in each collection of loaded instances", 
+            type: "gauge", 
+            samples: documents 
+        },
+        family("process_resident_memory_bytes", "Resident set size", "gauge", pmu.rss),
+        family("process_heap_used_bytes", "V8 heap used", "gauge", pmu.heapUsed),
+        family("process_uptime_seconds", "Process uptime", "gauge", process.uptime())
+    ]));
+}
+
+/**
+ * Summarizes a collection's structure (indices, transforms, dynamic views) and state
+ * @param {Collection} coll 
+ */
+function getCollectionInfo(coll) {
+    var rs = {
+        name: coll.name,
+        count: coll.count(),
+        dirty: coll.dirty,
+        clone: coll.cloneObjects,
+        adaptiveBinaryIndices: coll.adaptiveBinaryIndices,
+        binaryIndices: Object.keys(coll.binaryIndices),
+        uniqueIndices: coll.uniqueNames,
+        transforms: Object.keys(coll.transforms),
+        dynamicViews: [],
+        fullTextIndex: searchIndexes.has(coll) ? searchIndexes.get(coll).info() : null,
+        // loki's own ttl daemon (collection 'ttl' option), as opposed to the initializer's 'ttl' setting
+        ttl: coll.ttl && coll.ttl.age > 0 ? { age: coll.ttl.age, interval: coll.ttl.ttlInterval } : null
+    };
+
+    coll.DynamicViews.forEach(dv => {
+        rs.dynamicViews.push(dv.name);
+    });
+
+    return rs;
+}
+
+/**
+ * Describes an instance's persistence : its adapter, loads and saves made through it (and their 
+ * failures), and its journal if it keeps one.  Null if the instance has no persistence adapter.
+ * 
+ * @param {object} entry - database registry entry
+ */
+function getPersistenceInfo(entry) {
+    if (!entry.persistence) {
+        return null;
+    }
+
+    return Object.assign({}, entry.persistence, {
+        journal: entry.journal ? entry.journal.info() : null
+    });
+}
+
+/**
+ * Gathers stats and structure info (collections, indices, transforms, views) for a registered instance.
+ * Returns null if the instance has not been loaded.
+ * 
+ * @param {string} serviceName 
+ * @param {string} filename 
+ */
+function processInstanceStats(serviceName, filename) {
+    if (!databaseRegistry.hasOwnProperty(serviceName)) return null;
+    if (!databaseRegistry[serviceName].hasOwnProperty(filename)) return null;
+    if (databaseRegistry[serviceName][filename].instance === null) return null;
+
+    var dbinst = databaseRegistry[serviceName][filename].instance;
+
+    function isInstance(labels) {
+        return labels.serviceName === serviceName && labels.filename === filename;
+    }
+
+    var resultStats = {
+        serviceName: serviceName,
+        filename: filename,
+        autosave: dbinst.autosave,
+        autosaveInterval: dbinst.autosaveInterval,
+        throttledSaves :  dbinst.throttledSaves,
+        databaseVersion:  dbinst.databaseVersion,
+        requestStats: databaseRegistry[serviceName][filename].stats,
+        latency: {
+            byOperation: requestMetrics.summarize("operation", isInstance),
+            byCollection: requestMetrics.summarize("collection", function(labels) {
+                return isInstance(labels) && labels.collection !== null;
+            }),
+            errors: requestMetrics.errorCounts(isInstance)
+        },
+        snapshots: Object.assign({ 
+            policy: databaseRegistry[serviceName][filename].initializer.snapshotPolicy || null 
+        }, databaseRegistry[serviceName][filename].snapshotStats),
+        persistence: getPersistenceInfo(databaseRegistry[serviceName][filename]),
+        ttl: databaseRegistry[serviceName][filename].ttlStats || null,
+        jobs: databaseRegistry[serviceName][filename].jobStats || {},
+        collectionInfo: []
+    }
+
+    dbinst.collections.forEach(function(coll) {
+        resultStats.collectionInfo.push(getCollectionInfo(coll));
+    }, this);
+
+    return resultStats;
+}
+
+/**
+ * Applies service wide options (see serviceOptions for available settings and defaults).
+ * Returns the resulting options.
+ * 
+ * @param {object|string} options - (JSON encoded) object containing the options to change
+ */
+function processConfigure(options) {
+    Object.assign(serviceOptions, parseParam(options) || {});
+
+    scheduleEviction();
+
+    return serviceOptions;
+}
+
+/**
+ * Opens (initializing if necessary) an instance ahead of any requests for it, returning its lifecycle info.
+ * 
+ * @param {string} serviceName 
+ * @param {string} filename 
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processOpen(serviceName, filename, callback) {
+    withDatabase(serviceName, filename, callback, function() {
+        return getInstanceInfo(serviceName, filename);
+    });
+}
+
+/**
+ * Flushes unsaved changes and closes an instance, removing it from the registry.  The next request
+ * for it will run the initializer again.  An instance which is still initializing is closed once 
+ * it is ready.
+ * 
+ * @param {string} serviceName 
+ * @param {string} filename 
+ * @param {function} callback - callback up to module export/aspnet nodeservices, passed { closed } 
+ *   where closed is false if the instance was not open
+ */
+function processClose(serviceName, filename, callback) {
+    whenSettled(serviceName, filename, function(entry) {
+        if (!entry) {
+            callback(null, { serviceName: serviceName, filename: filename, closed: false });
+            return;
+        }
+
+        unloadInstance(serviceName, filename, true, function(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, { serviceName: serviceName, filename: filename, closed: true });
+        });
+    });
+}
+
+/**
+ * Discards an instance (and any changes not yet saved) and runs its initializer again, 
+ * returning its lifecycle info.
+ * 
+ * @param {string} serviceName 
+ * @param {string} filename 
+ * @param {function} callback - callback up to module export/aspnet nodeservices
+ */
+function processReload(serviceName, filename, callback) {
+    whenSettled(serviceName, filename, function(entry) {
+        if (!entry) {
+            processOpen(serviceName, filename, callback);
+            return;
+        }
+
+        unloadInstance(serviceName, filename, false, function() {
+            processOpen(serviceName, filename, callback);
+        });
+    });
+}
+
+/**
+ * Determines the directory an instance's snapshots are kept in : its initializer's snapshotPolicy 
+ * directory, else the service wide snapshotDirectory, else that of the database file.
+ * 
+ * @param {object} entry - database registry entry
+ * @param {string} filename 
+ */
+function snapshotDirectory(entry, filename) {
+    var policy = entry.initializer.snapshotPolicy || {};
+
+    return snapshots.snapshotDirectory(filename, policy.directory || serviceOptions.snapshotDirectory);
+}
+
+/**
+ * Validates the collections a snapshot should include, throwing if any do not exist
+ * @param {Loki} db 
+ * @param {array=} collections - collection names (default all)
+ * @returns {array} collection names, or undefined for all
+ */
+function snapshotCollections(db, collections) {
+    if (collections === undefined || collections === null) {
+        return undefined;
+    }
+
+    if (!Array.isArray(collections) || !collections.length) {
+        throw new LokiServiceError(errorCodes.INVALID_QUERY, "Snapshot collections must be a (non empty) array of collection names");
+    }
+
+    collections.forEach(function(name) {
+        getCollection(db, name);
+    });
+
+    return collections;
+}
+
+/**
+ * Writes a snapshot of a registered (open) instance, recording the outcome in its snapshot stats.
+ * The database is serialized synchronously, so the snapshot reflects a single point in time.
+ * 
+ * @param {object} entry - database registry entry
+ * @param {string} filename 
+ * @param {object} options - { collections, gzip, label }
+ * @param {function} callback - node-style (err, snapshot) callback
+ */
+function takeSnapshot(entry, filename, options, callback) {
+    var db = entry.instance;
+    var directory = snapshotDirectory(entry, filename);
+    var collections;
+    var serialized;
+
+    function failed(err) {
+        entry.snapshotStats.lastError = { timestamp: (new Date()).getTime(), message: err.message };
+        callback(err);
+    }
+
+    try {
+        collections = snapshotCollections(db, options.collections);
+        serialized = snapshots.serialize(db, collections);
+    }
+    catch (err) {
+        failed(err);
+        return;
+    }
+
+    snapshots.writeSnapshot(directory, filename, serialized, options, function(err, snapshot) {
+        if (err) {
+            failed(new LokiServiceError(errorCodes.INTERNAL_ERROR, "Unable to write snapshot : " + err.message));
+            return;
+        }
+
+        snapshot.directory = directory;
+        snapshot.collections = collections || db.collections.map(function(coll) {
+            return coll.name;
+        });
+
+        entry.snapshotStats.taken++;
+        entry.snapshotStats.lastSnapshot = snapshot;
+
+        callback(null, snapshot);
+    });
+}
+
+/**
+ * Starts taking snapshots of a newly registered instance on the schedule its initializer exports 
+ * as 'snapshotPolicy' (descriptors : top level 'snapshotPolicy') :
+ * {
+ *     interval: 3600000,        // milliseconds between snapshots
+ *     retain: 24,               // number of scheduled snapshots to keep (0 to keep all)
+ *     gzip: true,               // compress snapshot files
+ *     collections: ["users"],   // collections to include (default all)
+ *     directory: "snapshots"    // directory to write them to (default see serviceOptions.snapshotDirectory)
+ * }
+ * Scheduled snapshots are labelled "auto" and retention only ever removes those.
+ * 
+ * @param {string} serviceName 
+ * @param {string} filename 
+ * @param {object} entry - database registry entry
+ */
+function scheduleSnapshots(serviceName, filename, entry) {
+    var policy = entry.initializer.snapshotPolicy;
+
+    if (!policy || !(policy.interval > 0)) {
+        return;
+    }
+
+    entry.snapshotTimer = setInterval(function() {
+        // skip while the instance is being closed or restored
+        if (entry.closing) {
+            return;
+        }
+
+        takeSnapshot(entry, filename, { label: "auto", gzip: policy.gzip, collections: policy.collections }, function(err) {
+            if (err || !(policy.retain > 0)) {
+                return;
+            }
+
+            snapshots.pruneSnapshots(snapshotDirectory(entry, filename), filename, "auto", policy.retain, function(err) {
+                if (err) {
+                    entry.snapshotStats.lastError = { 
+                        timestamp: (new Date()).getTime(), 
+                        message: "Unable to remove old snapshots : " + err.message 
+                    };
+                }
+            });
+        });
+    }, policy.interval);
+
+    // snapshots should never keep the process alive on their own
+    entry.snapshotTimer.unref();
+}
+
+/**
+ * Writes a snapshot of an instance (or selected collections of it) to a timestamped file in its 
+ * snapshot directory, see lokiservice-snapshots.js.
+ * 
+ * @param {string} serviceName 
+ * @param {string} filename 
+ * @param {object|string} options - (JSON encoded) { collections, gzip, label } (all optional)
+ * @param {function} callback - callback up to module export/aspnet nodeservices, passed 
+ *   { serviceName, filename, name, label, timestamp, gzip, bytes, directory, collections }
+ */
+function processSnapshot(serviceName, filename, options, callback) {
+    options = parseParam(options) || {};
+
+    if (options.label !== undefined && !snapshots.isValidLabel(options.label)) {
+        callback(new LokiServiceError(errorCodes.INVALID_QUERY, "Snapshot labels may only contain letters, digits, '_' and '-'"));
+        return;
+    }
+
+    getDatabase(serviceName, filename, function(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var entry = databaseRegistry[serviceName][filename];
+
+        takeSnapshot(entry, filename, { collections: options.collections, gzip: !!options.gzip, label: options.label }, function(err, snapshot) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, Object.assign({ serviceName: serviceName, filename: filename }, snapshot));
+        });
+    });
+}
+
+/**
+ * Lists an instance's snapshots, newest first.
+ * 
+ * @param {string} serviceName 
+ * @param {string} filename 
+ * @param {function} callback - callback up to module export/aspnet nodeservices, passed 
+ *   { serviceName, filename, directory, snapshots: [ { name, label, timestamp, gzip, bytes } ] }
+ */
+function processListSnapshots(serviceName, filename, callback) {
+    getDatabase(serviceName, filename, function(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var directory = snapshotDirectory(databaseRegistry[serviceName][filename], filename);
+
+        snapshots.listSnapshots(directory, filename, function(err, list) {
+            if (err) {
+                callback(new LokiServiceError(errorCodes.INTERNAL_ERROR, "Unable to list snapshots : " + err.message));
+                return;
+            }
+
+            callback(null, { serviceName: serviceName, filename: filename, directory: directory, snapshots: list });
+        });
+    });
+}
+
+/**
+ * Replaces an instance's data with that of a snapshot : the snapshot (merged with the current state, 
+ * for snapshots of selected collections) is saved through the instance's persistence adapter, then 
+ * the instance is unloaded and its initializer run again so transforms and dynamic views are set up 
+ * as usual.  Other requests for the instance are held until the restore completes.
+ * 
+ * @param {string} serviceName 
+ * @param {string} filename 
+ * @param {string=} snapshotName - name of the snapshot (as listed by listSnapshots), default the latest
+ * @param {function} callback - callback up to module export/aspnet nodeservices, passed the instance's 
+ *   lifecycle info (see open) along with the snapshot restored and restoredCollections
+ */
+function processRestore(serviceName, filename, snapshotName, callback) {
+    processListSnapshots(serviceName, filename, function(err, listing) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        // only snapshots we listed may be restored, so names cannot reach outside the snapshot directory
+        var snapshot = listing.snapshots.filter(function(s) {
+            return !snapshotName || s.name === snapshotName;
+        })[0];
+
+        if (!snapshot) {
+            callback(new LokiServiceError(errorCodes.SNAPSHOT_NOT_FOUND, 
+                snapshotName ? "Snapshot not found : " + snapshotName : "No snapshots have been taken of " + filename));
+            return;
+        }
+
+        snapshots.readSnapshot(listing.directory, snapshot, function(err, dbObject) {
+            if (err) {
+                callback(new LokiServiceError(errorCodes.INTERNAL_ERROR, "Unable to read snapshot : " + err.message));
+                return;
+            }
+
+            // the instance may have been closed (or be closing) while we read the snapshot
+            getDatabase(serviceName, filename, function(err, db) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                restoreInstance(serviceName, filename, db, snapshot, dbObject, callback);
+            });
+        });
+    });
+}
+
+/**
+ * Performs the (held) part of a restore once the snapshot has been read, see processRestore
+ * 
+ * @param {string} serviceName 
+ * @param {string} filename 
+ * @param {Loki} db - registered instance
+ * @param {object} snapshot - snapshot description, see lokiservice-snapshots.js
+ * @param {object} dbObject - parsed snapshot
+ * @param {function} callback 
+ */
+function restoreInstance(serviceName, filename, db, snapshot, dbObject, callback) {
+    var entry = databaseRegistry[serviceName][filename];
+
+    if (!db.persistenceMethod) {
+        callback(new LokiServiceError(errorCodes.OPERATION_NOT_PERMITTED, 
+            "Snapshots can not be restored to an instance without a persistence adapter"));
+        return;
+    }
+
+    // hold other requests until the restored instance has been initialized
+    entry.closing = [];
+
+    function failed(err) {
+        // discard whatever we loaded, the next request initializes from the persisted state
+        unloadInstance(serviceName, filename, false, function() {
+            callback(err);
+        });
+    }
+
+    var restored = dbObject.snapshotCollections || dbObject.collections.map(function(coll) {
+        return coll.name;
+    });
+
+    try {
+        // snapshots of selected collections replace just those collections
+        if (dbObject.snapshotCollections) {
+            var current = JSON.parse(snapshots.serialize(db));
+
+            current.collections = current.collections.filter(function(coll) {
+                return restored.indexOf(coll.name) === -1;
+            }).concat(dbObject.collections);
+
+            dbObject = current;
+        }
+
+        db.loadJSONObject(dbObject, {});
+    }
+    catch (err) {
+        failed(new LokiServiceError(errorCodes.INTERNAL_ERROR, "Unable to load snapshot : " + err.message));
+        return;
+    }
+
+    db.saveDatabase(function(err) {
+        if (err) {
+            failed(new LokiServiceError(errorCodes.INTERNAL_ERROR, "Unable to save restored database : " + err.message));
+            return;
+        }
+
+        unloadInstance(serviceName, filename, false, function() {
+            processOpen(serviceName, filename, function(err, info) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                callback(null, Object.assign(info, { restored: snapshot, restoredCollections: restored }));
+            });
+        });
+    });
+}
+
+/**
+ * Saves an instance if it has unsaved changes, reporting the number of bytes written (when the
+ * persistence adapter is handed a serialized database, null otherwise).
+ * 
+ * @param {Loki} db 
+ * @param {function} callback - node-style (err, result) callback, result being { saved, bytes }
+ */
+function flushInstance(db, callback) {
+    if (!hasUnsavedChanges(db)) {
+        callback(null, { saved: false, bytes: 0 });
+        return;
+    }
+
+    var serialize = db.serialize;
+    var bytes = null;
+
+    // measure what loki hands the adapter, rather than serializing the database a second time
+    db.serialize = function() {
+        var serialized = serialize.apply(db, arguments);
+
+        if (typeof serialized === "string") {
+            bytes = Buffer.byteLength(serialized);
+        }
+
+        return serialized;
+    };
+
+    db.saveDatabase(function(err) {
+        delete db.serialize;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, { saved: true, bytes: bytes });
+    });
+}
+
+/**
+ * Returns the documents a remove or update job applies to : those of its collection matching its 
+ * query (default all), or returned by its transform.  Jobs are declared by the initializer, so raw 
+ * transform steps are not subject to its transformPolicy.
+ * 
+ * @param {object} entry - database registry entry
+ * @param {Collection} coll 
+ * @param {object} job - job declaration, see lokiservice-maintenance.js
+ */
+function jobDocuments(entry, coll, job) {
+    if (job.transform === undefined || job.transform === null) {
+        return coll.find(job.query || {});
+    }
+
+    var params;
+
+    checkTransform(coll, job.transform);
+
+    if (typeof job.transform === "string") {
+        params = prepareTransform(entry, coll, job.transform, job.params || undefined);
+    }
+    else {
+        var resolved = transforms.resolveParams(job.transform, job.params || undefined, null);
+
+        if (resolved.errors.length) {
+            throw new LokiServiceError(errorCodes.INVALID_QUERY, "Invalid transform parameters : " + resolved.errors.join("; "));
+        }
+
+        params = resolved.params;
+    }
+
+    return coll.chain().transform(job.transform, params).data();
+}
+
+/**
+ * Reports the documents of a batch which could not be changed, as the error of the run making it
+ * @param {object} batchResult - see processBatch
+ * @param {string} action - what was done to the documents ("removed", "updated")
+ * @returns {LokiServiceError|null} null if every document was changed
+ */
+function batchFailure(batchResult, action) {
+    if (!batchResult.summary.failed) {
+        return null;
+    }
+
+    var first = batchResult.results.filter(function(result) {
+        return !result.ok;
+    })[0].error;
+
+    return new LokiServiceError(first.code, batchResult.summary.failed + " of " + batchResult.summary.total + 
+        " documents could not be " + action + " : " + first.message);
+}
+
+/**
+ * Runs a maintenance job once, see lokiservice-maintenance.js for the types of job
+ * 
+ * @param {object} entry - database registry entry
+ * @param {object} job - job declaration
+ * @param {function} callback - node-style (err, result) callback
+ */
+function runJob(entry, job, callback) {
+    var db = entry.instance;
+    var coll = job.collection ? getCollection(db, job.collection) : null;
+    var batchResult;
+
+    switch (job.type) {
+        case "remove":
+            batchResult = processBatch(jobDocuments(entry, coll, job), function(doc) {
+                var id = doc.$loki;
+
+                removeDocument(coll, id, entry, currentRevision(coll.get(id)));
+
+                return { $loki: id };
+            });
+
+            callback(batchFailure(batchResult, "removed"), { 
+                matched: batchResult.summary.total, 
+                removed: batchResult.summary.succeeded 
+            });
+            break;
+
+        case "update":
+            // function patches are given copies, so they can not change documents behind the service's back
+            var updates = jobDocuments(entry, coll, job).map(function(doc) {
+                var patch = typeof job.patch === "function" ? job.patch(JSON.parse(JSON.stringify(doc))) : job.patch;
+
+                return { id: doc.$loki, patch: patch };
+            });
+
+            // function patches may leave documents unchanged by returning nothing
+            var matched = updates.length;
+
+            updates = updates.filter(function(update) {
+                return update.patch !== null && typeof update.patch === "object";
+            });
+
+            batchResult = processBatch(updates, function(update) {
+                var obj = Object.assign({}, update.patch, { $loki: update.id });
+
+                delete obj.meta;
+
+                return updateDocument(coll, obj, entry, currentRevision(coll.get(update.id)));
+            });
+
+            callback(batchFailure(batchResult, "updated"), { 
+                matched: matched, 
+                updated: batchResult.summary.succeeded 
+            });
+            break;
+
+        case "rematerialize":
+            var views = job.views || coll.DynamicViews.map(function(dv) {
+                return dv.name;
+            });
+
+            views.map(function(viewname) {
+                return getDynamicView(coll, viewname);
+            }).forEach(function(dv) {
+                dv.rematerialize();
+            });
+
+            callback(null, { views: views });
+            break;
+
+        case "compact":
+            flushInstance(db, callback);
+            break;
+    }
+}
+
+/**
+ * Runs a maintenance job (or ttl sweep) of a registered instance, recording the run in its stats.  
+ * Runs are skipped while the instance is being closed or restored, and while the previous run has 
+ * not yet completed.
+ * 
+ * @param {object} entry - database registry entry
+ * @param {object} stats - run statistics of the job, see lokiservice-maintenance.js
+ * @param {function} fn - function(callback) performing the run, calling back node-style (err, result)
+ */
+function runMaintenance(entry, stats, fn) {
+    if (entry.closing || stats.running) {
+        return;
+    }
+
+    var startedAt = (new Date()).getTime();
+    var finished = false;
+
+    function done(err, result) {
+        if (finished) return;
+        finished = true;
+
+        maintenance.recordRun(stats, startedAt, err ? toServiceError(err, {}) : null, result, serviceOptions.jobHistorySize);
+    }
+
+    stats.running = true;
+
+    try {
+        fn(done);
+    }
+    catch (err) {
+        done(err);
+    }
+}
+
+/**
+ * Removes the documents of an instance which have expired according to its initializer's 'ttl' 
+ * setting, see lokiservice-maintenance.js.  Collections which do not (yet) exist are skipped.
+ * 
+ * @param {object} entry - database registry entry
+ * @param {function} callback - node-style (err, result) callback, result being { removed } by collection
+ */
+function sweepExpired(entry, callback) {
+    var ttl = entry.initializer.ttl;
+    var now = (new Date()).getTime();
+    var result = { removed: {} };
+    var err = null;
+
+    Object.keys(ttl).forEach(function(name) {
+        var coll = entry.instance.getCollection(name);
+
+        if (coll === null) {
+            return;
+        }
+
+        var expired = coll.where(function(doc) {
+            return maintenance.isExpired(doc, ttl[name], now);
+        });
+
+        var batchResult = processBatch(expired, function(doc) {
+            var id = doc.$loki;
+
+            removeDocument(coll, id, entry, currentRevision(doc));
+
+            return { $loki: id };
+        });
+
+        result.removed[name] = batchResult.summary.succeeded;
+        entry.ttlStats.collections[name].removed += batchResult.summary.succeeded;
+
+        err = err || batchFailure(batchResult, "removed from " + name);
+    });
+
+    callback(err, result);
+}
+
+/**
+ * Starts the ttl sweep and maintenance jobs of a newly registered instance, as declared by its 
+ * initializer's 'ttl' and 'jobs' settings (descriptors : collection 'ttl' and top level 'jobs', see 
+ * lokiservice-maintenance.js).  Their runs are reported by instanceStats.
+ * 
+ * @param {object} entry - database registry entry
+ */
+function scheduleMaintenance(entry) {
+    var ttl = entry.initializer.ttl || {};
+    var jobs = entry.initializer.jobs || {};
+
+    entry.maintenanceTimers = [];
+    entry.ttlStats = null;
+    entry.jobStats = {};
+
+    function schedule(stats, interval, fn) {
+        var timer = setInterval(function() {
+            runMaintenance(entry, stats, fn);
+        }, interval);
+
+        // maintenance should never keep the process alive on its own
+        timer.unref();
+        entry.maintenanceTimers.push(timer);
+    }
+
+    if (Object.keys(ttl).length && serviceOptions.ttlSweepInterval > 0) {
+        entry.ttlStats = maintenance.createJobStats({ type: "ttl", interval: serviceOptions.ttlSweepInterval });
+        entry.ttlStats.collections = {};
+
+        Object.keys(ttl).forEach(function(name) {
+            entry.ttlStats.collections[name] = { 
+                field: maintenance.ttlField(ttl[name]), 
+                age: ttl[name].age || null, 
+                removed: 0 
+            };
+        });
+
+        schedule(entry.ttlStats, serviceOptions.ttlSweepInterval, function(callback) {
+            sweepExpired(entry, callback);
+        });
+    }
+
+    Object.keys(jobs).forEach(function(name) {
+        entry.jobStats[name] = maintenance.createJobStats(jobs[name]);
+
+        schedule(entry.jobStats[name], jobs[name].interval, function(callback) {
+            runJob(entry, jobs[name], callback);
+        });
+    });
+}
+
+/**
+ * Shuts the service down : new requests are refused (SERVICE_UNAVAILABLE), long polls are answered, 
+ * in-flight requests are allowed to complete, then every instance with unsaved changes is saved and 
+ * all instances are closed and unregistered.
+ * 
+ * Callback is invoked exactly once (also for callers which request shutdown while it is already 
+ * underway, or after it completed) with a report :
+ * {
+ *     completed: true,        // false if shutdownTimeout expired first
+ *     instances: [ { serviceName, filename, saved, bytes, error, durationMS } ]
+ * }
+ * 
+ * @param {function} callback - accepting the shutdown report
+ */
+function processShutdown(callback) {
+    if (shutdownState) {
+        if (shutdownState.waiting) {
+            shutdownState.waiting.push(callback);
+        }
+        else {
+            callback(shutdownState.report);
+        }
+        return;
+    }
+
+    var report = { completed: false, instances: [] };
+    var timer = null;
+    var pending = 1;
+
+    shutdownState = { waiting: [callback], report: report, drained: null };
+
+    function finish(completed) {
+        if (!shutdownState.waiting) return;
+
+        if (timer) {
+            clearTimeout(timer);
+        }
+
+        report.completed = completed;
+
+        var waiting = shutdownState.waiting;
+        shutdownState.waiting = null;
+
+        waiting.forEach(function(cb) {
+            cb(report);
+        });
+    }
+
+    function instanceDone() {
+        if (--pending === 0) {
+            finish(true);
+        }
+    }
+
+    if (serviceOptions.shutdownTimeout > 0) {
+        timer = setTimeout(function() {
+            // requests are still draining, start saving regardless so the saves at least get underway
+            if (shutdownState.drained) {
+                shutdownState.drained = null;
+                flushAll();
+            }
+
+            report.instances.forEach(function(result) {
+                if (result.durationMS === null) {
+                    result.error = "Shutdown timed out after " + serviceOptions.shutdownTimeout + "ms";
+                }
+            });
+
+            finish(false);
+        }, serviceOptions.shutdownTimeout);
+    }
+
+    if (evictionTimer) {
+        clearInterval(evictionTimer);
+        evictionTimer = null;
+    }
+
+    // answer any long polls so they do not hold up draining
+    for (var initName in databaseRegistry) {
+        for (var instName in databaseRegistry[initName]) {
+            if (databaseRegistry[initName][instName].changes) {
+                databaseRegistry[initName][instName].changes.close();
+            }
+        }
+    }
+
+    function flushAll() {
+        listInstances().forEach(function(info) {
+            var result = {
+                serviceName: info.serviceName,
+                filename: info.filename,
+                saved: false,
+                bytes: 0,
+                error: null,
+                durationMS: null
+            };
+            var started = (new Date()).getTime();
+
+            report.instances.push(result);
+            pending++;
+
+            // instances being closed (e.g. evicted) or initialized have nothing of ours in flight, so let them settle
+            whenSettled(info.serviceName, info.filename, function(entry) {
+                if (!entry) {
+                    result.durationMS = (new Date()).getTime() - started;
+                    instanceDone();
+                    return;
+                }
+
+                logEvent("closing", "closing : " + info.filename, { serviceName: info.serviceName, filename: info.filename });
+
+                flushInstance(entry.instance, function(err, flushed) {
+                    if (err) {
+                        result.error = err.message;
+                    }
+                    else {
+                        result.saved = flushed.saved;
+                        result.bytes = flushed.bytes;
+                    }
+
+                    // unsaved changes (if the save failed) are lost here, which the report reflects
+                    unloadInstance(info.serviceName, info.filename, false, function() {
+                        result.durationMS = (new Date()).getTime() - started;
+                        instanceDone();
+                    });
+                });
+            });
+        });
+
+        instanceDone();
+    }
+
+    if (inFlightRequests === 0) {
+        flushAll();
+    }
+    else {
+        shutdownState.drained = flushAll;
+    }
+}
+
+/**
+ * Installs SIGINT and SIGTERM handlers which shut the service down (saving all instances) and then 
+ * exit the process, with exit code 1 if shutdown did not complete or any instance failed to save.
+ * 
+ * @param {object=} options
+ * @param {array=} options.signals - signals to handle (default ["SIGINT", "SIGTERM"])
+ * @param {boolean=} options.exit - exit the process once shutdown completes (default true)
+ * @param {function=} options.onShutdown - invoked with the shutdown report before exiting
+ * @returns {function} removes the installed handlers
+ */
+function handleSignals(options) {
+    options = Object.assign({ signals: ["SIGINT", "SIGTERM"], exit: true }, options);
+
+    function handler(signal) {
+        logEvent("signal", "received " + signal + ", shutting down", { signal: signal });
+
+        processShutdown(function(report) {
+            if (typeof options.onShutdown === "function") {
+                options.onShutdown(report);
+            }
+
+            var failed = !report.completed || report.instances.some(function(result) { return result.error; });
+
+            if (options.exit) {
+                process.exit(failed ? 1 : 0);
+            }
+        });
+    }
+
+    options.signals.forEach(function(signal) {
+        process.on(signal, handler);
+    });
+
+    return function() {
+        options.signals.forEach(function(signal) {
+            process.removeListener(signal, handler);
+        });
+    };
+}
+
+/**
+ * Returns the (high resolution) time a request started, in milliseconds
+ * @param {string} statName 
+ */
+function startTiming(statName) {
+    var start = process.hrtime();
+    return start[0] * 1e3 + start[1] / 1e6
+}
+
+/**
+ * Accumulates the duration of a request into service and instance request stats
+ * @param {number} startTimeMS - as returned by startTiming
+ * @param {string} statName - request stat category
+ * @param {string} serviceName 
+ * @param {string} filename 
+ * @returns {number} duration of the request in milliseconds
+ */
+function stopTiming(startTimeMS, statName, serviceName, filename) {
+    var end = process.hrtime();
+    var endMS = end[0] * 1e3 + end[1] / 1e6;
+    var totalMS = endMS - startTimeMS;
+
+    serviceStats.requestStats.totalRequests++;
+    serviceStats.requestStats.totalTime += totalMS;
+    serviceStats.requestStats[statName + "Requests"] += 1;
+    serviceStats.requestStats[statName + "Time"] += totalMS;
+
+    // requests which failed to initialize the database have no instance stats to accumulate to
+    if (!databaseRegistry[serviceName] || !databaseRegistry[serviceName][filename]) {
+        return totalMS;
+    }
+
+    databaseRegistry[serviceName][filename].stats.totalRequests++;
+    databaseRegistry[serviceName][filename].stats.totalTime += totalMS;
+    databaseRegistry[serviceName][filename].stats[statName + "Requests"]++;
+    databaseRegistry[serviceName][filename].stats[statName + "Time"] += totalMS;
+
+    return totalMS;
+}
+
+/**
+ * Describes the arguments of a request (those after serviceName, filename and collection) for the 
+ * slow request log, e.g. the query or transform it ran.
+ * 
+ * @param {string} operation - name of the export invoked
+ * @param {array} args - export arguments
+ */
+function describeRequest(operation, args) {
+    var text = args.slice(databaseOperations.hasOwnProperty(operation) ? 2 : 3).map(function(arg) {
+        if (typeof arg === "string") {
+            return arg;
+        }
+
+        if (arg !== null && typeof arg === "object" && typeof arg.pipe === "function") {
+            return "[stream]";
+        }
+
+        try {
+            return JSON.stringify(arg) || String(arg);
+        }
+        catch (err) {
+            return "[unserializable]";
+        }
+    }).join(", ");
+
+    return text.length > slowQueryTextLimit ? text.substr(0, slowQueryTextLimit) + "..." : text;
+}
+
+/**
+ * Records the latency (and error, if any) of a completed request, logging it if it was slow
+ * 
+ * @param {object} context - request context (operation, serviceName, filename, collection)
+ * @param {array} args - export arguments
+ * @param {number} durationMS 
+ * @param {LokiServiceError=} err - error the request failed with
+ */
+function recordRequest(context, args, durationMS, err) {
+    var labels = Object.assign({}, context);
+
+    // names of collections which do not exist are not kept, so requests for them can not grow the metrics
+    if (err && err.code === errorCodes.COLLECTION_NOT_FOUND) {
+        labels.collection = null;
+    }
+
+    requestMetrics.record(labels, durationMS, err ? err.code : null);
+
+    if (!(serviceOptions.slowQueryThreshold > 0) || durationMS < serviceOptions.slowQueryThreshold) {
+        return;
+    }
+
+    var entry = {
+        timestamp: (new Date()).getTime(),
+        operation: context.operation,
+        serviceName: context.serviceName,
+        filename: context.filename,
+        collection: labels.collection || null,
+        durationMS: Math.round(durationMS * 1000) / 1000,
+        error: err ? err.code : null,
+        request: describeRequest(context.operation, args)
+    };
+
+    requestMetrics.recordSlow(entry, serviceOptions.slowQueryLogSize);
+
+    logEvent("slowRequest", "slow request (" + Math.round(durationMS) + "ms) : " + context.operation + " " + context.filename + 
+        (entry.collection ? " " + entry.collection : "") + " " + entry.request, entry);
+}
+
+/**
+ * Passes a notable event to the logger configured in serviceOptions, if any.  Errors thrown by the
+ * logger are ignored, so logging can not fail whatever is being logged.
+ * 
+ * @param {string} event - kind of event, e.g. "slowRequest"
+ * @param {string} message - readable description of the event
+ * @param {object} details - specifics of the event
+ */
+function logEvent(event, message, details) {
+    if (typeof serviceOptions.logger !== "function") {
+        return;
+    }
+
+    try {
+        serviceOptions.logger(event, message, details);
+    }
+    catch (err) {
+        // nowhere left to report it
+    }
+}
+
+// operations whose third argument is not a collection name (excluded from error context)
+var databaseOperations = {
+    execute: true,
+    open: true,
+    close: true,
+    reload: true,
+    snapshot: true,
+    listSnapshots: true,
+    restore: true
+};
+
+// operations whose process function accepts row level filters (passed just before the callback)
+var rowFilteredOperations = {
+    get: true,
+    find: true,
+    findPaged: true,
+    insert: true,
+    update: true,
+    upsert: true,
+    patch: true,
+    remove: true,
+    insertMany: true,
+    updateMany: true,
+    updateWhere: true,
+    removeMany: true,
+    removeWhere: true,
+    transform: true,
+    transformRaw: true,
+    dynamicView: true,
+    dynamicViewTransform: true,
+    execute: true,
+    exportCollection: true,
+    aggregate: true,
+    join: true,
+    search: true
+};
+
+// operations (other than reads) by the permission they require, see accessChecks
+var operationPermissions = {
+    insert: "write",
+    update: "write",
+    upsert: "write",
+    patch: "write",
+    remove: "write",
+    insertMany: "write",
+    updateMany: "write",
+    updateWhere: "write",
+    removeMany: "write",
+    removeWhere: "write",
+    importCollection: "write",
+    addCollection: "admin",
+    removeCollection: "admin",
+    ensureIndex: "admin",
+    ensureUniqueIndex: "admin"
+};
+
+// raw transform step types which modify documents
+var mutatingSteps = ["update", "remove"];
+
+/**
+ * Describes what an export invocation accesses, as the list of checks AccessPolicy.authorize expects.
+ * 
+ * @param {string} operation - name of the export being invoked
+ * @param {array} args - export arguments, beginning with serviceName and filename
+ */
+function accessChecks(operation, args) {
+    var serviceName = args[0], filename = args[1], collection = args[2];
+
+    function check(permission, extra) {
+        return Object.assign({ 
+            permission: permission, 
+            serviceName: serviceName, 
+            filename: filename, 
+            collection: collection 
+        }, extra);
+    }
+
+    function rawChecks(rawTransform, extra) {
+        var steps = parseParam(rawTransform);
+        var checks = [check("read", Object.assign({ raw: true }, extra))];
+
+        if (Array.isArray(steps) && steps.some(function(step) { return step && mutatingSteps.indexOf(step.type) !== -1; })) {
+            checks.push(check("write"));
+        }
+
+        return checks;
+    }
+
+    switch (operation) {
+        case "get":
+        case "find":
+        case "findPaged":
+        case "search":
+            return [check("read")];
+        case "exportCollection":
+            var exportOptions = parseParam(args[4]) || {};
+
+            // files (rather than streams) are written on the service's host, which is an administrative matter
+            return [check("read", { transform: typeof exportOptions.transform === "string" ? exportOptions.transform : undefined })]
+                .concat(typeof args[3] === "string" ? [check("admin")] : []);
+        case "aggregate":
+            var aggregateSource = parseParam(args[3]) || {};
+
+            return [check("read", {
+                view: aggregateSource.view || undefined,
+                transform: typeof aggregateSource.transform === "string" ? aggregateSource.transform : undefined
+            })];
+        case "join":
+            var joinSource = parseParam(args[3]) || {};
+            var joinSpecs = parseParam(args[4]);
+
+            // joined collections are read too
+            return [check("read", {
+                view: joinSource.view || undefined,
+                transform: typeof joinSource.transform === "string" ? joinSource.transform : undefined
+            })].concat((Array.isArray(joinSpecs) ? joinSpecs : [joinSpecs]).filter(function(join) {
+                return join && typeof join.collection === "string";
+            }).map(function(join) {
+                return check("read", { collection: join.collection });
+            }));
+        case "transform":
+            return typeof args[3] === "string" ? [check("read", { transform: args[3] })] : rawChecks(args[3]);
+        case "transformRaw":
+            return rawChecks(args[3]);
+        case "dynamicView":
+            return [check("read", { view: args[3], transform: args[4] || undefined })];
+        case "dynamicViewTransform":
+            if (args[6]) {
+                return rawChecks(args[6], { view: args[3], transform: args[4] || undefined });
+            }
+            return [check("read", { view: args[3], transform: args[4] || undefined })];
+        case "changesSince":
+        case "waitForChanges":
+            // change records are not filtered, so roles with row level filters may not follow them
+            return [check("read", { collection: collection || null, unfiltered: true })];
+        case "importCollection":
+            // imports (replace mode in particular) are not limited to documents within row level filters, 
+            // and files (rather than streams) are read from the service's host
+            return [check("write", { unfiltered: true })].concat(typeof args[3] === "string" ? [check("admin")] : []);
+        case "execute":
+            var steps = parseBatch(args[2]);
+
+            return steps.map(function(step) {
+                step = step || {};
+
+                return check(step.type === "find" ? "read" : "write", { collection: step.collection });
+            });
+        case "setTransform":
+        case "removeTransform":
+            return [check("admin", { transform: args[3] })];
+        case "addDynamicView":
+        case "removeDynamicView":
+            return [check("admin", { view: args[3] })];
+        case "instanceStats":
+        case "open":
+        case "close":
+        case "reload":
+        case "snapshot":
+        case "listSnapshots":
+        case "restore":
+            return [check("admin", { collection: null })];
+        default:
+            if (operationPermissions.hasOwnProperty(operation)) {
+                return [check(operationPermissions[operation])];
+            }
+
+            // service wide operations (stats, list, configure, shutdown)
+            return [{ permission: "admin", serviceName: null, filename: null, collection: null }];
+    }
+}
+
+/**
+ * Authenticates and authorizes an export invocation using the credentials it was made with 
+ * (see invokeWithCredentials), when an access policy is installed.  Must be called synchronously
+ * from the export.
+ * 
+ * @param {string} operation - name of the export being invoked
+ * @param {array} args - export arguments, beginning with serviceName and filename
+ * @returns {object} row level filters to apply (query per collection name), or null
+ */
+function authorizeRequest(operation, args) {
+    if (!accessPolicy) {
+        return null;
+    }
+
+    var principal = accessPolicy.authenticate(requestCredentials);
+
+    if (!principal) {
+        throw new LokiServiceError(errorCodes.UNAUTHENTICATED, 
+            requestCredentials === undefined ? "Credentials are required" : "Credentials not recognized");
+    }
+
+    var decision = accessPolicy.authorize(principal, accessChecks(operation, args));
+
+    if (decision.denied) {
+        throw new LokiServiceError(errorCodes.ACCESS_DENIED, decision.denied);
+    }
+
+    return decision.rowFilters;
+}
+
+/**
+ * Invokes an export on behalf of the given credentials
+ * 
+ * @param {string|object} credentials - api key/token, see lokiservice-access.js
+ * @param {function} fn - export to invoke
+ * @param {array} args - export arguments
+ */
+function invokeWithCredentials(credentials, fn, args) {
+    var previous = requestCredentials;
+
+    requestCredentials = credentials;
+
+    try {
+        return fn.apply(null, args);
+    }
+    finally {
+        requestCredentials = previous;
+    }
+}
+
+/**
+ * Runs a synchronous, service level request (stats, configure, etc) with authorization and 
+ * error normalization, shared by both interfaces.
+ * 
+ * @param {string} operation - name of the export being invoked
+ * @param {array} args - export arguments
+ * @param {function} fn - request logic accepting args and returning the result
+ * @param {function} callback - node-style (err, result) callback
+ */
+function runServiceRequest(operation, args, fn, callback) {
+    var result;
+
+    try {
+        authorizeRequest(operation, args);
+
+        result = fn.apply(null, args);
+    }
+    catch (err) {
+        callback(toServiceError(err, { operation: operation }));
+        return;
+    }
+
+    callback(null, result);
+}
+
+/**
+ * Runs a process* function with timing and error normalization, shared by both interfaces.
+ * 
+ * @param {string} operation - name of the export being invoked (reported in error context)
+ * @param {string} statName - request stat category to accumulate timing under
+ * @param {function} processFn - process* function to invoke (callback is appended to args)
+ * @param {array} args - arguments to the process function, beginning with serviceName, filename and collection
+ * @param {function} callback - node-style (err, result) callback, invoked exactly once
+ */
+function runRequest(operation, statName, processFn, args, callback) {
+    var serviceName = args[0], filename = args[1];
+    var context = {
+        operation: operation,
+        serviceName: serviceName,
+        filename: filename,
+        collection: databaseOperations.hasOwnProperty(operation) ? undefined : args[2]
+    };
+    var startedMS = startTiming(statName);
+    var finished = false;
+
+    function done(err, result) {
+        // a process function calling back twice must not report the request twice, nor throw into its caller
+        if (finished) {
+            serviceStats.duplicateCallbacks++;
+            return;
+        }
+        finished = true;
+
+        var durationMS = stopTiming(startedMS, statName, serviceName, filename);
+        var error = err ? toServiceError(err, context) : null;
+
+        recordRequest(context, args, durationMS, error);
+
+        // once the last request drains, a pending shutdown may proceed
+        if (--inFlightRequests === 0 && shutdownState && shutdownState.drained) {
+            var drained = shutdownState.drained;
+            shutdownState.drained = null;
+
+            drained();
+        }
+
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        callback(null, result);
+    }
+
+    inFlightRequests++;
+
+    try {
+        if (shutdownState) {
+            throw new LokiServiceError(errorCodes.SERVICE_UNAVAILABLE, "Service is shutting down");
+        }
+
+        var rowFilters = authorizeRequest(operation, args);
+
+        if (rowFilteredOperations.hasOwnProperty(operation)) {
+            processFn.apply(null, args.concat(rowFilters, done));
+        }
+        else {
+            processFn.apply(null, args.concat(done));
+        }
+    }
+    catch (err) {
+        // errors thrown by the caller's own callback (invoked synchronously) are theirs
+        if (finished) {
+            throw err;
+        }
+
+        done(err);
+    }
+}
+
+/**
+ * Adapts a node-style callback to the aspnet nodeservices conventions : results are JSON encoded
+ * and errors are passed as an Error whose message is the JSON encoded LokiServiceError 
+ * (code, message and context), since nodeservices only marshals the message and stack.
+ * 
+ * @param {function} callback - nodeservices callback
+ */
+function nodeServicesCallback(callback) {
+    return function(err, result) {
+        if (err) {
+            var nsError = new Error(JSON.stringify(err));
+            nsError.stack = err.stack;
+            callback(nsError);
+            return;
+        }
+
+        callback(null, JSON.stringify(result));
+    };
+}
+
+/**
+ * Runs a process* function on behalf of the native node interface.  Results are left unserialized 
+ * and delivered through the returned promise and, optionally, a node-style callback.
+ * 
+ * @param {string} operation - name of the export being invoked
+ * @param {string} statName - request stat category to accumulate timing under
+ * @param {function} processFn - process* function to invoke (callback is appended to args)
+ * @param {array} args - arguments to the process function, beginning with serviceName and filename
+ * @param {function=} callback - optional node-style (err, result) callback
+ * @returns {Promise} promise resolving to the (unserialized) result or rejecting with a LokiServiceError
+ */
+function nativeRequest(operation, statName, processFn, args, callback) {
+    var promise = new Promise(function(resolve, reject) {
+        runRequest(operation, statName, processFn, args, function(err, result) {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            resolve(result);
+        });
+    });
+
+    if (typeof callback === "function") {
+        promise.then(function(result) { callback(null, result); }, callback);
+    }
+
+    return promise;
+}
+
+/**
+ * Runs a service level request on behalf of the native node interface, see runServiceRequest.
+ * 
+ * @param {string} operation - name of the export being invoked
+ * @param {array} args - export arguments
+ * @param {function} fn - request logic accepting args and returning the result
+ * @param {function=} callback - optional node-style (err, result) callback
+ * @returns {Promise}
+ */
+function nativeServiceRequest(operation, args, fn, callback) {
+    var promise = new Promise(function(resolve, reject) {
+        runServiceRequest(operation, args, fn, function(err, result) {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            resolve(result);
+        });
+    });
+
+    if (typeof callback === "function") {
+        promise.then(function(result) { callback(null, result); }, callback);
+    }
+
+    return promise;
+}
+
+/**
+ * Installs (or removes) the access policy enforced on every export.
+ * @param {object|string} policy - access policy, path to a JSON/YAML policy file, or null to disable access control
+ */
+function setAccessPolicy(policy) {
+    if (typeof policy === "string") {
+        policy = descriptors.readDocument(policy);
+    }
+
+    accessPolicy = policy ? new AccessPolicy(policy) : null;
+}
+
+if (process.env.LOKISERVICE_ACCESS_POLICY) {
+    setAccessPolicy(process.env.LOKISERVICE_ACCESS_POLICY);
+}
+
+/**
+ * Define our module export as having multiple exports, thus requiring the InvokeExportAsync method
+ * on the NodeServices / aspnetcore side
+ */
+module.exports = {
+   get: function(callback, serviceName, filename, collection, id) {
+        runRequest("get", "get", processGet, [serviceName, filename, collection, id], 
+            nodeServicesCallback(callback));
+   },
+   find: function(callback, serviceName, filename, collection, query) {
+        runRequest("find", "find", processFind, [serviceName, filename, collection, query], 
+            nodeServicesCallback(callback));
+   },
+
+   findPaged: function(callback, serviceName, filename, collection, query, options) {
+        runRequest("findPaged", "find", processFindPaged, [serviceName, filename, collection, query, options], 
+            nodeServicesCallback(callback));
+   },
+
+   insert: function(callback, serviceName, filename, collection, obj) {
+        runRequest("insert", "insert", processInsert, [serviceName, filename, collection, obj], 
+            nodeServicesCallback(callback));
+   },
+
+   update: function(callback, serviceName, filename, collection, obj) {
+        runRequest("update", "update", processUpdate, [serviceName, filename, collection, obj], 
+            nodeServicesCallback(callback));
+   },
+
+   upsert: function(callback, serviceName, filename, collection, obj, key) {
+        runRequest("upsert", "update", processUpsert, [serviceName, filename, collection, obj, key], 
+            nodeServicesCallback(callback));
+   },
+
+   patch: function(callback, serviceName, filename, collection, id, patch, revision) {
+        runRequest("patch", "update", processPatch, [serviceName, filename, collection, id, patch, revision], 
+            nodeServicesCallback(callback));
+   },
+
+   remove: function(callback, serviceName, filename, collection, obj) {
+        runRequest("remove", "remove", processRemove, [serviceName, filename, collection, obj], 
+            nodeServicesCallback(callback));
+   },
+
+   insertMany: function(callback, serviceName, filename, collection, docs) {
+        runRequest("insertMany", "insert", processInsertMany, [serviceName, filename, collection, docs], 
+            nodeServicesCallback(callback));
+   },
+
+   updateMany: function(callback, serviceName, filename, collection, patches) {
+        runRequest("updateMany", "update", processUpdateMany, [serviceName, filename, collection, patches], 
+            nodeServicesCallback(callback));
+   },
+
+   updateWhere: function(callback, serviceName, filename, collection, query, patch) {
+        runRequest("updateWhere", "update", processUpdateWhere, [serviceName, filename, collection, query, patch], 
+            nodeServicesCallback(callback));
+   },
+
+   removeMany: function(callback, serviceName, filename, collection, idsOrQuery) {
+        runRequest("removeMany", "remove", processRemoveMany, [serviceName, filename, collection, idsOrQuery], 
+            nodeServicesCallback(callback));
+   },
+
+   removeWhere: function(callback, serviceName, filename, collection, query) {
+        runRequest("removeWhere", "remove", processRemoveWhere, [serviceName, filename, collection, query], 
+            nodeServicesCallback(callback));
+   },
+
+   exportCollection: function(callback, serviceName, filename, collection, file, options) {
+        runRequest("exportCollection", "find", processExportCollection, [serviceName, filename, collection, file, options], 
+            nodeServicesCallback(callback));
+   },
+
+   importCollection: function(callback, serviceName, filename, collection, file, options) {
+        runRequest("importCollection", "insert", processImportCollection, [serviceName, filename, collection, file, options], 
+            nodeServicesCallback(callback));
+   },
+
+   execute: function(callback, serviceName, filename, operations) {
+        runRequest("execute", "execute", processExecute, [serviceName, filename, operations], 
+            nodeServicesCallback(callback));
+   },
+
+   changesSince: function(callback, serviceName, filename, collection, seq, limit) {
+        runRequest("changesSince", "changes", processChangesSince, 
+            [serviceName, filename, collection, seq, limit], 
+            nodeServicesCallback(callback));
+   },
+
+   waitForChanges: function(callback, serviceName, filename, collection, seq, limit, timeout) {
+        runRequest("waitForChanges", "changes", processWaitForChanges, 
+            [serviceName, filename, collection, seq, limit, timeout], 
+            nodeServicesCallback(callback));
+   },
+
+   addCollection: function(callback, serviceName, filename, collection, options) {
+        runRequest("addCollection", "admin", processAddCollection, [serviceName, filename, collection, options], 
+            nodeServicesCallback(callback));
+   },
+
+   removeCollection: function(callback, serviceName, filename, collection) {
+        runRequest("removeCollection", "admin", processRemoveCollection, [serviceName, filename, collection], 
+            nodeServicesCallback(callback));
+   },
 
-       }, this);
+   ensureIndex: function(callback, serviceName, filename, collection, field, force) {
+        runRequest("ensureIndex", "admin", processEnsureIndex, [serviceName, filename, collection, field, force], 
+            nodeServicesCallback(callback));
+   },
+
+   ensureUniqueIndex: function(callback, serviceName, filename, collection, field) {
+        runRequest("ensureUniqueIndex", "admin", processEnsureUniqueIndex, [serviceName, filename, collection, field], 
+            nodeServicesCallback(callback));
+   },
+
+   setTransform: function(callback, serviceName, filename, collection, transformName, transform) {
+        runRequest("setTransform", "admin", processSetTransform, 
+            [serviceName, filename, collection, transformName, transform], 
+            nodeServicesCallback(callback));
+   },
+
+   removeTransform: function(callback, serviceName, filename, collection, transformName) {
+        runRequest("removeTransform", "admin", processRemoveTransform, 
+            [serviceName, filename, collection, transformName], 
+            nodeServicesCallback(callback));
+   },
+
+   addDynamicView: function(callback, serviceName, filename, collection, viewname, options, steps) {
+        runRequest("addDynamicView", "admin", processAddDynamicView, 
+            [serviceName, filename, collection, viewname, options, steps], 
+            nodeServicesCallback(callback));
+   },
+
+   removeDynamicView: function(callback, serviceName, filename, collection, viewname) {
+        runRequest("removeDynamicView", "admin", processRemoveDynamicView, 
+            [serviceName, filename, collection, viewname], 
+            nodeServicesCallback(callback));
+   },
+
+   transform: function(callback, serviceName, filename, collection, transform, transformParams, dataInvoke) {
+        runRequest("transform", "transform", processTransform, 
+            [serviceName, filename, collection, transform, transformParams, dataInvoke], 
+            nodeServicesCallback(callback));
+   },
+
+   transformRaw: function(callback, serviceName, filename, collection, transform, transformParams, dataInvoke) {
+        runRequest("transformRaw", "transform", processTransformRaw, 
+            [serviceName, filename, collection, transform, transformParams, dataInvoke], 
+            nodeServicesCallback(callback));
+   },
+
+   dynamicView: function(callback, serviceName, filename, collection, viewname, transformName, transformParams) {
+        runRequest("dynamicView", "dynamicView", processDynamicView, 
+            [serviceName, filename, collection, viewname, transformName, transformParams], 
+            nodeServicesCallback(callback));
+   },
+
+   dynamicViewTransform: function(callback, serviceName, filename, collection, viewname, transform, transformParams, rawTransform) {
+        runRequest("dynamicViewTransform", "dynamicView", processDynamicViewTransform, 
+            [serviceName, filename, collection, viewname, transform, transformParams, rawTransform], 
+            nodeServicesCallback(callback));
+   },
+
+   search: function(callback, serviceName, filename, collection, text, options) {
+        runRequest("search", "find", processSearch, [serviceName, filename, collection, text, options], 
+            nodeServicesCallback(callback));
+   },
+
+   aggregate: function(callback, serviceName, filename, collection, source, pipeline) {
+        runRequest("aggregate", "find", processAggregate, [serviceName, filename, collection, source, pipeline], 
+            nodeServicesCallback(callback));
+   },
+
+   join: function(callback, serviceName, filename, collection, source, joins) {
+        runRequest("join", "find", processJoin, [serviceName, filename, collection, source, joins], 
+            nodeServicesCallback(callback));
+   },
+   
+   stats: function(callback, serviceName, filename) {
+        runServiceRequest("stats", [], processStats, nodeServicesCallback(callback));
+   },
 
-       callback(null, JSON.stringify(resultStats));
+   metrics: function(callback) {
+        runServiceRequest("metrics", [], processMetrics, nodeServicesCallback(callback));
+   },
+
+   instanceStats: function(callback, serviceName, filename) {
+        runServiceRequest("instanceStats", [serviceName, filename], processInstanceStats, function(err, resultStats) {
+            if (!err && resultStats === null) {
+                callback(null, null);
+                return;
+            }
+
+            nodeServicesCallback(callback)(err, resultStats);
+        });
+   },
+
+   configure: function(callback, options) {
+        runServiceRequest("configure", [options], processConfigure, nodeServicesCallback(callback));
+   },
+
+   open: function(callback, serviceName, filename) {
+        runRequest("open", "admin", processOpen, [serviceName, filename], nodeServicesCallback(callback));
+   },
+
+   close: function(callback, serviceName, filename) {
+        runRequest("close", "admin", processClose, [serviceName, filename], nodeServicesCallback(callback));
+   },
+
+   reload: function(callback, serviceName, filename) {
+        runRequest("reload", "admin", processReload, [serviceName, filename], nodeServicesCallback(callback));
+   },
+
+   list: function(callback) {
+        runServiceRequest("list", [], listInstances, nodeServicesCallback(callback));
+   },
+
+   snapshot: function(callback, serviceName, filename, options) {
+        runRequest("snapshot", "admin", processSnapshot, [serviceName, filename, options], nodeServicesCallback(callback));
+   },
+
+   listSnapshots: function(callback, serviceName, filename) {
+        runRequest("listSnapshots", "admin", processListSnapshots, [serviceName, filename], nodeServicesCallback(callback));
+   },
+
+   restore: function(callback, serviceName, filename, snapshotName) {
+        runRequest("restore", "admin", processRestore, [serviceName, filename, snapshotName], nodeServicesCallback(callback));
    },
 
    shutdown: function(callback) {
-        for (initName in databaseRegistry) {
-            for (instName in databaseRegistry[initName]) {
-                var dbreg = databaseRegistry[initName][instName];
-                if (dbreg.instance !== null) {
-                    console.log("closing : " + instName);
-                    dbreg.instance.close();
-                    callback(null);
-                }
+        runServiceRequest("shutdown", [], function() {}, function(err) {
+            if (err) {
+                nodeServicesCallback(callback)(err);
+                return;
             }
+
+            processShutdown(function(report) {
+                callback(null, JSON.stringify(report));
+            });
+        });
+   },
+
+   /**
+    * Invokes another export on behalf of the given credentials (api key or token), for use when an 
+    * access policy is installed.  Remaining arguments are those of the named export (after its callback).
+    * e.g. InvokeExportAsync<string>("lokiservice.js", "authorized", apiKey, "find", serviceName, filename, "users", query)
+    */
+   authorized: function(callback, credentials, exportName) {
+        if (["authorized", "LokiServiceError"].indexOf(exportName) !== -1 || 
+            !module.exports.hasOwnProperty(exportName) || typeof module.exports[exportName] !== "function") {
+            nodeServicesCallback(callback)(new LokiServiceError(errorCodes.INVALID_QUERY, 
+                "Unknown export : " + exportName, { operation: "authorized" }));
+            return;
         }
+
+        var args = [callback].concat(Array.prototype.slice.call(arguments, 3));
+
+        invokeWithCredentials(credentials, module.exports[exportName], args);
    }
 }; 
+
+/**
+ * Native node interface.  Parameters may be passed as object/array instances rather than JSON strings,
+ * results are returned unserialized, and callbacks (optional) go last.  Every method returns a Promise,
+ * which rejects with a LokiServiceError if the request fails.
+ * 
+ * Note : results are references to (or clones of, depending on collection 'clone' option) documents 
+ * held by loki, so avoid mutating them outside of update calls.
+ */
+module.exports.native = {
+    get: function(serviceName, filename, collection, id, callback) {
+        return nativeRequest("get", "get", processGet, [serviceName, filename, collection, id], callback);
+    },
+
+    find: function(serviceName, filename, collection, query, callback) {
+        return nativeRequest("find", "find", processFind, [serviceName, filename, collection, query], callback);
+    },
+
+    findPaged: function(serviceName, filename, collection, query, options, callback) {
+        return nativeRequest("findPaged", "find", processFindPaged, 
+            [serviceName, filename, collection, query, options], callback);
+    },
+
+    insert: function(serviceName, filename, collection, obj, callback) {
+        return nativeRequest("insert", "insert", processInsert, [serviceName, filename, collection, obj], callback);
+    },
+
+    update: function(serviceName, filename, collection, obj, callback) {
+        return nativeRequest("update", "update", processUpdate, [serviceName, filename, collection, obj], callback);
+    },
+
+    upsert: function(serviceName, filename, collection, obj, key, callback) {
+        return nativeRequest("upsert", "update", processUpsert, [serviceName, filename, collection, obj, key], callback);
+    },
+
+    patch: function(serviceName, filename, collection, id, patch, revision, callback) {
+        return nativeRequest("patch", "update", processPatch, [serviceName, filename, collection, id, patch, revision], callback);
+    },
+
+    remove: function(serviceName, filename, collection, obj, callback) {
+        return nativeRequest("remove", "remove", processRemove, [serviceName, filename, collection, obj], callback);
+    },
+
+    insertMany: function(serviceName, filename, collection, docs, callback) {
+        return nativeRequest("insertMany", "insert", processInsertMany, [serviceName, filename, collection, docs], callback);
+    },
+
+    updateMany: function(serviceName, filename, collection, patches, callback) {
+        return nativeRequest("updateMany", "update", processUpdateMany, [serviceName, filename, collection, patches], callback);
+    },
+
+    updateWhere: function(serviceName, filename, collection, query, patch, callback) {
+        return nativeRequest("updateWhere", "update", processUpdateWhere, 
+            [serviceName, filename, collection, query, patch], callback);
+    },
+
+    removeMany: function(serviceName, filename, collection, idsOrQuery, callback) {
+        return nativeRequest("removeMany", "remove", processRemoveMany, [serviceName, filename, collection, idsOrQuery], callback);
+    },
+
+    removeWhere: function(serviceName, filename, collection, query, callback) {
+        return nativeRequest("removeWhere", "remove", processRemoveWhere, [serviceName, filename, collection, query], callback);
+    },
+
+    exportCollection: function(serviceName, filename, collection, file, options, callback) {
+        return nativeRequest("exportCollection", "find", processExportCollection, 
+            [serviceName, filename, collection, file, options], callback);
+    },
+
+    importCollection: function(serviceName, filename, collection, file, options, callback) {
+        return nativeRequest("importCollection", "insert", processImportCollection, 
+            [serviceName, filename, collection, file, options], callback);
+    },
+
+    execute: function(serviceName, filename, operations, callback) {
+        return nativeRequest("execute", "execute", processExecute, [serviceName, filename, operations], callback);
+    },
+
+    changesSince: function(serviceName, filename, collection, seq, limit, callback) {
+        return nativeRequest("changesSince", "changes", processChangesSince, 
+            [serviceName, filename, collection, seq, limit], callback);
+    },
+
+    waitForChanges: function(serviceName, filename, collection, seq, limit, timeout, callback) {
+        return nativeRequest("waitForChanges", "changes", processWaitForChanges, 
+            [serviceName, filename, collection, seq, limit, timeout], callback);
+    },
+
+    addCollection: function(serviceName, filename, collection, options, callback) {
+        return nativeRequest("addCollection", "admin", processAddCollection, 
+            [serviceName, filename, collection, options], callback);
+    },
+
+    removeCollection: function(serviceName, filename, collection, callback) {
+        return nativeRequest("removeCollection", "admin", processRemoveCollection, 
+            [serviceName, filename, collection], callback);
+    },
+
+    ensureIndex: function(serviceName, filename, collection, field, force, callback) {
+        return nativeRequest("ensureIndex", "admin", processEnsureIndex, 
+            [serviceName, filename, collection, field, force], callback);
+    },
+
+    ensureUniqueIndex: function(serviceName, filename, collection, field, callback) {
+        return nativeRequest("ensureUniqueIndex", "admin", processEnsureUniqueIndex, 
+            [serviceName, filename, collection, field], callback);
+    },
+
+    setTransform: function(serviceName, filename, collection, transformName, transform, callback) {
+        return nativeRequest("setTransform", "admin", processSetTransform, 
+            [serviceName, filename, collection, transformName, transform], callback);
+    },
+
+    removeTransform: function(serviceName, filename, collection, transformName, callback) {
+        return nativeRequest("removeTransform", "admin", processRemoveTransform, 
+            [serviceName, filename, collection, transformName], callback);
+    },
+
+    addDynamicView: function(serviceName, filename, collection, viewname, options, steps, callback) {
+        return nativeRequest("addDynamicView", "admin", processAddDynamicView, 
+            [serviceName, filename, collection, viewname, options, steps], callback);
+    },
+
+    removeDynamicView: function(serviceName, filename, collection, viewname, callback) {
+        return nativeRequest("removeDynamicView", "admin", processRemoveDynamicView, 
+            [serviceName, filename, collection, viewname], callback);
+    },
+
+    transform: function(serviceName, filename, collection, transform, transformParams, dataInvoke, callback) {
+        return nativeRequest("transform", "transform", processTransform, 
+            [serviceName, filename, collection, transform, transformParams, dataInvoke], callback);
+    },
+
+    transformRaw: function(serviceName, filename, collection, transform, transformParams, dataInvoke, callback) {
+        return nativeRequest("transformRaw", "transform", processTransformRaw, 
+            [serviceName, filename, collection, transform, transformParams, dataInvoke], callback);
+    },
+
+    dynamicView: function(serviceName, filename, collection, viewname, transformName, transformParams, callback) {
+        return nativeRequest("dynamicView", "dynamicView", processDynamicView, 
+            [serviceName, filename, collection, viewname, transformName, transformParams], callback);
+    },
+
+    dynamicViewTransform: function(serviceName, filename, collection, viewname, transformName, transformParams, rawTransform, callback) {
+        return nativeRequest("dynamicViewTransform", "dynamicView", processDynamicViewTransform, 
+            [serviceName, filename, collection, viewname, transformName, transformParams, rawTransform], callback);
+    },
+
+    search: function(serviceName, filename, collection, text, options, callback) {
+        return nativeRequest("search", "find", processSearch, [serviceName, filename, collection, text, options], callback);
+    },
+
+    aggregate: function(serviceName, filename, collection, source, pipeline, callback) {
+        return nativeRequest("aggregate", "find", processAggregate, [serviceName, filename, collection, source, pipeline], callback);
+    },
+
+    join: function(serviceName, filename, collection, source, joins, callback) {
+        return nativeRequest("join", "find", processJoin, [serviceName, filename, collection, source, joins], callback);
+    },
+
+    stats: function(callback) {
+        return nativeServiceRequest("stats", [], processStats, callback);
+    },
+
+    metrics: function(callback) {
+        return nativeServiceRequest("metrics", [], processMetrics, callback);
+    },
+
+    instanceStats: function(serviceName, filename, callback) {
+        return nativeServiceRequest("instanceStats", [serviceName, filename], processInstanceStats, callback);
+    },
+
+    configure: function(options, callback) {
+        return nativeServiceRequest("configure", [options], processConfigure, callback);
+    },
+
+    open: function(serviceName, filename, callback) {
+        return nativeRequest("open", "admin", processOpen, [serviceName, filename], callback);
+    },
+
+    close: function(serviceName, filename, callback) {
+        return nativeRequest("close", "admin", processClose, [serviceName, filename], callback);
+    },
+
+    reload: function(serviceName, filename, callback) {
+        return nativeRequest("reload", "admin", processReload, [serviceName, filename], callback);
+    },
+
+    list: function(callback) {
+        return nativeServiceRequest("list", [], listInstances, callback);
+    },
+
+    snapshot: function(serviceName, filename, options, callback) {
+        return nativeRequest("snapshot", "admin", processSnapshot, [serviceName, filename, options], callback);
+    },
+
+    listSnapshots: function(serviceName, filename, callback) {
+        return nativeRequest("listSnapshots", "admin", processListSnapshots, [serviceName, filename], callback);
+    },
+
+    restore: function(serviceName, filename, snapshotName, callback) {
+        return nativeRequest("restore", "admin", processRestore, [serviceName, filename, snapshotName], callback);
+    },
+
+    shutdown: function(callback) {
+        var promise = new Promise(function(resolve, reject) {
+            runServiceRequest("shutdown", [], function() {}, function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                processShutdown(resolve);
+            });
+        });
+
+        if (typeof callback === "function") {
+            promise.then(function(report) { callback(null, report); }, callback);
+        }
+
+        return promise;
+    },
+
+    /**
+     * Installs SIGINT/SIGTERM handlers which shut down (saving all instances) and exit, see handleSignals.
+     * @param {object=} options - { signals, exit, onShutdown }
+     * @returns {function} removes the installed handlers
+     */
+    handleSignals: function(options) {
+        return handleSignals(options);
+    },
+
+    /**
+     * Returns a copy of this interface whose requests are made on behalf of the given credentials
+     * (api key or token), for use when an access policy is installed.
+     * @param {string|object} credentials
+     */
+    as: function(credentials) {
+        var nativeInterface = module.exports.native;
+        var authorized = {};
+
+        Object.keys(nativeInterface).forEach(function(name) {
+            if (["as", "setAccessPolicy", "handleSignals"].indexOf(name) !== -1) return;
+
+            authorized[name] = function() {
+                return invokeWithCredentials(credentials, nativeInterface[name], arguments);
+            };
+        });
+
+        return authorized;
+    },
+
+    /**
+     * Installs (or, given null, removes) the access policy.  Deliberately only available to node hosts.
+     * @param {object|string} policy - access policy (see lokiservice-access.js) or path to a JSON/YAML policy file
+     */
+    setAccessPolicy: function(policy) {
+        setAccessPolicy(policy);
+    }
+};
+
+module.exports.LokiServiceError = LokiServiceError;
+module.exports.errorCodes = errorCodes;
@@ -0,0 +1,145 @@
+const assert = require("assert");
+const crypto = require("crypto");
+const path = require("path");
+const lokiservice = require("../lokiservice.js");
+const AccessPolicy = require("../lokiservice-access.js").AccessPolicy;
+
+const svc = lokiservice.native;
+const errorCodes = lokiservice.errorCodes;
+
+var service = path.join(__dirname, "fixtures", "memory.init.js");
+var databaseCount = 0;
+
+var adminDigest = "sha256:" + crypto.createHash("sha256").update("admin-secret").digest("hex");
+
+var policy = {
+    keys: {
+        "tenant-a-key": ["tenantA"]
+    },
+    anonymous: ["public"],
+    roles: {
+        admin: { grants: [{ permissions: ["read", "write", "admin"] }] },
+        tenantA: { grants: [{ collection: "users", permissions: ["read", "write"], filter: { tenant: "A" } }] },
+        public: { grants: [{ collection: "events", permissions: ["read"] }] }
+    }
+};
+
+policy.keys[adminDigest] = { roles: ["admin"], description: "operations" };
+
+/**
+ * Returns a function asserting that an error has the given code
+ * @param {string} code
+ */
+function failsWith(code) {
+    return function(err) {
+        assert.strictEqual(err.code, code, err.message);
+        return true;
+    };
+}
+
+describe("access control", function() {
+    describe("key matching", function() {
+        var accessPolicy = new AccessPolicy(policy);
+
+        it("authenticates keys given in the policy", function() {
+            assert.deepStrictEqual(accessPolicy.authenticate("tenant-a-key").roles, ["tenantA"]);
+            assert.deepStrictEqual(accessPolicy.authenticate({ key: "tenant-a-key" }).roles, ["tenantA"]);
+        });
+
+        it("authenticates keys whose digest is given in the policy", function() {
+            assert.deepStrictEqual(accessPolicy.authenticate("admin-secret").roles, ["admin"]);
+        });
+
+        it("does not accept a digest as a key", function() {
+            assert.strictEqual(accessPolicy.authenticate(adminDigest), null);
+            assert.strictEqual(accessPolicy.authenticate(adminDigest.toUpperCase()), null);
+        });
+
+        it("rejects unknown keys and gives requests without credentials the anonymous roles", function() {
+            assert.strictEqual(accessPolicy.authenticate("tenant-b-key"), null);
+            assert.strictEqual(accessPolicy.authenticate(""), null);
+            assert.deepStrictEqual(accessPolicy.authenticate(undefined).roles, ["public"]);
+        });
+
+        it("refuses policies with malformed digests", function() {
+            assert.throws(function() {
+                return new AccessPolicy({ keys: { "sha256:abc": ["admin"] } });
+            }, /64 hex digits/);
+        });
+    });
+
+    describe("requests", function() {
+        var filename;
+        var admin = svc.as("admin-secret");
+        var tenantA = svc.as("tenant-a-key");
+
+        before(function() {
+            svc.setAccessPolicy(policy);
+        });
+
+        after(function() {
+            svc.setAccessPolicy(null);
+        });
+
+        beforeEach(function() {
+            filename = "access" + (++databaseCount) + ".db";
+        });
+
+        it("rejects unknown credentials, including the digest of a key", function() {
+            return Promise.all([
+                assert.rejects(svc.as("tenant-b-key").find(service, filename, "users", {}), failsWith(errorCodes.UNAUTHENTICATED)),
+                assert.rejects(svc.as(adminDigest).find(service, filename, "users", {}), failsWith(errorCodes.UNAUTHENTICATED))
+            ]);
+        });
+
+        it("denies requests the credentials' roles are not granted", function() {
+            return Promise.all([
+                assert.rejects(tenantA.find(service, filename, "events", {}), failsWith(errorCodes.ACCESS_DENIED)),
+                assert.rejects(svc.insert(service, filename, "events", { title: "fimbulwinter" }), failsWith(errorCodes.ACCESS_DENIED)),
+                svc.find(service, filename, "events", {})
+            ]);
+        });
+
+        it("only reads documents within the row level filter", function() {
+            return tenantA.find(service, filename, "users", {}).then(function(docs) {
+                assert.deepStrictEqual(docs.map(function(doc) { return doc.name; }).sort(), ["odin", "thor"]);
+
+                return tenantA.get(service, filename, "users", 3);
+            }).then(function(doc) {
+                assert.strictEqual(doc, null);
+            });
+        });
+
+        it("treats documents outside the row level filter as missing for updates and removes", function() {
+            return Promise.all([
+                assert.rejects(tenantA.update(service, filename, "users", { $loki: 3, age: 26 }), failsWith(errorCodes.DOCUMENT_NOT_FOUND)),
+                assert.rejects(tenantA.remove(service, filename, "users", 3), failsWith(errorCodes.DOCUMENT_NOT_FOUND))
+            ]).then(function() {
+                return admin.get(service, filename, "users", 3);
+            }).then(function(doc) {
+                assert.strictEqual(doc.age, 25);
+            });
+        });
+
+        it("refuses content outside the row level filter", function() {
+            return Promise.all([
+                assert.rejects(tenantA.insert(service, filename, "users", { name: "tyr", tenant: "B" }), failsWith(errorCodes.ACCESS_DENIED)),
+                assert.rejects(tenantA.update(service, filename, "users", { $loki: 1, tenant: "B" }), failsWith(errorCodes.ACCESS_DENIED))
+            ]).then(function() {
+                return tenantA.insert(service, filename, "users", { name: "tyr", tenant: "A" });
+            }).then(function(doc) {
+                assert.strictEqual(doc.tenant, "A");
+            });
+        });
+
+        it("only removes documents within the row level filter by query", function() {
+            return tenantA.removeWhere(service, filename, "users", {}).then(function(result) {
+                assert.strictEqual(result.summary.succeeded, 2);
+
+                return admin.find(service, filename, "users", {});
+            }).then(function(docs) {
+                assert.deepStrictEqual(docs.map(function(doc) { return doc.name; }), ["loki"]);
+            });
+        });
+    });
+});
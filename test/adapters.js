@@ -0,0 +1,174 @@
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const lokiservice = require("../lokiservice.js");
+const adapters = require("../lokiservice-adapters.js");
+
+const svc = lokiservice.native;
+const errorCodes = lokiservice.errorCodes;
+
+var service = path.join(__dirname, "fixtures", "persistent.init.js");
+
+describe("persistence adapters", function() {
+    var directory;
+    var instanceAdapters;
+
+    /**
+     * Selects the adapter of a database (in the test directory), returning the database's path
+     * @param {string} name - database file name
+     * @param {string|object} settings - adapter settings
+     */
+    function useAdapter(name, settings) {
+        var filename = path.join(directory, name);
+
+        instanceAdapters[filename] = settings;
+
+        return svc.configure({ instanceAdapters: instanceAdapters }).then(function() {
+            return filename;
+        });
+    }
+
+    beforeEach(function() {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "lokiservice-adapters-"));
+        instanceAdapters = {};
+    });
+
+    afterEach(function() {
+        return Promise.all(Object.keys(instanceAdapters).map(function(filename) {
+            return svc.close(service, filename);
+        })).then(function() {
+            fs.rmSync(directory, { recursive: true, force: true });
+
+            return svc.configure({ instanceAdapters: {} });
+        });
+    });
+
+    describe("createAdapter", function() {
+        it("creates adapters of each type", function() {
+            var key = crypto.randomBytes(32).toString("hex");
+
+            assert.deepStrictEqual(adapters.adapterTypes.slice().sort(), ["encrypted", "fs", "journal", "memory", "partitioning"]);
+            assert.ok(adapters.createAdapter("journal") instanceof adapters.JournalAdapter);
+            assert.ok(adapters.createAdapter({ type: "encrypted", key: key }) instanceof adapters.EncryptedAdapter);
+        });
+
+        it("refuses unknown types and encrypted adapters without a key", function() {
+            assert.throws(function() { adapters.createAdapter("s3"); }, /Unknown adapter/);
+            assert.throws(function() { adapters.createAdapter({ type: "encrypted" }); });
+            assert.throws(function() { adapters.createAdapter({ type: "encrypted", key: "too short" }); });
+        });
+    });
+
+    describe("encrypted", function() {
+        var key = crypto.randomBytes(32).toString("hex");
+
+        it("saves the database encrypted and loads it back", function() {
+            var filename;
+
+            return useAdapter("encrypted.db", { type: "encrypted", key: key }).then(function(result) {
+                filename = result;
+
+                return svc.insert(service, filename, "notes", { text: "secret note" });
+            }).then(function() {
+                return svc.close(service, filename);
+            }).then(function() {
+                var contents = fs.readFileSync(filename);
+
+                assert.strictEqual(contents.slice(0, 8).toString(), "LOKIENC1");
+                assert.strictEqual(contents.indexOf("secret note"), -1);
+
+                return svc.find(service, filename, "notes", {});
+            }).then(function(docs) {
+                assert.deepStrictEqual(docs.map(function(doc) { return doc.text; }), ["secret note"]);
+            });
+        });
+
+        it("fails to load a database saved with another key", function() {
+            var filename;
+
+            return useAdapter("rekeyed.db", { type: "encrypted", key: key }).then(function(result) {
+                filename = result;
+
+                return svc.insert(service, filename, "notes", { text: "secret note" });
+            }).then(function() {
+                return svc.close(service, filename);
+            }).then(function() {
+                return useAdapter("rekeyed.db", { type: "encrypted", key: crypto.randomBytes(32).toString("hex") });
+            }).then(function() {
+                return assert.rejects(svc.find(service, filename, "notes", {}), function(err) {
+                    assert.strictEqual(err.code, errorCodes.INITIALIZER_FAILED);
+                    assert.ok(/wrong key/.test(err.message), err.message);
+                    return true;
+                });
+            });
+        });
+    });
+
+    describe("journal", function() {
+        it("replays changes which were not saved", function() {
+            var filename;
+
+            return useAdapter("journaled.db", { type: "journal", compactionInterval: 0 }).then(function(result) {
+                filename = result;
+
+                return svc.insert(service, filename, "notes", { text: "journaled" });
+            }).then(function() {
+                assert.ok(fs.existsSync(filename + ".journal"));
+
+                // reload discards the instance without saving it
+                return svc.reload(service, filename);
+            }).then(function() {
+                return Promise.all([
+                    svc.find(service, filename, "notes", {}),
+                    svc.instanceStats(service, filename)
+                ]);
+            }).then(function(results) {
+                assert.deepStrictEqual(results[0].map(function(doc) { return doc.text; }), ["journaled"]);
+                assert.strictEqual(results[1].persistence.adapter, "journal");
+                assert.strictEqual(results[1].persistence.saves, 0);
+                assert.strictEqual(results[1].persistence.journal.replayed, 1);
+            });
+        });
+
+        it("does not journal changes of a rolled back batch", function() {
+            var filename;
+
+            return useAdapter("rolledback.db", { type: "journal", compactionInterval: 0 }).then(function(result) {
+                filename = result;
+
+                return assert.rejects(svc.execute(service, filename, [
+                    { type: "insert", collection: "notes", doc: { text: "rolled back" } },
+                    { type: "remove", collection: "notes", id: 99 }
+                ]));
+            }).then(function() {
+                return svc.reload(service, filename);
+            }).then(function() {
+                return svc.find(service, filename, "notes", {});
+            }).then(function(docs) {
+                assert.strictEqual(docs.length, 0);
+            });
+        });
+    });
+
+    describe("partitioning", function() {
+        it("saves each collection to its own file and loads them back", function() {
+            var filename;
+
+            return useAdapter("partitioned.db", { type: "partitioning" }).then(function(result) {
+                filename = result;
+
+                return svc.insert(service, filename, "notes", { text: "partitioned" });
+            }).then(function() {
+                return svc.close(service, filename);
+            }).then(function() {
+                assert.ok(fs.existsSync(filename + ".0"));
+
+                return svc.find(service, filename, "notes", {});
+            }).then(function(docs) {
+                assert.deepStrictEqual(docs.map(function(doc) { return doc.text; }), ["partitioned"]);
+            });
+        });
+    });
+});
@@ -0,0 +1,84 @@
+const assert = require("assert");
+const path = require("path");
+const lokiservice = require("../lokiservice.js");
+
+const svc = lokiservice.native;
+const errorCodes = lokiservice.errorCodes;
+
+var service = path.join(__dirname, "fixtures", "memory.init.js");
+
+/**
+ * Returns a function asserting that an error is a LokiServiceError with the given code
+ * @param {string} code
+ */
+function serviceError(code) {
+    return function(err) {
+        assert.ok(err instanceof lokiservice.LokiServiceError, "expected a LokiServiceError, got " + err);
+        assert.strictEqual(err.code, code, err.message);
+        return true;
+    };
+}
+
+describe("typed errors", function() {
+    describe("native interface", function() {
+        it("rejects requests for missing collections with COLLECTION_NOT_FOUND and their context", function() {
+            return assert.rejects(svc.get(service, "errors.db", "missing", 1), function(err) {
+                serviceError(errorCodes.COLLECTION_NOT_FOUND)(err);
+                assert.strictEqual(err.context.operation, "get");
+                assert.strictEqual(err.context.filename, "errors.db");
+                assert.strictEqual(err.context.collection, "missing");
+                return true;
+            });
+        });
+
+        it("rejects updates of missing documents with DOCUMENT_NOT_FOUND", function() {
+            return assert.rejects(svc.update(service, "errors.db", "users", { $loki: 99, name: "tyr" }), function(err) {
+                serviceError(errorCodes.DOCUMENT_NOT_FOUND)(err);
+                assert.strictEqual(err.context.id, 99);
+                return true;
+            });
+        });
+
+        it("rejects unparseable documents with INVALID_DOCUMENT", function() {
+            return assert.rejects(svc.insert(service, "errors.db", "users", "{ name"), serviceError(errorCodes.INVALID_DOCUMENT));
+        });
+
+        it("rejects duplicate unique keys with CONSTRAINT_VIOLATION", function() {
+            return assert.rejects(svc.insert(service, "errors.db", "users", { name: "odin" }), serviceError(errorCodes.CONSTRAINT_VIOLATION));
+        });
+
+        it("rejects requests for initializers which can not be loaded with INITIALIZER_FAILED", function() {
+            var missing = path.join(__dirname, "fixtures", "missing.init.js");
+
+            return assert.rejects(svc.get(missing, "errors.db", "users", 1), serviceError(errorCodes.INITIALIZER_FAILED));
+        });
+
+        it("passes errors to a callback when one is given", function(done) {
+            svc.get(service, "errors.db", "missing", 1, function(err, result) {
+                serviceError(errorCodes.COLLECTION_NOT_FOUND)(err);
+                assert.strictEqual(result, undefined);
+                done();
+            });
+        });
+    });
+
+    describe("NodeServices interface", function() {
+        it("passes JSON encoded errors to the callback instead of throwing", function(done) {
+            lokiservice.find(function(err) {
+                var encoded = JSON.parse(err.message);
+
+                assert.strictEqual(encoded.code, errorCodes.INVALID_QUERY);
+                assert.strictEqual(encoded.context.operation, "find");
+                done();
+            }, service, "errors.db", "users", "{ age");
+        });
+
+        it("passes JSON encoded results to the callback", function(done) {
+            lokiservice.find(function(err, result) {
+                assert.ifError(err);
+                assert.deepStrictEqual(JSON.parse(result).map(function(doc) { return doc.name; }).sort(), ["loki", "thor"]);
+                done();
+            }, service, "errors.db", "users", JSON.stringify({ age: { "$lt": 100 } }));
+        });
+    });
+});
@@ -0,0 +1,126 @@
+const assert = require("assert");
+const path = require("path");
+const lokiservice = require("../lokiservice.js");
+const fixture = require("./fixtures/memory.init.js");
+
+const svc = lokiservice.native;
+const errorCodes = lokiservice.errorCodes;
+
+var service = path.join(__dirname, "fixtures", "memory.init.js");
+var databaseCount = 0;
+
+describe("execute", function() {
+    var filename;
+
+    beforeEach(function() {
+        filename = "execute" + (++databaseCount) + ".db";
+
+        // load the instance, so its change feed starts out empty
+        return svc.open(service, filename);
+    });
+
+    /**
+     * Returns a batch which inserts, updates and removes users and then fails, removing a missing document
+     */
+    function failingBatch() {
+        return [
+            { type: "insert", collection: "users", doc: { name: "tyr", age: 40 } },
+            { type: "update", collection: "users", doc: { $loki: 1, age: 1000 } },
+            { type: "remove", collection: "users", id: 3 },
+            { type: "update", collection: "events", doc: { $loki: 1, title: "fimbulwinter" } },
+            { type: "remove", collection: "users", id: 99 }
+        ];
+    }
+
+    it("applies every operation and publishes their changes", function() {
+        return svc.execute(service, filename, [
+            { type: "insert", collection: "users", doc: { name: "tyr", age: 40 } },
+            { type: "update", collection: "users", doc: { $loki: 1, age: 1000 } },
+            { type: "find", collection: "users", query: { age: { "$gte": 40 } } }
+        ]).then(function(result) {
+            assert.strictEqual(result.committed, true);
+            assert.strictEqual(result.results.length, 3);
+            assert.deepStrictEqual(result.results[2].map(function(doc) { return doc.name; }).sort(), ["odin", "tyr"]);
+
+            return svc.changesSince(service, filename, null, 0);
+        }).then(function(feed) {
+            assert.strictEqual(feed.changes.length, 2);
+        });
+    });
+
+    it("rolls back every earlier operation and reports the failing step", function() {
+        return assert.rejects(svc.execute(service, filename, failingBatch()), function(err) {
+            assert.strictEqual(err.code, errorCodes.DOCUMENT_NOT_FOUND);
+            assert.strictEqual(err.context.step, 4);
+            assert.strictEqual(err.context.stepType, "remove");
+            return true;
+        }).then(function() {
+            return Promise.all([
+                svc.find(service, filename, "users", {}),
+                svc.find(service, filename, "users", { name: "tyr" }),
+                svc.get(service, filename, "events", 1)
+            ]);
+        }).then(function(results) {
+            var users = results[0].sort(function(a, b) { return a.$loki - b.$loki; });
+
+            assert.deepStrictEqual(users.map(function(doc) { return doc.name; }), ["odin", "thor", "loki"]);
+            assert.strictEqual(users[0].age, 999);
+            assert.strictEqual(users[0].meta.revision, 0);
+            assert.strictEqual(results[1].length, 0);
+
+            // dates survive the rollback as dates
+            assert.strictEqual(results[2].title, "ragnarok");
+            assert.ok(results[2].at instanceof Date);
+            assert.strictEqual(results[2].at.getTime(), Date.UTC(2017, 9, 23));
+        });
+    });
+
+    it("publishes no changes for a rolled back batch, but does for later writes", function() {
+        return assert.rejects(svc.execute(service, filename, failingBatch())).then(function() {
+            return svc.changesSince(service, filename, null, 0);
+        }).then(function(feed) {
+            assert.strictEqual(feed.changes.length, 0);
+
+            return svc.insert(service, filename, "users", { name: "tyr" });
+        }).then(function() {
+            return svc.changesSince(service, filename, null, 0);
+        }).then(function(feed) {
+            assert.strictEqual(feed.changes.length, 1);
+        });
+    });
+
+    describe("when a rollback fails", function() {
+        var events;
+
+        beforeEach(function() {
+            events = [];
+
+            return svc.configure({ logger: function(event) { events.push(event); } });
+        });
+
+        afterEach(function() {
+            delete fixture.databases[filename].getCollection("users").ensureUniqueIndex;
+
+            return svc.configure({ logger: null });
+        });
+
+        it("still reports the step's error, logs the failure and resumes changes", function() {
+            fixture.databases[filename].getCollection("users").ensureUniqueIndex = function() {
+                throw new Error("Duplicate key for property name");
+            };
+
+            return assert.rejects(svc.execute(service, filename, failingBatch()), function(err) {
+                assert.strictEqual(err.code, errorCodes.DOCUMENT_NOT_FOUND);
+                return true;
+            }).then(function() {
+                assert.deepStrictEqual(events, ["rollbackFailed"]);
+
+                return svc.insert(service, filename, "events", { title: "baldr's dreams" });
+            }).then(function() {
+                return svc.changesSince(service, filename, "events", 0);
+            }).then(function(feed) {
+                assert.strictEqual(feed.changes.length, 1);
+            });
+        });
+    });
+});
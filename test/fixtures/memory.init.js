@@ -0,0 +1,50 @@
+/**
+ * Initializer used by the tests : an in-memory database with a uniquely indexed 'users' collection
+ * and an 'events' collection holding dates.  Each database created is kept in 'databases', keyed by
+ * filename, so tests can inspect (or interfere with) the loki instance behind the service.
+ */
+
+const loki = require("lokijs");
+
+var databases = {};
+
+/**
+ * @param {string} filename
+ * @param {function} callback - accepting loki db instance
+ */
+function init(filename, callback) {
+    var db = new loki(filename, { adapter: new loki.LokiMemoryAdapter() });
+
+    var users = db.addCollection("users", { unique: ["name"], indices: ["age"] });
+
+    users.insert({ name: "odin", age: 999, tenant: "A" });
+    users.insert({ name: "thor", age: 35, tenant: "A" });
+    users.insert({ name: "loki", age: 25, tenant: "B" });
+
+    users.addTransform("elders", [
+        { type: "find", value: { age: { "$gte": "[%lktxp]MinAge" } } },
+        { type: "simplesort", property: "age" }
+    ]);
+
+    var events = db.addCollection("events");
+
+    events.insert({ title: "ragnarok", at: new Date(Date.UTC(2017, 9, 23)) });
+
+    databases[filename] = db;
+
+    callback(db);
+}
+
+module.exports = {
+    init: init,
+    databases: databases,
+    transformParameters: {
+        users: {
+            elders: { MinAge: { type: "number", default: 100 } }
+        }
+    },
+    transformPolicy: {
+        maxSteps: 3,
+        maxLimit: 10
+    }
+};
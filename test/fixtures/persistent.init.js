@@ -0,0 +1,34 @@
+/**
+ * Initializer used by the tests of persistence adapters : constructs its database with the adapter
+ * the service selects, loading it if it exists and adding a 'notes' collection otherwise.
+ */
+
+const loki = require("lokijs");
+
+/**
+ * @param {string} filename
+ * @param {function} callback - accepting loki db instance, or an Error if it could not be loaded
+ * @param {object=} options - { adapter } persistence adapter selected by the service, if any
+ */
+function init(filename, callback, options) {
+    var db = new loki(filename, {
+        adapter: options && options.adapter,
+        autoload: true,
+        autoloadCallback: function(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            if (db.getCollection("notes") === null) {
+                db.addCollection("notes");
+            }
+
+            callback(db);
+        }
+    });
+}
+
+module.exports = {
+    init: init
+};
@@ -0,0 +1,196 @@
+const assert = require("assert");
+const path = require("path");
+const stream = require("stream");
+const lokiservice = require("../lokiservice.js");
+const transfer = require("../lokiservice-transfer.js");
+
+const svc = lokiservice.native;
+
+var service = path.join(__dirname, "fixtures", "memory.init.js");
+
+/**
+ * Decodes chunks of an import, resolving to every record
+ * @param {array} chunks - text chunks, as the stream would deliver them
+ * @param {string} format - ndjson or csv
+ * @param {object=} options - transfer options
+ */
+function decode(chunks, format, options) {
+    return new Promise(function(resolve, reject) {
+        var records = [];
+
+        transfer.readDocuments(stream.Readable.from(chunks), format, options || {}, function(batch, next) {
+            records = records.concat(batch);
+            next();
+        }, function(err) {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            resolve(records);
+        });
+    });
+}
+
+/**
+ * Encodes documents for export, resolving to the text written
+ * @param {array} docs
+ * @param {string} format - ndjson or csv
+ * @param {object=} options - transfer options
+ */
+function encode(docs, format, options) {
+    return new Promise(function(resolve, reject) {
+        var text = "";
+        var destination = new stream.Writable({
+            write: function(chunk, encoding, callback) {
+                text += chunk;
+                callback();
+            }
+        });
+
+        transfer.writeDocuments(docs, destination, format, options || {}, function(err, result) {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            assert.strictEqual(result.count, docs.length);
+            resolve(text);
+        });
+    });
+}
+
+describe("import and export", function() {
+    describe("resolveFormat", function() {
+        it("takes the format option, or else the file extension", function() {
+            assert.strictEqual(transfer.resolveFormat("users.csv"), "csv");
+            assert.strictEqual(transfer.resolveFormat("users.ndjson"), "ndjson");
+            assert.strictEqual(transfer.resolveFormat("users.txt", "csv"), "csv");
+            assert.strictEqual(transfer.resolveFormat("users.csv", "xml"), null);
+        });
+    });
+
+    describe("ndjson", function() {
+        it("decodes lines split across chunks and coerces typed string values", function() {
+            return decode(['{"name":"odin","age":"999","at":"2017-10-23T00:00:00.000Z"}\n{"name":', '"thor","age":35}\n'], "ndjson", {
+                types: { age: "integer", at: "date" }
+            }).then(function(records) {
+                assert.strictEqual(records.length, 2);
+                assert.strictEqual(records[0].doc.age, 999);
+                assert.ok(records[0].doc.at instanceof Date);
+                assert.deepStrictEqual(records[1], { line: 2, doc: { name: "thor", age: 35 } });
+            });
+        });
+
+        it("skips blank lines and reports lines which are not JSON objects", function() {
+            return decode(['{"name":"odin"}\n\n[1]\n{"name"\n{"name":"thor"}'], "ndjson").then(function(records) {
+                assert.deepStrictEqual(records.map(function(record) { return record.line; }), [1, 3, 4, 5]);
+                assert.strictEqual(records[1].error, "Line is not a JSON object");
+                assert.ok(records[2].error);
+                assert.deepStrictEqual(records[3].doc, { name: "thor" });
+            });
+        });
+
+        it("encodes documents without meta, and without $loki unless includeId is given", function() {
+            var docs = [{ $loki: 1, meta: { revision: 0 }, name: "odin", at: new Date(Date.UTC(2017, 9, 23)) }];
+
+            return Promise.all([
+                encode(docs, "ndjson"),
+                encode(docs, "ndjson", { includeId: true })
+            ]).then(function(texts) {
+                assert.strictEqual(texts[0], '{"name":"odin","at":"2017-10-23T00:00:00.000Z"}\n');
+                assert.strictEqual(texts[1], '{"$loki":1,"name":"odin","at":"2017-10-23T00:00:00.000Z"}\n');
+            });
+        });
+    });
+
+    describe("csv", function() {
+        it("decodes quoted values, escaped quotes and line breaks within values", function() {
+            // a byte order mark, and a quoted value split across chunks
+            var first = '\uFEFFname,age,tags,note\r\n"odin, all';
+            var second = ' father",999,"a|b","said ""hi""\nthen"\r\n\r\nthor,35,,\n';
+
+            return decode([first, second], "csv", { types: { age: "number", tags: "array" } }).then(function(records) {
+                assert.deepStrictEqual(records, [
+                    { line: 2, doc: { name: "odin, all father", age: 999, tags: ["a", "b"], note: "said \"hi\"\nthen" } },
+                    { line: 5, doc: { name: "thor", age: 35 } }
+                ]);
+            });
+        });
+
+        it("maps headers to fields and reports values which do not match their type", function() {
+            return decode(["Full Name,scores\nodin,1|2\nthor,x\n"], "csv", {
+                headers: { "Full Name": "name" },
+                types: { scores: "array:number" }
+            }).then(function(records) {
+                assert.deepStrictEqual(records[0], { line: 2, doc: { name: "odin", scores: [1, 2] } });
+                assert.strictEqual(records[1].line, 3);
+                assert.ok(/not a number/.test(records[1].error), records[1].error);
+            });
+        });
+
+        it("fails on an unterminated quoted value", function() {
+            return assert.rejects(decode(['name\n"odin'], "csv"), /Unterminated quoted value starting on line 2/);
+        });
+
+        it("encodes arrays, dates and objects, quoting where needed", function() {
+            var docs = [
+                { $loki: 1, name: "odin, all father", tags: ["a", "b"], at: new Date(Date.UTC(2017, 9, 23)), o: { x: 1 } },
+                { $loki: 2, name: "say \"hi\"" }
+            ];
+
+            return encode(docs, "csv").then(function(text) {
+                assert.strictEqual(text, 'name,tags,at,o\r\n' +
+                    '"odin, all father",a|b,2017-10-23T00:00:00.000Z,"{""x"":1}"\r\n' +
+                    '"say ""hi""",,,\r\n');
+            });
+        });
+
+        it("writes the given columns under their headers", function() {
+            return encode([{ name: "odin", age: 999, tenant: "A" }], "csv", {
+                columns: ["age", "name"],
+                headers: { "Full Name": "name" }
+            }).then(function(text) {
+                assert.strictEqual(text, "age,Full Name\r\n999,odin\r\n");
+            });
+        });
+    });
+
+    describe("service", function() {
+        it("exports a collection and imports it into another instance", function() {
+            var exported = "";
+            var destination = new stream.Writable({
+                write: function(chunk, encoding, callback) {
+                    exported += chunk;
+                    callback();
+                }
+            });
+
+            return svc.exportCollection(service, "export.db", "events", destination, {}).then(function() {
+                return svc.importCollection(service, "import.db", "events", stream.Readable.from([exported]), {
+                    mode: "replace",
+                    types: { at: "date" }
+                });
+            }).then(function() {
+                return svc.find(service, "import.db", "events", {});
+            }).then(function(docs) {
+                assert.strictEqual(docs.length, 1);
+                assert.strictEqual(docs[0].title, "ragnarok");
+                assert.ok(docs[0].at instanceof Date);
+            });
+        });
+
+        it("leaves the collection unchanged when a replace import fails", function() {
+            var source = stream.Readable.from(['{"name":"tyr"}\n{"name":"tyr"}\n']);
+
+            return assert.rejects(svc.importCollection(service, "failedimport.db", "users", source, { mode: "replace" }), function(err) {
+                assert.ok(/Line 2/.test(err.message), err.message);
+                return true;
+            }).then(function() {
+                return svc.find(service, "failedimport.db", "users", {});
+            }).then(function(docs) {
+                assert.deepStrictEqual(docs.map(function(doc) { return doc.name; }).sort(), ["loki", "odin", "thor"]);
+            });
+        });
+    });
+});
@@ -0,0 +1,126 @@
+const assert = require("assert");
+const path = require("path");
+const lokiservice = require("../lokiservice.js");
+const transforms = require("../lokiservice-transforms.js");
+
+const svc = lokiservice.native;
+const errorCodes = lokiservice.errorCodes;
+
+// the fixture's policy allows the default steps, at most 3 of them, and limits of at most 10
+var service = path.join(__dirname, "fixtures", "memory.init.js");
+var filename = "transforms.db";
+
+/**
+ * Returns a function asserting that an error has the given code
+ * @param {string} code
+ */
+function failsWith(code) {
+    return function(err) {
+        assert.strictEqual(err.code, code, err.message);
+        return true;
+    };
+}
+
+/**
+ * Returns the names of documents
+ * @param {array} docs
+ */
+function names(docs) {
+    return docs.map(function(doc) { return doc.name; });
+}
+
+describe("transform checks", function() {
+    describe("checkRawTransform", function() {
+        it("accepts the steps the default policy allows", function() {
+            var steps = [
+                { type: "find", value: { age: { "$gt": 30 } } },
+                { type: "simplesort", property: "age" },
+                { type: "limit", value: 1000 }
+            ];
+
+            assert.deepStrictEqual(transforms.checkRawTransform(steps, {}, null), []);
+        });
+
+        it("reports steps which modify documents or are not allowed", function() {
+            var violations = transforms.checkRawTransform([
+                { type: "update", value: "obj.age = 0;" },
+                { type: "where", value: "return true;" }
+            ], {}, null);
+
+            assert.strictEqual(violations.length, 2);
+            assert.ok(/modify documents/.test(violations[0]));
+            assert.ok(/not allowed/.test(violations[1]));
+        });
+
+        it("reports limits beyond maxLimit, including limits given as parameters", function() {
+            var policy = { maxLimit: 10 };
+
+            assert.strictEqual(transforms.checkRawTransform([{ type: "limit", value: 11 }], {}, policy).length, 1);
+            assert.strictEqual(transforms.checkRawTransform([{ type: "limit", value: "[%lktxp]Count" }], { Count: 50 }, policy).length, 1);
+            assert.strictEqual(transforms.checkRawTransform([{ type: "limit", value: "[%lktxp]Count" }], { Count: 5 }, policy).length, 0);
+        });
+
+        it("does not let a policy allow steps which modify documents", function() {
+            var violations = transforms.checkRawTransform([{ type: "remove" }], {}, { allowedSteps: ["remove"] });
+
+            assert.strictEqual(violations.length, 1);
+        });
+    });
+
+    describe("raw transforms", function() {
+        it("runs transforms the instance's policy allows", function() {
+            return svc.transformRaw(service, filename, "users", [
+                { type: "find", value: { age: { "$lt": "[%lktxp]MaxAge" } } },
+                { type: "simplesort", property: "age" },
+                { type: "limit", value: 10 }
+            ], { MaxAge: 100 }).then(function(docs) {
+                assert.deepStrictEqual(names(docs), ["loki", "thor"]);
+            });
+        });
+
+        it("refuses transforms which break the instance's policy", function() {
+            return Promise.all([
+                [{ type: "update", value: "obj.age = 0;" }],
+                [{ type: "find", value: {} }, { type: "simplesort", property: "age" }, { type: "offset", value: 1 }, { type: "limit", value: 1 }],
+                [{ type: "limit", value: 11 }]
+            ].map(function(steps) {
+                return assert.rejects(svc.transformRaw(service, filename, "users", steps), function(err) {
+                    failsWith(errorCodes.OPERATION_NOT_PERMITTED)(err);
+                    assert.strictEqual(err.context.violations.length, 1);
+                    return true;
+                });
+            })).then(function() {
+                return svc.find(service, filename, "users", { age: 0 });
+            }).then(function(docs) {
+                assert.strictEqual(docs.length, 0);
+            });
+        });
+
+        it("requires every parameter to be supplied", function() {
+            var steps = [{ type: "find", value: { age: "[%lktxp]Age" } }];
+
+            return assert.rejects(svc.transformRaw(service, filename, "users", steps, {}), failsWith(errorCodes.INVALID_QUERY));
+        });
+    });
+
+    describe("named transforms", function() {
+        it("fills in the defaults of declared parameters", function() {
+            return svc.transform(service, filename, "users", "elders").then(function(docs) {
+                assert.deepStrictEqual(names(docs), ["odin"]);
+            });
+        });
+
+        it("passes declared parameters", function() {
+            return svc.transform(service, filename, "users", "elders", { MinAge: 30 }).then(function(docs) {
+                assert.deepStrictEqual(names(docs), ["thor", "odin"]);
+            });
+        });
+
+        it("refuses parameters of the wrong type and undeclared parameters", function() {
+            return Promise.all([
+                assert.rejects(svc.transform(service, filename, "users", "elders", { MinAge: "30" }), failsWith(errorCodes.INVALID_QUERY)),
+                assert.rejects(svc.transform(service, filename, "users", "elders", { MaxAge: 30 }), failsWith(errorCodes.INVALID_QUERY))
+            ]);
+        });
+    });
+});
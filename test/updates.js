@@ -0,0 +1,81 @@
+const assert = require("assert");
+const path = require("path");
+const lokiservice = require("../lokiservice.js");
+
+const svc = lokiservice.native;
+const errorCodes = lokiservice.errorCodes;
+
+var service = path.join(__dirname, "fixtures", "memory.init.js");
+var databaseCount = 0;
+
+describe("updates", function() {
+    var filename;
+
+    beforeEach(function() {
+        filename = "updates" + (++databaseCount) + ".db";
+    });
+
+    /**
+     * Asserts that the users collection still holds odin (as $loki 1) and thor, each found by name once
+     */
+    function assertUnchanged() {
+        return Promise.all([
+            svc.get(service, filename, "users", 1),
+            svc.find(service, filename, "users", { name: "odin" }),
+            svc.find(service, filename, "users", { name: "thor" })
+        ]).then(function(results) {
+            assert.strictEqual(results[0].name, "odin");
+            assert.strictEqual(results[0].meta.revision, 0);
+            assert.deepStrictEqual(results[1].map(function(doc) { return doc.$loki; }), [1]);
+            assert.deepStrictEqual(results[2].map(function(doc) { return doc.$loki; }), [2]);
+        });
+    }
+
+    it("merges the given properties onto the stored document", function() {
+        return svc.update(service, filename, "users", { $loki: 1, age: 1000 }).then(function(doc) {
+            assert.strictEqual(doc.name, "odin");
+            assert.strictEqual(doc.age, 1000);
+            assert.strictEqual(doc.meta.revision, 1);
+
+            return svc.find(service, filename, "users", { age: 1000 });
+        }).then(function(docs) {
+            assert.deepStrictEqual(docs.map(function(doc) { return doc.name; }), ["odin"]);
+        });
+    });
+
+    it("leaves the document and unique index unchanged when an update breaks a unique constraint", function() {
+        var update = svc.update(service, filename, "users", { $loki: 1, name: "thor" });
+
+        return assert.rejects(update, function(err) {
+            assert.strictEqual(err.code, errorCodes.CONSTRAINT_VIOLATION);
+            return true;
+        }).then(assertUnchanged);
+    });
+
+    it("leaves documents unchanged when a batch update breaks a unique constraint", function() {
+        return svc.updateMany(service, filename, "users", [{ $loki: 1, name: "thor" }]).then(function(result) {
+            assert.strictEqual(result.summary.failed, 1);
+            assert.strictEqual(result.results[0].error.code, errorCodes.CONSTRAINT_VIOLATION);
+        }).then(assertUnchanged);
+    });
+
+    it("leaves documents unchanged when an execute update breaks a unique constraint", function() {
+        var execute = svc.execute(service, filename, [
+            { type: "update", collection: "users", doc: { $loki: 1, name: "thor" } }
+        ]);
+
+        return assert.rejects(execute, function(err) {
+            assert.strictEqual(err.code, errorCodes.CONSTRAINT_VIOLATION);
+            assert.strictEqual(err.context.step, 0);
+            return true;
+        }).then(assertUnchanged);
+    });
+
+    it("frees the old unique key of a document renamed by an update", function() {
+        return svc.update(service, filename, "users", { $loki: 1, name: "wotan" }).then(function() {
+            return svc.insert(service, filename, "users", { name: "odin" });
+        }).then(function(doc) {
+            assert.strictEqual(doc.$loki, 4);
+        });
+    });
+});